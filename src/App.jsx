@@ -12,12 +12,14 @@ import Attendance from './pages/Attendance';
 import Fees from './insidepages/Fees';
 import Results from './insidepages/results';
 import SetupSchool from './pages/SetupSchool';
+import SchoolSettings from './pages/SchoolSettings';
 import AddAdmin from './components/AddAdmin';
 import AddStudent from './components/AddStudent';
 import AppSidebar from './components/Sidebar';
 import AdminDashboard from './pages/admin/AdminDashboard';
 import AddSpecificClass from './components/AddSpecificClass';
 import AddSuperAdmin from './components/AddSuperAdmin';
+import ManageAcademicCalendar from './components/ManageAcademicCalendar';
 const { Content } = Layout;
 
 // Add a Layout component for global sidebar/content structure
@@ -88,6 +90,8 @@ function App() {
             {isSuperAdmin && <Route path="/add-school-admin" element={<PrivateRoute><AddAdmin /></PrivateRoute>} />}
             {isSuperAdmin && <Route path="/add-student" element={<PrivateRoute><AddStudent /></PrivateRoute>} />}
             {isSuperAdmin && <Route path="/add-specific-class" element={<PrivateRoute><AddSpecificClass /></PrivateRoute>} />}
+            {isSuperAdmin && <Route path="/school-settings" element={<PrivateRoute><SchoolSettings /></PrivateRoute>} />}
+            {isSuperAdmin && <Route path="/academic-calendar" element={<PrivateRoute><ManageAcademicCalendar /></PrivateRoute>} />}
             {isAdmin && <Route path="/admin-dashboard" element={<PrivateRoute><AdminDashboard /></PrivateRoute>} />}
 
             <Route path="/signup" element={<PrivateRoute><SignUpUser /></PrivateRoute>} />
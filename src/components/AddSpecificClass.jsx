@@ -17,10 +17,13 @@ import {
   CalendarOutlined,
   BookOutlined,
   UserOutlined,
-  PlusOutlined
+  PlusOutlined,
+  TeamOutlined
 } from '@ant-design/icons';
 import { useAuth } from '../AuthProvider';
 import { supabase } from '../config/supabaseClient';
+import { TEACHER_ROLES } from '../lib/classAssignments';
+import ManageClassTeachers from './ManageClassTeachers';
 
 const { Title } = Typography;
 const { Option } = Select;
@@ -36,6 +39,7 @@ const AddSpecificClass = () => {
   const [addingYear, setAddingYear] = useState(false);
   const [classInstances, setClassInstances] = useState([]);
   const [tableLoading, setTableLoading] = useState(false);
+  const [managingClass, setManagingClass] = useState(null);
 
   useEffect(() => {
     fetchAcademicYears();
@@ -71,7 +75,8 @@ const AddSpecificClass = () => {
         created_at,
         class:classes (grade, section),
         year:academic_years (year_start, year_end),
-        teacher:admin (full_name)
+        teacher:admin (full_name),
+        assignments:class_teacher_assignments (id, role)
       `)
       .eq('school_code', school_code)
       .order('grade', { ascending: false })
@@ -209,6 +214,26 @@ const AddSpecificClass = () => {
       key: 'teacher',
       render: (teacher) => teacher?.full_name || '-',
     },
+    {
+      title: 'Other Teachers',
+      key: 'assignments',
+      render: (_, record) => {
+        const counts = {};
+        (record.assignments || [])
+          .filter(a => a.role !== 'class_teacher')
+          .forEach(a => { counts[a.role] = (counts[a.role] || 0) + 1; });
+        return (
+          <Space wrap>
+            {Object.entries(counts).map(([role, count]) => (
+              <Tag key={role} color={TEACHER_ROLES[role].color}>{count} {TEACHER_ROLES[role].label}</Tag>
+            ))}
+            <Button size="small" icon={<TeamOutlined />} onClick={() => setManagingClass(record)}>
+              Manage
+            </Button>
+          </Space>
+        );
+      },
+    },
     {
       title: 'Created At',
       dataIndex: 'created_at',
@@ -368,6 +393,16 @@ const AddSpecificClass = () => {
               pagination={{ pageSize: 25 }}
             />
           </div>
+          <ManageClassTeachers
+            classInstance={managingClass}
+            admins={admins}
+            schoolCode={school_code}
+            userId={user.id}
+            onClose={() => {
+              setManagingClass(null);
+              fetchClassInstances();
+            }}
+          />
         </Card>
       </div>
     </div>
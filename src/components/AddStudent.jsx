@@ -1,10 +1,13 @@
 import React, { useState, useEffect } from 'react';
-import { Card, Form, Input, Button, Select, message, Typography, Space, Row, Col } from 'antd';
-import { UserAddOutlined, MailOutlined, LockOutlined, PhoneOutlined, UserOutlined, IdcardOutlined, BookOutlined } from '@ant-design/icons';
+import { Card, Form, Input, Button, Select, DatePicker, Table, Alert, message, Typography, Space, Row, Col } from 'antd';
+import { UserAddOutlined, MailOutlined, LockOutlined, PhoneOutlined, UserOutlined, IdcardOutlined, BookOutlined, CalendarOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
 import { useAuth } from '../AuthProvider';
 import { supabase } from '../config/supabaseClient';
+import { fetchEnrolmentFees, raiseEnrolmentFees } from '../hooks/useFeeLedger';
+import { formatAmount, roundAmount } from '../lib/fees';
 
-const { Title } = Typography;
+const { Title, Text } = Typography;
 const { Option } = Select;
 
 /**
@@ -17,12 +20,14 @@ const { Option } = Select;
  * - Added dynamic class instance loading with academic year context
  * - Integrated with Supabase Edge Functions for secure student creation
  * - Added proper loading states and user feedback
+ * - Sends the joining date; the database raises the dues of the class's
+ *   active fee structure with the student, pro-rated from that date, and
+ *   they are shown here
  * 
  * BACKEND INTEGRATION NEEDED:
  * - Replace class instances query with real-time Supabase data
  * - Implement student enrollment workflow with parent notifications
  * - Add student ID generation and roll number assignment
- * - Integrate with fee structure assignment
  * - Add bulk student import functionality
  * 
  * SUPABASE INTEGRATION POINTS:
@@ -42,6 +47,7 @@ const AddStudent = () => {
   const [form] = Form.useForm();
   const [classInstances, setClassInstances] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [assignedFees, setAssignedFees] = useState(null); // { studentName, structure, dues }
 
   /**
    * FETCH CLASS INSTANCES - Load available classes for enrollment
@@ -92,7 +98,6 @@ const AddStudent = () => {
    * - Implement comprehensive student enrollment workflow
    * - Generate unique student ID and roll number
    * - Create parent account if not exists
-   * - Assign default fee structure for the class
    * - Send welcome email to student and parent
    * - Create initial attendance records
    * - Add to relevant WhatsApp/communication groups
@@ -114,6 +119,7 @@ const AddStudent = () => {
    */
   const handleSubmit = async (values) => {
     setLoading(true);
+    setAssignedFees(null);
     try {
       // AUTHENTICATION: Validate current user session
       const sessionResult = await supabase.auth.getSession();
@@ -140,6 +146,7 @@ const AddStudent = () => {
           phone: values.phone,
           student_code: values.student_code,
           class_instance_id: values.class_instance_id,
+          joined_on: values.joined_on.format('YYYY-MM-DD'),
           // BACKEND INTEGRATION: Add additional fields
           // parent_name: values.parent_name,
           // parent_email: values.parent_email,
@@ -159,6 +166,28 @@ const AddStudent = () => {
         // SUCCESS HANDLING: User feedback and form reset
         message.success('Student created successfully!');
         form.resetFields();
+
+        // FEES: Show the dues raised for the new student with their enrolment
+        const studentId = result.id || await findStudentId(values.student_code);
+        if (studentId) {
+          const enrolment = { studentId, classInstanceId: values.class_instance_id };
+          let fees = await fetchEnrolmentFees({ schoolCode: school_code }, enrolment);
+          // A structure saved before enrolment raised dues has no schedule to raise them from
+          if (!fees.error && fees.structure && !fees.structure.schedule && !fees.dues.length) {
+            const raised = await raiseEnrolmentFees(
+              { schoolCode: school_code, userId: user.id },
+              fees.structure,
+              { id: studentId, joined_on: values.joined_on.format('YYYY-MM-DD') }
+            );
+            if (raised.error) message.error(`Could not raise the dues: ${raised.error.message}`);
+            fees = await fetchEnrolmentFees({ schoolCode: school_code }, enrolment);
+          }
+          if (fees.error) {
+            message.error(`Could not load the fees assigned: ${fees.error.message}`);
+          } else {
+            setAssignedFees({ studentName: values.full_name, structure: fees.structure, dues: fees.dues });
+          }
+        }
         
         // BACKEND INTEGRATION: Additional success actions
         // - Refresh class instances to show updated enrollment count
@@ -174,6 +203,71 @@ const AddStudent = () => {
     }
   };
 
+  // create-student may not return the new id; the code is unique in a school
+  const findStudentId = async (studentCode) => {
+    const { data } = await supabase
+      .from('student')
+      .select('id')
+      .eq('school_code', school_code)
+      .eq('student_code', studentCode)
+      .maybeSingle();
+    return data?.id || null;
+  };
+
+  const renderAssignedFees = () => {
+    if (!assignedFees) return null;
+    const { studentName, structure, dues } = assignedFees;
+    if (!structure || !dues.length) {
+      return (
+        <Alert
+          type="warning"
+          showIcon
+          style={{ marginTop: '24px' }}
+          message={`No fees assigned to ${studentName}`}
+          description={structure
+            ? `No dues were raised from ${structure.name}. Save the structure again in Fee Structures and raise them from there.`
+            : 'The class has no active fee structure. Raise the dues from Fee Structures once it is set up.'}
+        />
+      );
+    }
+    const total = roundAmount(dues.reduce((sum, due) => sum + due.amount, 0));
+    return (
+      <Card
+        title={`Fees Assigned to ${studentName}`}
+        extra={<Text type="secondary">{structure.name}</Text>}
+        style={{ marginTop: '24px', borderRadius: '12px', border: '1px solid #e2e8f0' }}
+      >
+        {total < Number(structure.total_amount) && (
+          <Text type="secondary" style={{ display: 'block', marginBottom: '12px' }}>
+            Pro-rated for a mid-year admission: {formatAmount(total)} of the full {formatAmount(structure.total_amount)}
+          </Text>
+        )}
+        <Table
+          columns={[
+            { title: 'Fee', dataIndex: 'description', key: 'description' },
+            {
+              title: 'Due Date',
+              dataIndex: 'due_date',
+              key: 'due_date',
+              render: date => dayjs(date).format('DD MMM YYYY'),
+            },
+            { title: 'Amount', dataIndex: 'amount', key: 'amount', align: 'right', render: formatAmount },
+          ]}
+          dataSource={dues}
+          rowKey="id"
+          size="small"
+          pagination={false}
+          summary={() => (
+            <Table.Summary.Row>
+              <Table.Summary.Cell index={0} colSpan={2}><Text strong>Total</Text></Table.Summary.Cell>
+              <Table.Summary.Cell index={1} align="right"><Text strong>{formatAmount(total)}</Text></Table.Summary.Cell>
+            </Table.Summary.Row>
+          )}
+        />
+      </Card>
+    );
+  };
+
   return (
     <div style={{ minHeight: '100vh', padding: '24px', background: '#f8fafc' }}>
       <div className="max-w-3xl mx-auto">
@@ -213,7 +307,8 @@ const AddStudent = () => {
             onFinish={handleSubmit}
             size="large"
             initialValues={{
-              student_code: 'S'
+              student_code: 'S',
+              joined_on: dayjs()
             }}
           >
             <Row gutter={[16, 0]}>
@@ -320,6 +415,21 @@ const AddStudent = () => {
                   </Select>
                 </Form.Item>
               </Col>
+
+              <Col xs={24} md={12}>
+                <Form.Item
+                  name="joined_on"
+                  label="Joining Date"
+                  extra="Term and monthly fees for a mid-year admission are pro-rated from this date"
+                  rules={[{ required: true, message: 'Please select the joining date' }]}
+                >
+                  <DatePicker
+                    format="DD MMM YYYY"
+                    suffixIcon={<CalendarOutlined />}
+                    style={{ width: '100%' }}
+                  />
+                </Form.Item>
+              </Col>
             </Row>
 
             <Form.Item>
@@ -348,6 +458,8 @@ const AddStudent = () => {
             </Form.Item>
           </Form>
         </Card>
+
+        {renderAssignedFees()}
       </div>
     </div>
   );
@@ -0,0 +1,262 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Card, Form, Input, Select, DatePicker, Checkbox, Button, Calendar, Table, Tag, Typography, Space, Row, Col, Popconfirm, message
+} from 'antd';
+import { CalendarOutlined, PlusOutlined, DeleteOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { supabase } from '../config/supabaseClient';
+import { useAuth } from '../AuthProvider';
+import { useAcademicCalendar } from '../hooks/useAcademicCalendar';
+import { getAcademicYearRange } from '../lib/attendance';
+import { DAY_TYPES, DEFAULT_WEEKLY_OFFS, WEEKDAYS, getDayInfo, listCalendarEntries } from '../lib/academicCalendar';
+
+const { Title, Text } = Typography;
+const { Option } = Select;
+const { RangePicker } = DatePicker;
+
+const cardStyle = {
+  borderRadius: '12px',
+  border: '1px solid #e2e8f0',
+  boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+  background: '#ffffff'
+};
+
+/**
+ * Superadmin page for the per-academic-year calendar: weekly offs, holidays,
+ * exam breaks and extra working days. Attendance marking and percentages use it
+ * to tell working days apart.
+ */
+const ManageAcademicCalendar = () => {
+  const { user } = useAuth();
+  const { school_code } = user.user_metadata || {};
+
+  const [form] = Form.useForm();
+  const [academicYears, setAcademicYears] = useState([]);
+  const [academicYearId, setAcademicYearId] = useState(null);
+  const [weeklyOffs, setWeeklyOffs] = useState(DEFAULT_WEEKLY_OFFS);
+  const [saving, setSaving] = useState(false);
+
+  const { calendar, loading, refetch } = useAcademicCalendar(academicYearId);
+  const academicYear = academicYears.find(y => y.id === academicYearId);
+  const yearRange = getAcademicYearRange(academicYear);
+
+  useEffect(() => {
+    const fetchAcademicYears = async () => {
+      const { data, error } = await supabase
+        .from('academic_years')
+        .select('id, year_start, year_end, is_active, weekly_offs')
+        .eq('school_code', school_code)
+        .order('year_start', { ascending: false });
+      if (error) {
+        message.error(error.message);
+        return;
+      }
+      setAcademicYears(data || []);
+      const active = (data || []).find(y => y.is_active) || data?.[0];
+      if (active) setAcademicYearId(active.id);
+    };
+    if (school_code) fetchAcademicYears();
+  }, [school_code]);
+
+  useEffect(() => {
+    if (calendar) setWeeklyOffs(calendar.weeklyOffs);
+  }, [calendar]);
+
+  const saveWeeklyOffs = async () => {
+    setSaving(true);
+    const { error } = await supabase
+      .from('academic_years')
+      .update({ weekly_offs: weeklyOffs })
+      .eq('id', academicYearId);
+    if (error) {
+      message.error(error.message);
+    } else {
+      message.success('Weekly offs saved');
+      refetch();
+    }
+    setSaving(false);
+  };
+
+  const handleAddDays = async (values) => {
+    setSaving(true);
+    try {
+      const [start, end] = values.range;
+      const rows = [];
+      for (let d = start.startOf('day'); !d.isAfter(end, 'day'); d = d.add(1, 'day')) {
+        rows.push({
+          academic_year_id: academicYearId,
+          date: d.format('YYYY-MM-DD'),
+          day_type: values.day_type,
+          title: values.title,
+          school_code,
+          created_by: user.id,
+        });
+      }
+      const { error } = await supabase
+        .from('academic_calendar_days')
+        .upsert(rows, { onConflict: 'academic_year_id,date' });
+      if (error) {
+        message.error(error.message);
+      } else {
+        message.success(`${rows.length} day(s) added to the calendar`);
+        form.resetFields();
+        refetch();
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    const { error } = await supabase.from('academic_calendar_days').delete().eq('id', id);
+    if (error) {
+      message.error(error.message);
+    } else {
+      refetch();
+    }
+  };
+
+  const fullCellRender = (current, info) => {
+    if (info.type !== 'date') return info.originNode;
+    const dayInfo = getDayInfo(calendar, current);
+    const color = dayInfo.type === 'weekly_off' ? '#94a3b8' : DAY_TYPES[dayInfo.type]?.color;
+    return (
+      <div
+        className="ant-picker-cell-inner"
+        title={dayInfo.title}
+        style={color && !dayInfo.working ? { background: color, color: '#ffffff' } : undefined}
+      >
+        {current.date()}
+      </div>
+    );
+  };
+
+  const columns = [
+    {
+      title: 'Date',
+      dataIndex: 'date',
+      key: 'date',
+      render: (date) => dayjs(date).format('ddd, DD MMM YYYY'),
+    },
+    {
+      title: 'Type',
+      dataIndex: 'day_type',
+      key: 'day_type',
+      render: (type) => <Tag color={DAY_TYPES[type]?.color}>{DAY_TYPES[type]?.label}</Tag>,
+    },
+    { title: 'Title', dataIndex: 'title', key: 'title' },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, record) => (
+        <Popconfirm title="Remove this day from the calendar?" onConfirm={() => handleDelete(record.id)}>
+          <Button type="text" danger icon={<DeleteOutlined />} />
+        </Popconfirm>
+      ),
+    },
+  ];
+
+  return (
+    <div style={{ minHeight: '100vh', padding: '24px', background: '#f8fafc' }}>
+      <div className="max-w-6xl mx-auto">
+        <Card
+          title={
+            <Space>
+              <CalendarOutlined />
+              <Title level={3} style={{ margin: 0, color: '#1e293b', fontWeight: 600 }}>Academic Calendar</Title>
+            </Space>
+          }
+          extra={
+            <Select
+              placeholder="Select Academic Year"
+              value={academicYearId}
+              onChange={setAcademicYearId}
+              style={{ width: 200 }}
+            >
+              {academicYears.map(year => (
+                <Option key={year.id} value={year.id}>
+                  {year.year_start} - {year.year_end}
+                </Option>
+              ))}
+            </Select>
+          }
+          style={cardStyle}
+          headStyle={{ borderBottom: '1px solid #e2e8f0' }}
+        >
+          {!academicYearId ? (
+            <Text type="secondary">Add an academic year before setting up its calendar.</Text>
+          ) : (
+            <Row gutter={[24, 24]}>
+              <Col xs={24} lg={12}>
+                <Title level={5}>Weekly Offs</Title>
+                <Checkbox.Group
+                  value={weeklyOffs}
+                  onChange={setWeeklyOffs}
+                  options={WEEKDAYS.map((day, index) => ({ label: day.slice(0, 3), value: index }))}
+                />
+                <div style={{ marginTop: 12, marginBottom: 24 }}>
+                  <Button onClick={saveWeeklyOffs} loading={saving}>Save Weekly Offs</Button>
+                </div>
+
+                <Title level={5}>Add Holidays or Breaks</Title>
+                <Form form={form} layout="vertical" onFinish={handleAddDays} initialValues={{ day_type: 'holiday' }}>
+                  <Form.Item
+                    name="range"
+                    label="Dates"
+                    rules={[{ required: true, message: 'Please select the dates' }]}
+                  >
+                    <RangePicker
+                      style={{ width: '100%' }}
+                      disabledDate={(d) => yearRange && (d.isBefore(yearRange.start, 'day') || d.isAfter(yearRange.end, 'day'))}
+                    />
+                  </Form.Item>
+                  <Form.Item name="day_type" label="Type" rules={[{ required: true }]}>
+                    <Select>
+                      {Object.entries(DAY_TYPES).map(([value, { label }]) => (
+                        <Option key={value} value={value}>{label}</Option>
+                      ))}
+                    </Select>
+                  </Form.Item>
+                  <Form.Item
+                    name="title"
+                    label="Title"
+                    rules={[{ required: true, message: 'Please enter a title (e.g., Diwali)' }]}
+                  >
+                    <Input placeholder="e.g., Diwali, Half-yearly exams, Working Saturday" />
+                  </Form.Item>
+                  <Button type="primary" htmlType="submit" icon={<PlusOutlined />} loading={saving}>
+                    Add to Calendar
+                  </Button>
+                </Form>
+              </Col>
+              <Col xs={24} lg={12}>
+                <Calendar
+                  fullscreen={false}
+                  fullCellRender={fullCellRender}
+                  validRange={yearRange ? [yearRange.start, yearRange.end] : undefined}
+                />
+                <Space wrap style={{ marginTop: 8 }}>
+                  {Object.entries(DAY_TYPES).filter(([type]) => type !== 'working_day').map(([type, { label, color }]) => (
+                    <Tag key={type} color={color}>{label}</Tag>
+                  ))}
+                  <Tag color="#94a3b8">Weekly Off</Tag>
+                </Space>
+              </Col>
+              <Col xs={24}>
+                <Table
+                  dataSource={listCalendarEntries(calendar)}
+                  columns={columns}
+                  loading={loading}
+                  rowKey="id"
+                  pagination={{ pageSize: 20 }}
+                />
+              </Col>
+            </Row>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ManageAcademicCalendar;
@@ -0,0 +1,159 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Modal, Form, Select, Input, DatePicker, Button, Table, Tag, Popconfirm, Row, Col, message } from 'antd';
+import { DeleteOutlined, PlusOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { supabase } from '../config/supabaseClient';
+import { TEACHER_ROLES } from '../lib/classAssignments';
+
+const { Option } = Select;
+
+/**
+ * Modal for assigning teachers to a class instance: co-teachers, subject
+ * teachers and date-bound substitutes alongside the class teacher.
+ */
+const ManageClassTeachers = ({ classInstance, admins, schoolCode, userId, onClose }) => {
+  const [form] = Form.useForm();
+  const [assignments, setAssignments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const role = Form.useWatch('role', form);
+
+  const fetchAssignments = useCallback(async () => {
+    if (!classInstance) return;
+    setLoading(true);
+    const { data, error } = await supabase
+      .from('class_teacher_assignments')
+      .select('id, teacher_id, role, subject, valid_on, teacher:admin (full_name)')
+      .eq('class_instance_id', classInstance.id)
+      .order('role');
+    if (error) {
+      message.error(error.message);
+    } else {
+      setAssignments(data || []);
+    }
+    setLoading(false);
+  }, [classInstance]);
+
+  useEffect(() => {
+    form.resetFields();
+    fetchAssignments();
+  }, [form, fetchAssignments]);
+
+  const handleAdd = async (values) => {
+    setSaving(true);
+    try {
+      const { error } = await supabase.from('class_teacher_assignments').insert({
+        class_instance_id: classInstance.id,
+        teacher_id: values.teacher_id,
+        role: values.role,
+        subject: values.role === 'subject_teacher' ? values.subject?.trim() || null : null,
+        valid_on: values.role === 'substitute' ? values.valid_on.format('YYYY-MM-DD') : null,
+        school_code: schoolCode,
+        created_by: userId,
+      });
+      if (error) {
+        message.error(error.message);
+      } else {
+        message.success('Teacher assigned');
+        form.resetFields();
+        fetchAssignments();
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (id) => {
+    const { error } = await supabase.from('class_teacher_assignments').delete().eq('id', id);
+    if (error) {
+      message.error(error.message);
+    } else {
+      fetchAssignments();
+    }
+  };
+
+  const columns = [
+    { title: 'Teacher', key: 'teacher', render: (_, r) => r.teacher?.full_name || r.teacher_id },
+    {
+      title: 'Role',
+      dataIndex: 'role',
+      render: (value) => <Tag color={TEACHER_ROLES[value]?.color}>{TEACHER_ROLES[value]?.label}</Tag>,
+    },
+    {
+      title: 'Details',
+      key: 'details',
+      render: (_, r) => r.subject || (r.valid_on ? dayjs(r.valid_on).format('DD MMM YYYY') : '-'),
+    },
+    {
+      title: '',
+      key: 'actions',
+      // The class teacher follows the class's Class Teacher field
+      render: (_, r) => r.role !== 'class_teacher' && (
+        <Popconfirm title="Remove this assignment?" onConfirm={() => handleRemove(r.id)}>
+          <Button type="text" danger icon={<DeleteOutlined />} />
+        </Popconfirm>
+      ),
+    },
+  ];
+
+  return (
+    <Modal
+      open={!!classInstance}
+      title={classInstance ? `Teachers - Grade ${classInstance.grade} ${classInstance.section}` : ''}
+      onCancel={onClose}
+      footer={null}
+      width={720}
+    >
+      <Table
+        dataSource={assignments}
+        columns={columns}
+        loading={loading}
+        rowKey="id"
+        pagination={false}
+        size="small"
+        style={{ marginBottom: 24 }}
+      />
+      <Form form={form} layout="vertical" onFinish={handleAdd} initialValues={{ role: 'co_teacher' }}>
+        <Row gutter={16}>
+          <Col xs={24} md={8}>
+            <Form.Item name="teacher_id" label="Teacher" rules={[{ required: true, message: 'Please select a teacher' }]}>
+              <Select placeholder="Select Teacher" showSearch optionFilterProp="children">
+                {admins.map(admin => (
+                  <Option key={admin.id} value={admin.id}>{admin.full_name}</Option>
+                ))}
+              </Select>
+            </Form.Item>
+          </Col>
+          <Col xs={24} md={8}>
+            <Form.Item name="role" label="Role" rules={[{ required: true }]}>
+              <Select>
+                {Object.entries(TEACHER_ROLES)
+                  .filter(([value]) => value !== 'class_teacher')
+                  .map(([value, { label }]) => (
+                    <Option key={value} value={value}>{label}</Option>
+                  ))}
+              </Select>
+            </Form.Item>
+          </Col>
+          <Col xs={24} md={8}>
+            {role === 'subject_teacher' && (
+              <Form.Item name="subject" label="Subject" rules={[{ required: true, message: 'Please enter the subject' }]}>
+                <Input placeholder="e.g., Mathematics" />
+              </Form.Item>
+            )}
+            {role === 'substitute' && (
+              <Form.Item name="valid_on" label="Date" rules={[{ required: true, message: 'Please select the date' }]}>
+                <DatePicker style={{ width: '100%' }} />
+              </Form.Item>
+            )}
+          </Col>
+        </Row>
+        <Button type="primary" htmlType="submit" icon={<PlusOutlined />} loading={saving}>
+          Assign Teacher
+        </Button>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ManageClassTeachers;
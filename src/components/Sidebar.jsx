@@ -78,6 +78,12 @@ const AppSidebar = () => {
         roles: ['superadmin']
       },
 
+      {
+        key: '/academic-calendar',
+        icon: <CalendarOutlined />,
+        label: 'Academic Calendar',
+        roles: ['superadmin']
+      },
       {
         key: '/add-student',
         icon: <TeamOutlined />,
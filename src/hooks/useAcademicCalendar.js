@@ -0,0 +1,31 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../config/supabaseClient';
+import { buildCalendar } from '../lib/academicCalendar';
+
+/**
+ * Loads the working-day calendar of an academic year
+ */
+export const useAcademicCalendar = (academicYearId) => {
+  const [calendar, setCalendar] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const fetchCalendar = useCallback(async () => {
+    if (!academicYearId) {
+      setCalendar(null);
+      return;
+    }
+    setLoading(true);
+    const [{ data: year }, { data: days }] = await Promise.all([
+      supabase.from('academic_years').select('id, year_start, year_end, weekly_offs').eq('id', academicYearId).single(),
+      supabase.from('academic_calendar_days').select('id, date, day_type, title').eq('academic_year_id', academicYearId),
+    ]);
+    setCalendar(buildCalendar(year, days || []));
+    setLoading(false);
+  }, [academicYearId]);
+
+  useEffect(() => {
+    fetchCalendar();
+  }, [fetchCalendar]);
+
+  return { calendar, loading, refetch: fetchCalendar };
+};
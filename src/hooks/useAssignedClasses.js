@@ -0,0 +1,25 @@
+import { useAuth } from '../AuthProvider';
+import { activeClassRoles } from '../lib/classAssignments';
+import { useSupabaseQuery } from './useSupabaseQuery';
+
+/**
+ * The class_instance ids the signed-in teacher (admin) is assigned to today,
+ * for pages that list classes. `classIds` is null for roles that are not
+ * scoped by assignment (superadmins see every class, students their own rows).
+ */
+export const useAssignedClasses = () => {
+  const { user } = useAuth();
+  const isTeacher = user?.user_metadata?.role === 'admin';
+
+  const { data, loading, error } = useSupabaseQuery('class_teacher_assignments', {
+    select: 'class_instance_id, role, valid_on',
+    filters: [{ column: 'teacher_id', operator: 'eq', value: user?.id }],
+    enabled: isTeacher,
+  });
+
+  return {
+    classIds: isTeacher ? Object.keys(activeClassRoles(data || [])) : null,
+    loading: isTeacher && loading,
+    error,
+  };
+};
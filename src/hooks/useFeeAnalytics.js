@@ -0,0 +1,105 @@
+import { useCallback, useEffect, useState } from 'react';
+import dayjs from 'dayjs';
+import { supabase } from '../config/supabaseClient';
+import { getAcademicYearRange } from '../lib/attendance';
+
+const EMPTY = {
+  byMonth: [],
+  byMethod: [],
+  byClass: [],
+  byComponent: [],
+  byYear: [],
+  byConcessionType: [],
+};
+
+/**
+ * Fee collection totals for the Reports tab, added up in Postgres (the
+ * fee_collection_* functions) so the browser never downloads every payment.
+ * With an `academicYear` ({ id, year_start, year_end }) the totals cover that
+ * year only. `classIds` narrows them to those class instances; null means the
+ * whole school.
+ */
+export const useFeeAnalytics = ({ schoolCode, academicYear, classIds }) => {
+  const [analytics, setAnalytics] = useState(EMPTY);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const classKey = classIds ? classIds.join(',') : null;
+
+  const fetchAnalytics = useCallback(async () => {
+    if (!schoolCode) return;
+    setLoading(true);
+    setError(null);
+    // An empty list (a teacher with no classes) adds up nothing, unlike null
+    const classList = classKey === null ? null : classKey.split(',').filter(Boolean);
+    const scope = { p_school_code: schoolCode, p_class_ids: classList };
+    const range = getAcademicYearRange(academicYear);
+    const yearScope = { ...scope, p_academic_year_id: academicYear?.id || null };
+    const dateScope = {
+      ...scope,
+      p_from: range ? range.start.format('YYYY-MM-DD') : null,
+      p_to: range ? range.end.format('YYYY-MM-DD') : null,
+    };
+
+    const results = await Promise.all([
+      supabase.rpc('fee_collection_by_month', dateScope),
+      supabase.rpc('fee_collection_by_method', dateScope),
+      supabase.rpc('fee_collection_by_class', yearScope),
+      supabase.rpc('fee_collection_by_component', yearScope),
+      supabase.rpc('fee_expected_vs_collected', scope),
+      supabase.rpc('fee_concessions_by_type', yearScope),
+    ]);
+    const failed = results.find(result => result.error);
+    if (failed) setError(failed.error.message);
+    const [byMonth, byMethod, byClass, byComponent, byYear, byConcessionType] = results.map(result => result.data || []);
+    setAnalytics({ byMonth, byMethod, byClass, byComponent, byYear, byConcessionType });
+    setLoading(false);
+  }, [schoolCode, academicYear, classKey]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
+
+  return { ...analytics, loading, error, refetch: fetchAnalytics };
+};
+
+const EMPTY_SUMMARY = { expected: 0, concession: 0, waived: 0, collected: 0, pending: 0, overdue_students: 0 };
+
+/**
+ * Totals for the Payments tab, added up in Postgres (fee_collection_summary)
+ * rather than from the downloaded ledger: what fell due between `from` and
+ * `to` (dayjs dates, either may be null), what was collected and is still
+ * pending on it, and how many students are overdue. `classIds` narrows them
+ * as in useFeeAnalytics.
+ */
+export const useFeeCollectionSummary = ({ schoolCode, from, to, classIds }) => {
+  const [summary, setSummary] = useState(EMPTY_SUMMARY);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const classKey = classIds ? classIds.join(',') : null;
+  const fromKey = from ? from.format('YYYY-MM-DD') : null;
+  const toKey = to ? to.format('YYYY-MM-DD') : null;
+
+  const fetchSummary = useCallback(async () => {
+    if (!schoolCode) return;
+    setLoading(true);
+    setError(null);
+    const { data, error: summaryError } = await supabase
+      .rpc('fee_collection_summary', {
+        p_school_code: schoolCode,
+        p_from: fromKey,
+        p_to: toKey,
+        p_class_ids: classKey === null ? null : classKey.split(',').filter(Boolean),
+        p_today: dayjs().format('YYYY-MM-DD'),
+      })
+      .single();
+    if (summaryError) setError(summaryError.message);
+    setSummary(Object.fromEntries(Object.entries(data || EMPTY_SUMMARY).map(([key, value]) => [key, Number(value)])));
+    setLoading(false);
+  }, [schoolCode, fromKey, toKey, classKey]);
+
+  useEffect(() => {
+    fetchSummary();
+  }, [fetchSummary]);
+
+  return { summary, loading, error, refetch: fetchSummary };
+};
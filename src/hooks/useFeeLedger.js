@@ -0,0 +1,203 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { supabase } from '../config/supabaseClient';
+import { activeClassRoles } from '../lib/classAssignments';
+import {
+  buildDueEntries,
+  buildInstalmentSchedule,
+  classInstanceLabel,
+  computeConcessionEntries,
+  summarizeLedger,
+} from '../lib/fees';
+
+const PAGE_SIZE = 1000;
+
+// PostgREST caps a response at 1000 rows; a school's ledger is larger than that.
+// `buildQuery` returns a fresh query for each page.
+export const fetchAllPages = async (buildQuery) => {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) return { data: rows, error };
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return { data: rows, error: null };
+  }
+};
+
+const INSERT_BATCH_SIZE = 500;
+
+/**
+ * Inserts ledger rows in batches; stops at the first failed batch.
+ */
+export const insertLedgerEntries = async (rows) => {
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const { error } = await supabase.from('fee_ledger_entries').insert(rows.slice(i, i + INSERT_BATCH_SIZE));
+    if (error) return { error };
+  }
+  return { error: null };
+};
+
+/**
+ * Posts the concession entries approved concessions still owe against the dues
+ * raised so far. Narrow it to one structure or one student with `filter`.
+ * Returns how many entries were added.
+ */
+export const postApprovedConcessions = async ({ schoolCode, userId }, filter = {}) => {
+  const concessionQuery = () => {
+    let query = supabase
+      .from('student_concessions')
+      .select('id, student_id, fee_structure_id, concession_type:concession_types (name, kind, value, components)')
+      .eq('school_code', schoolCode)
+      .eq('status', 'approved');
+    if (filter.feeStructureId) query = query.eq('fee_structure_id', filter.feeStructureId);
+    if (filter.studentId) query = query.eq('student_id', filter.studentId);
+    return query;
+  };
+  const concessionResult = await fetchAllPages(concessionQuery);
+  if (concessionResult.error) return { count: 0, error: concessionResult.error };
+  if (!concessionResult.data.length) return { count: 0, error: null };
+
+  const entryQuery = () => {
+    let query = supabase
+      .from('fee_ledger_entries')
+      .select('*')
+      .eq('school_code', schoolCode)
+      .in('entry_type', ['due', 'concession']);
+    if (filter.feeStructureId) query = query.eq('fee_structure_id', filter.feeStructureId);
+    if (filter.studentId) query = query.eq('student_id', filter.studentId);
+    return query;
+  };
+  const entryResult = await fetchAllPages(entryQuery);
+  if (entryResult.error) return { count: 0, error: entryResult.error };
+
+  const rows = computeConcessionEntries(entryResult.data, concessionResult.data)
+    .map(row => ({ ...row, created_by: userId }));
+  const { error } = await insertLedgerEntries(rows);
+  return { count: error ? 0 : rows.length, error };
+};
+
+/**
+ * The dues enrolment raised for a new student from the active fee structure
+ * of their class (the database does this when the student is created).
+ * `structure` is null when the class has no active structure; its `schedule`
+ * is null when it was saved before enrolment raised dues.
+ */
+export const fetchEnrolmentFees = async ({ schoolCode }, { studentId, classInstanceId }) => {
+  const { data: structure, error: structureError } = await supabase
+    .from('fee_structures')
+    .select('id, name, total_amount, class_instance_id, due_date, components, instalment_plan, schedule')
+    .eq('school_code', schoolCode)
+    .eq('class_instance_id', classInstanceId)
+    .eq('status', 'active')
+    .maybeSingle();
+  if (structureError || !structure) return { structure: null, dues: [], error: structureError };
+
+  const { data: dues, error } = await supabase
+    .from('fee_ledger_entries')
+    .select('id, description, component, due_date, amount')
+    .eq('student_id', studentId)
+    .eq('fee_structure_id', structure.id)
+    .eq('entry_type', 'due')
+    .order('due_date')
+    .order('created_at');
+  return { structure, dues: (dues || []).map(due => ({ ...due, amount: Number(due.amount) })), error };
+};
+
+/**
+ * Raises a new student's dues from a structure with no saved schedule, which
+ * enrolment cannot raise them from, and saves its schedule so the database
+ * raises them for the students enrolled after.
+ */
+export const raiseEnrolmentFees = async ({ schoolCode, userId }, structure, student) => {
+  const { error } = await insertLedgerEntries(buildDueEntries(structure, student, { schoolCode, userId }));
+  if (error) return { error };
+  const { error: scheduleError } = await supabase
+    .from('fee_structures')
+    .update({ schedule: buildInstalmentSchedule(structure) })
+    .eq('id', structure.id);
+  return { error: scheduleError };
+};
+
+/**
+ * Fee accounts of the students the user can see, built from fee_ledger_entries.
+ * Each account carries the student's entries and the balances summarizeLedger
+ * derives from them; `concessions` are the students' concessions with their
+ * type. Teachers also get the class_instance ids they are assigned to,
+ * students only ever see their own account.
+ */
+export const useFeeLedger = ({ id: userId, role, schoolCode }) => {
+  const [students, setStudents] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [concessions, setConcessions] = useState([]);
+  const [assignedClassIds, setAssignedClassIds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchLedger = useCallback(async () => {
+    if (!schoolCode || !userId) return;
+    setLoading(true);
+    setError(null);
+
+    const studentQuery = () => {
+      const query = supabase
+        .from('student')
+        .select('id, full_name, student_code, class_instance_id, class_instance:class_instances (grade, section)')
+        .eq('school_code', schoolCode)
+        .order('full_name');
+      return role === 'student' ? query.eq('id', userId) : query;
+    };
+
+    const [studentResult, entryResult, concessionResult, assignmentResult] = await Promise.all([
+      fetchAllPages(studentQuery),
+      fetchAllPages(() => supabase
+        .from('fee_ledger_entries')
+        .select('*')
+        .eq('school_code', schoolCode)
+        .order('entry_date')
+        .order('created_at')),
+      fetchAllPages(() => supabase
+        .from('student_concessions')
+        .select('id, student_id, fee_structure_id, status, reason, concession_type:concession_types (name, kind, value, components)')
+        .eq('school_code', schoolCode)),
+      role === 'admin'
+        ? supabase.from('class_teacher_assignments').select('class_instance_id, role, valid_on').eq('teacher_id', userId)
+        : Promise.resolve({ data: [] }),
+    ]);
+
+    const failed = studentResult.error || entryResult.error || concessionResult.error || assignmentResult.error;
+    if (failed) setError(failed.message);
+    setStudents(studentResult.data || []);
+    setEntries(entryResult.data || []);
+    setConcessions(concessionResult.data || []);
+    setAssignedClassIds(Object.keys(activeClassRoles(assignmentResult.data || [])));
+    setLoading(false);
+  }, [userId, role, schoolCode]);
+
+  useEffect(() => {
+    fetchLedger();
+  }, [fetchLedger]);
+
+  const accounts = useMemo(() => {
+    const entriesByStudent = {};
+    entries.forEach((entry) => {
+      (entriesByStudent[entry.student_id] = entriesByStudent[entry.student_id] || []).push(entry);
+    });
+    return students
+      .filter(student => entriesByStudent[student.id])
+      .map((student) => {
+        const studentEntries = entriesByStudent[student.id];
+        return {
+          id: student.id,
+          studentId: student.id,
+          studentName: student.full_name,
+          rollNumber: student.student_code,
+          classId: student.class_instance_id,
+          className: classInstanceLabel(student.class_instance),
+          feeStructureId: studentEntries.find(entry => entry.fee_structure_id)?.fee_structure_id || null,
+          entries: studentEntries,
+          ...summarizeLedger(studentEntries),
+        };
+      });
+  }, [students, entries]);
+
+  return { accounts, entries, concessions, assignedClassIds, loading, error, refetch: fetchLedger };
+};
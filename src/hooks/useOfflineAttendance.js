@@ -0,0 +1,123 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { supabase } from '../config/supabaseClient';
+import {
+  getQueuedSubmissions,
+  removeQueuedSubmission,
+  setSubmissionError,
+  isNetworkError,
+} from '../lib/offlineAttendance';
+
+/**
+ * Tracks browser connectivity
+ */
+export const useOnlineStatus = () => {
+  const [online, setOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const goOnline = () => setOnline(true);
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  return online;
+};
+
+/**
+ * Syncs the user's attendance queued offline as soon as the connection returns.
+ *
+ * When the server already has different marks for a queued class, date and
+ * period, `resolveConflict(submission, serverRecords)` is awaited and must
+ * resolve to 'local' (overwrite with the offline marks) or 'server' (discard them).
+ *
+ * A submission the server rejects (the date is locked, say) moves to `failed`
+ * with the error and waits for the user to `retry` or `discard` it.
+ */
+export const useOfflineAttendanceSync = ({ userId, resolveConflict, onSynced } = {}) => {
+  const online = useOnlineStatus();
+  const [submissions, setSubmissions] = useState(() => getQueuedSubmissions(userId));
+  const [syncing, setSyncing] = useState(false);
+  const syncingRef = useRef(false);
+  const callbacksRef = useRef({ resolveConflict, onSynced });
+  callbacksRef.current = { resolveConflict, onSynced };
+
+  const refreshQueue = useCallback(() => setSubmissions(getQueuedSubmissions(userId)), [userId]);
+
+  useEffect(() => {
+    refreshQueue();
+  }, [refreshQueue]);
+
+  const sync = useCallback(async () => {
+    const pending = getQueuedSubmissions(userId).filter(s => !s.error);
+    if (syncingRef.current || !navigator.onLine || pending.length === 0) return;
+    const { resolveConflict, onSynced } = callbacksRef.current;
+    syncingRef.current = true;
+    setSyncing(true);
+    try {
+      for (const submission of pending) {
+        const { data: serverRecords, error: fetchError } = await supabase
+          .from('attendance')
+          .select('student_id, status')
+          .eq('class_instance_id', submission.class_instance_id)
+          .eq('date', submission.date)
+          .eq('period_number', submission.period_number);
+        if (fetchError) {
+          if (isNetworkError(fetchError)) break;
+          setSubmissionError(userId, submission.id, fetchError.message);
+          continue;
+        }
+
+        const serverStatus = {};
+        (serverRecords || []).forEach(r => { serverStatus[r.student_id] = r.status; });
+        const differs = submission.records.some(
+          r => serverStatus[r.student_id] && serverStatus[r.student_id] !== r.status
+        );
+
+        let keep = 'local';
+        if (differs && resolveConflict) {
+          keep = await resolveConflict(submission, serverRecords);
+        }
+
+        if (keep === 'local') {
+          const { error } = await supabase
+            .from('attendance')
+            .upsert(submission.records, { onConflict: 'student_id,date,period_number' });
+          if (error) {
+            if (isNetworkError(error)) break;
+            setSubmissionError(userId, submission.id, error.message);
+            continue;
+          }
+        }
+        removeQueuedSubmission(userId, submission.id);
+        onSynced?.(submission, keep);
+      }
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      refreshQueue();
+    }
+  }, [userId, refreshQueue]);
+
+  const retry = useCallback((id) => {
+    setSubmissionError(userId, id, null);
+    refreshQueue();
+    sync();
+  }, [userId, refreshQueue, sync]);
+
+  const discard = useCallback((id) => {
+    removeQueuedSubmission(userId, id);
+    refreshQueue();
+  }, [userId, refreshQueue]);
+
+  useEffect(() => {
+    if (online) sync();
+  }, [online, sync]);
+
+  const queue = submissions.filter(s => !s.error);
+  const failed = submissions.filter(s => s.error);
+  return { online, queue, failed, syncing, sync, retry, discard, refreshQueue };
+};
@@ -0,0 +1,34 @@
+import { useAuth } from '../AuthProvider';
+import { useSupabaseQuery } from './useSupabaseQuery';
+
+export const DEFAULT_SCHOOL_SETTINGS = {
+  attendance_mode: 'daily',
+  periods_per_day: 8,
+  attendance_cutoff_time: '18:00',
+  attendance_cutoff_days: 0,
+  timezone: 'Asia/Kolkata',
+};
+
+/**
+ * Per-school configuration stored on the `schools` row of the current user's school
+ */
+export const useSchoolSettings = () => {
+  const { user } = useAuth();
+  const schoolCode = user?.user_metadata?.school_code;
+
+  const { data, loading, error } = useSupabaseQuery('schools', {
+    select: 'id, school_name, school_code, school_address, school_phone, school_email, attendance_mode, periods_per_day, attendance_cutoff_time, attendance_cutoff_days, timezone',
+    filters: [{ column: 'school_code', operator: 'eq', value: schoolCode }],
+    single: true,
+    enabled: !!schoolCode,
+  });
+
+  const settings = { ...DEFAULT_SCHOOL_SETTINGS, ...(Array.isArray(data) ? {} : data) };
+
+  return {
+    settings,
+    isPeriodMode: settings.attendance_mode === 'period',
+    loading,
+    error,
+  };
+};
@@ -34,6 +34,7 @@ import {
 } from '@ant-design/icons';
 import { useAuth } from '../contexts/AuthContext';
 import { useSupabaseQuery, useSupabaseMutation, useSupabaseSubscription } from '../hooks/useSupabase';
+import { useAssignedClasses } from '../hooks/useAssignedClasses';
 
 const { Content } = Layout;
 const { Title, Text } = Typography;
@@ -113,6 +114,10 @@ const Assessments = () => {
     schoolCode: user?.user_metadata?.school_code
   };
 
+  // Teachers only see the classes they are assigned to (null: every class)
+  const { classIds, loading: assignmentsLoading } = useAssignedClasses();
+  const classFilter = column => (classIds ? [{ column, operator: 'in', value: classIds }] : []);
+
   // Supabase queries
   const { data: assessments = [], loading: assessmentsLoading, refetch: refetchAssessments } = useSupabaseQuery('assessments', {
     select: `
@@ -132,8 +137,10 @@ const Assessments = () => {
       )
     `,
     filters: [
-      { column: 'school_code', operator: 'eq', value: currentUser.schoolCode }
-    ]
+      { column: 'school_code', operator: 'eq', value: currentUser.schoolCode },
+      ...classFilter('class_instance_id')
+    ],
+    enabled: !assignmentsLoading
   });
 
   const { data: results = [], loading: resultsLoading } = useSupabaseQuery('assessment_results', {
@@ -145,11 +152,13 @@ const Assessments = () => {
       grade,
       remarks,
       student:students(full_name),
-      assessment:assessments(title)
+      assessment:assessments!inner(title, class_instance_id)
     `,
     filters: [
-      { column: 'school_code', operator: 'eq', value: currentUser.schoolCode }
-    ]
+      { column: 'school_code', operator: 'eq', value: currentUser.schoolCode },
+      ...classFilter('assessment.class_instance_id')
+    ],
+    enabled: !assignmentsLoading
   });
 
   const { data: classes = [], loading: classesLoading } = useSupabaseQuery('class_instances', {
@@ -160,8 +169,10 @@ const Assessments = () => {
       classes!inner(grade, section)
     `,
     filters: [
-      { column: 'school_code', operator: 'eq', value: currentUser.schoolCode }
-    ]
+      { column: 'school_code', operator: 'eq', value: currentUser.schoolCode },
+      ...classFilter('id')
+    ],
+    enabled: !assignmentsLoading
   });
 
   // Mutation hooks
@@ -188,7 +199,8 @@ const Assessments = () => {
   };
 
   const getFilteredAssessments = () => {
-    // RLS policies handle filtering at database level
+    // RLS policies handle filtering at database level; teachers' queries are
+    // narrowed to their assigned classes
     return assessments;
   };
 
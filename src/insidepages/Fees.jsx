@@ -20,192 +20,125 @@ import {
   Empty,
   Badge,
   Alert,
-  Divider
+  Divider,
+  Dropdown,
+  message
 } from 'antd';
 import {
   DollarOutlined,
-  PlusOutlined,
-  EditOutlined,
   EyeOutlined,
-  DeleteOutlined,
   CreditCardOutlined,
-  CalendarOutlined,
-  UserOutlined,
   BarChartOutlined,
   CheckCircleOutlined,
   CloseCircleOutlined,
   ClockCircleOutlined,
-  DownloadOutlined
+  DownloadOutlined,
+  PrinterOutlined,
+  RollbackOutlined,
+  ThunderboltOutlined,
+  GiftOutlined,
+  LockOutlined,
+  WalletOutlined,
+  WarningOutlined
 } from '@ant-design/icons';
 import dayjs from 'dayjs';
+import { useAuth } from '../AuthProvider';
+import { supabase } from '../config/supabaseClient';
+import { useFeeLedger } from '../hooks/useFeeLedger';
+import { useFeeCollectionSummary } from '../hooks/useFeeAnalytics';
+import { useSchoolSettings } from '../hooks/useSchoolSettings';
+import { toCsv, downloadCsv } from '../lib/csv';
+import { downloadXlsx } from '../lib/spreadsheet';
+import {
+  FEE_PAYMENT_METHODS,
+  FEE_STATUS_COLORS,
+  LEDGER_ENTRY_TYPES,
+  feeReportColumns,
+  fineBalance,
+  formatAmount,
+  paymentBalance
+} from '../lib/fees';
+import FeeStructures from './fees/FeeStructures';
+import Concessions from './fees/Concessions';
+import FeeReceipt from './fees/FeeReceipt';
+import WaiveFine from './fees/WaiveFine';
+import AdjustPayment from './fees/AdjustPayment';
+import PayOnline from './fees/PayOnline';
+import Defaulters from './fees/Defaulters';
+import FeeReports from './fees/FeeReports';
+import DailyClosing from './fees/DailyClosing';
 
 const { Content } = Layout;
 const { Title, Text } = Typography;
 const { Option } = Select;
+const { RangePicker } = DatePicker;
 const { TabPane } = Tabs;
 
-// ==========================================
-// HARDCODED SAMPLE DATA
-// ==========================================
-// TODO: Replace with Supabase queries when integrating backend
-
-const SAMPLE_FEE_STRUCTURES = [
-  {
-    id: 1,
-    name: "Grade 10 Annual Fees",
-    classId: 1,
-    className: "Grade 10 - Section A",
-    academicYear: "2024-25",
-    components: [
-      { name: "Tuition Fee", amount: 25000, type: "annual" },
-      { name: "Library Fee", amount: 2000, type: "annual" },
-      { name: "Lab Fee", amount: 3000, type: "annual" },
-      { name: "Sports Fee", amount: 1500, type: "annual" }
-    ],
-    totalAmount: 31500,
-    dueDate: "2025-04-30",
-    status: "active"
-  },
-  {
-    id: 2,
-    name: "Grade 9 Monthly Fees",
-    classId: 3,
-    className: "Grade 9 - Section A",
-    academicYear: "2024-25",
-    components: [
-      { name: "Monthly Tuition", amount: 2500, type: "monthly" },
-      { name: "Transport Fee", amount: 800, type: "monthly" },
-      { name: "Meal Fee", amount: 1200, type: "monthly" }
-    ],
-    totalAmount: 4500,
-    dueDate: "2025-01-31",
-    status: "active"
-  }
-];
-
-const SAMPLE_FEE_PAYMENTS = [
-  {
-    id: 1,
-    studentId: 1,
-    studentName: "Amit Sharma",
-    rollNumber: "10A001",
-    classId: 1,
-    className: "Grade 10 - Section A",
-    feeStructureId: 1,
-    amount: 31500,
-    paidAmount: 31500,
-    pendingAmount: 0,
-    paymentDate: "2025-01-15",
-    dueDate: "2025-04-30",
-    status: "paid",
-    paymentMethod: "Online",
-    transactionId: "TXN123456789",
-    remarks: "Full payment for academic year 2024-25"
-  },
-  {
-    id: 2,
-    studentId: 2,
-    studentName: "Priya Singh",
-    rollNumber: "10A002",
-    classId: 1,
-    className: "Grade 10 - Section A",
-    feeStructureId: 1,
-    amount: 31500,
-    paidAmount: 15000,
-    pendingAmount: 16500,
-    paymentDate: "2025-01-10",
-    dueDate: "2025-04-30",
-    status: "partial",
-    paymentMethod: "Cash",
-    transactionId: "TXN123456790",
-    remarks: "Partial payment - remaining due"
-  },
-  {
-    id: 3,
-    studentId: 3,
-    studentName: "Rahul Verma",
-    rollNumber: "10A003",
-    classId: 1,
-    className: "Grade 10 - Section A",
-    feeStructureId: 1,
-    amount: 31500,
-    paidAmount: 0,
-    pendingAmount: 31500,
-    paymentDate: null,
-    dueDate: "2025-04-30",
-    status: "pending",
-    paymentMethod: null,
-    transactionId: null,
-    remarks: "Payment pending"
-  },
-  {
-    id: 4,
-    studentId: 9,
-    studentName: "Rohan Mehta",
-    rollNumber: "9A001",
-    classId: 3,
-    className: "Grade 9 - Section A",
-    feeStructureId: 2,
-    amount: 4500,
-    paidAmount: 4500,
-    pendingAmount: 0,
-    paymentDate: "2025-01-20",
-    dueDate: "2025-01-31",
-    status: "paid",
-    paymentMethod: "Online",
-    transactionId: "TXN123456791",
-    remarks: "January 2025 monthly fee"
-  },
-  {
-    id: 5,
-    studentId: 10,
-    studentName: "Ishita Agarwal",
-    rollNumber: "9A002",
-    classId: 3,
-    className: "Grade 9 - Section A",
-    feeStructureId: 2,
-    amount: 4500,
-    paidAmount: 0,
-    pendingAmount: 4500,
-    paymentDate: null,
-    dueDate: "2025-01-31",
-    status: "overdue",
-    paymentMethod: null,
-    transactionId: null,
-    remarks: "Payment overdue"
-  }
-];
-
-const SAMPLE_CLASSES = [
-  { id: 1, name: "Grade 10 - Section A" },
-  { id: 2, name: "Grade 10 - Section B" },
-  { id: 3, name: "Grade 9 - Section A" },
-  { id: 4, name: "Grade 11 - Section A" }
-];
-
 const Fees = () => {
+  const { user } = useAuth();
+
   // ==========================================
   // COMPONENT STATE
   // ==========================================
   
   const [activeTab, setActiveTab] = useState('payments');
-  const [feePayments, setFeePayments] = useState(SAMPLE_FEE_PAYMENTS);
-  const [feeStructures, setFeeStructures] = useState(SAMPLE_FEE_STRUCTURES);
   const [selectedPayment, setSelectedPayment] = useState(null);
   const [isModalVisible, setIsModalVisible] = useState(false);
-  const [modalType, setModalType] = useState('view'); // 'view', 'payment', 'structure'
+  const [modalType, setModalType] = useState('view'); // 'view', 'payment'
   const [form] = Form.useForm();
   const [loading, setLoading] = useState(false);
+  const [receiptFor, setReceiptFor] = useState(null); // { studentId, paymentId }
+  const [waivingFine, setWaivingFine] = useState(null);
+  const [adjustingPayment, setAdjustingPayment] = useState(null);
+  const [payingOnline, setPayingOnline] = useState(null);
+  const [filterClass, setFilterClass] = useState('all');
+  const [filterStatus, setFilterStatus] = useState('all');
+  const [dueRange, setDueRange] = useState(null);
+  const [applyingLateFees, setApplyingLateFees] = useState(false);
+  const { settings: school } = useSchoolSettings();
 
-  // TODO: Replace with actual user data from Supabase auth
   const currentUser = {
-    role: 'admin', // Change to test different roles: 'superadmin', 'admin', 'student', 'parent'
-    name: 'Mrs. Sunita Sharma',
-    assignedClassIds: [1, 3],
-    studentId: 1, // For student role
-    childrenIds: [1, 2] // For parent role
+    id: user?.id,
+    role: user?.user_metadata?.role || 'student',
+    name: user?.user_metadata?.full_name || 'User',
+    schoolCode: user?.user_metadata?.school_code,
+  };
+
+  // Fee accounts (one per student) with balances computed from the ledger
+  const {
+    accounts: feePayments,
+    assignedClassIds,
+    loading: ledgerLoading,
+    error: ledgerError,
+    refetch: refetchAccounts
+  } = useFeeLedger(currentUser);
+
+  // The Payments tab's totals are added up in Postgres for the classes in view
+  const summaryClassIds = filterClass !== 'all'
+    ? [filterClass]
+    : currentUser.role === 'admin' ? assignedClassIds : null;
+  const {
+    summary,
+    error: summaryError,
+    refetch: refetchSummary
+  } = useFeeCollectionSummary({
+    schoolCode: currentUser.schoolCode,
+    from: dueRange?.[0] || null,
+    to: dueRange?.[1] || null,
+    classIds: summaryClassIds,
+  });
+
+  const refetchLedger = () => {
+    refetchAccounts();
+    refetchSummary();
   };
 
+  // Looked up from the ledger so a new payment's receipt opens once it has loaded
+  const receiptAccount = receiptFor && feePayments.find(account => account.studentId === receiptFor.studentId);
+  const receiptPayment = receiptAccount?.entries.find(entry => entry.id === receiptFor.paymentId);
+  // The account in the details modal, kept current as the ledger reloads
+  const viewedPayment = selectedPayment && (feePayments.find(account => account.id === selectedPayment.id) || selectedPayment);
+
   // ==========================================
   // ROLE-BASED PERMISSIONS
   // ==========================================
@@ -214,10 +147,10 @@ const Fees = () => {
     canManageFeeStructure: ['superadmin', 'admin'].includes(currentUser.role),
     canViewAllPayments: ['superadmin', 'admin'].includes(currentUser.role),
     canProcessPayments: ['superadmin', 'admin'].includes(currentUser.role),
+    canPayOnline: currentUser.role === 'student',
     canViewReports: ['superadmin', 'admin'].includes(currentUser.role),
-    availableTabs: currentUser.role === 'student' ? ['payments'] : 
-                  currentUser.role === 'parent' ? ['payments', 'history'] :
-                  ['payments', 'structure', 'reports']
+    availableTabs: currentUser.role === 'student' ? ['payments'] :
+                  ['payments', 'defaulters', 'structure', 'concessions', 'closing', 'reports']
   };
 
   // ==========================================
@@ -225,38 +158,26 @@ const Fees = () => {
   // ==========================================
   
   // Get fee payments based on user role
-  // TODO: Replace with Supabase query based on user permissions
-  const getFilteredPayments = () => {
+  const getAccessiblePayments = () => {
     switch (currentUser.role) {
       case 'superadmin':
         return feePayments;
       case 'admin':
         return feePayments.filter(payment => 
-          currentUser.assignedClassIds.includes(payment.classId)
+          assignedClassIds.includes(payment.classId)
         );
       case 'student':
-        return feePayments.filter(payment => payment.studentId === currentUser.studentId);
-      case 'parent':
-        return feePayments.filter(payment => 
-          currentUser.childrenIds.includes(payment.studentId)
-        );
+        return feePayments.filter(payment => payment.studentId === currentUser.id);
       default:
         return [];
     }
   };
 
-  // Get available classes based on user role
-  // TODO: Replace with Supabase query
-  const getAvailableClasses = () => {
-    switch (currentUser.role) {
-      case 'superadmin':
-        return SAMPLE_CLASSES;
-      case 'admin':
-        return SAMPLE_CLASSES.filter(cls => currentUser.assignedClassIds.includes(cls.id));
-      default:
-        return [];
-    }
-  };
+  // The accessible payments narrowed by the class and status filters
+  const getFilteredPayments = () => getAccessiblePayments().filter(payment =>
+    (filterClass === 'all' || payment.classId === filterClass) &&
+    (filterStatus === 'all' || payment.status === filterStatus)
+  );
 
   // ==========================================
   // EVENT HANDLERS
@@ -274,50 +195,40 @@ const Fees = () => {
     form.setFieldsValue({
       studentName: payment.studentName,
       amount: payment.pendingAmount,
-      paymentMethod: 'Online',
+      paymentMethod: 'cash',
       paymentDate: dayjs()
     });
     setIsModalVisible(true);
   };
 
-  const handleCreateFeeStructure = () => {
-    setModalType('structure');
-    setSelectedPayment(null);
-    form.resetFields();
-    setIsModalVisible(true);
-  };
-
   const handleModalSubmit = async (values) => {
     setLoading(true);
     
     try {
-      // TODO: Replace with Supabase operations
       if (modalType === 'payment') {
-        // Process payment
-        const updatedPayments = feePayments.map(payment => 
-          payment.id === selectedPayment.id 
-            ? {
-                ...payment,
-                paidAmount: payment.paidAmount + parseFloat(values.amount),
-                pendingAmount: payment.pendingAmount - parseFloat(values.amount),
-                status: payment.pendingAmount - parseFloat(values.amount) <= 0 ? 'paid' : 'partial',
-                paymentDate: values.paymentDate.format('YYYY-MM-DD'),
-                paymentMethod: values.paymentMethod,
-                transactionId: `TXN${Date.now()}`,
-                remarks: values.remarks || 'Payment processed'
-              }
-            : payment
-        );
-        setFeePayments(updatedPayments);
-      } else if (modalType === 'structure') {
-        // Create fee structure
-        const newStructure = {
-          id: Date.now(),
-          ...values,
-          className: SAMPLE_CLASSES.find(c => c.id === values.classId)?.name,
-          status: 'active'
-        };
-        setFeeStructures(prev => [...prev, newStructure]);
+        // Each payment is its own ledger entry; balances follow from the ledger
+        const { data, error } = await supabase.from('fee_ledger_entries').insert({
+          student_id: selectedPayment.studentId,
+          class_instance_id: selectedPayment.classId,
+          fee_structure_id: selectedPayment.feeStructureId,
+          entry_type: 'payment',
+          amount: parseFloat(values.amount),
+          entry_date: values.paymentDate.format('YYYY-MM-DD'),
+          payment_method: values.paymentMethod,
+          reference: values.reference?.trim() || null,
+          collected_by: currentUser.id,
+          collector_name: currentUser.name,
+          remarks: values.remarks?.trim() || null,
+          school_code: currentUser.schoolCode,
+          created_by: currentUser.id
+        }).select('id, receipt_number').single();
+        if (error) {
+          message.error(error.message);
+          return;
+        }
+        message.success(`Payment recorded - receipt ${data.receipt_number}`);
+        refetchLedger();
+        setReceiptFor({ studentId: selectedPayment.studentId, paymentId: data.id });
       }
       
       setIsModalVisible(false);
@@ -329,6 +240,44 @@ const Fees = () => {
     }
   };
 
+  // Exports the accounts in view, as filtered, to CSV or Excel
+  const handleExport = ({ key: format }) => {
+    const accounts = getFilteredPayments();
+    if (!accounts.length) {
+      message.info('No fee accounts to export');
+      return;
+    }
+    const columns = feeReportColumns(accounts);
+    const filename = `fee_report_${dayjs().format('YYYY-MM-DD')}`;
+    if (format === 'xlsx') {
+      downloadXlsx(`${filename}.xlsx`, accounts, columns, 'Fees');
+    } else {
+      downloadCsv(`${filename}.csv`, toCsv(accounts, columns));
+    }
+  };
+
+  // The daily schedule charges late fees too; this catches up without waiting for it
+  const handleApplyLateFees = async () => {
+    setApplyingLateFees(true);
+    try {
+      const { data, error } = await supabase
+        .rpc('accrue_late_fees', { p_school_code: currentUser.schoolCode })
+        .single();
+      if (error) {
+        message.error(error.message);
+        return;
+      }
+      if (!data.fines) {
+        message.info('No new late fees to charge');
+        return;
+      }
+      message.success(`Charged ${data.fines} late fee(s) totalling ${formatAmount(data.total)}`);
+      refetchLedger();
+    } finally {
+      setApplyingLateFees(false);
+    }
+  };
+
   // ==========================================
   // TABLE COLUMNS
   // ==========================================
@@ -369,21 +318,22 @@ const Fees = () => {
       ),
     },
     {
-      title: 'Due Date',
+      title: 'Next Instalment',
       dataIndex: 'dueDate',
       key: 'dueDate',
-      render: (dueDate) => {
-        const isOverdue = dayjs(dueDate).isBefore(dayjs());
+      render: (dueDate, record) => {
+        if (!dueDate) return '-';
+        const isOverdue = record.overdueInstalments.length > 0;
         return (
           <div>
             <Text type={isOverdue ? 'danger' : 'default'}>
-              {dayjs(dueDate).format('DD MMM YYYY')}
+              {record.instalment} • {dayjs(dueDate).format('DD MMM YYYY')}
             </Text>
             {isOverdue && (
               <>
                 <br />
                 <Text type="danger" style={{ fontSize: '12px' }}>
-                  Overdue
+                  Overdue: {record.overdueInstalments.join(', ')}
                 </Text>
               </>
             )}
@@ -396,12 +346,6 @@ const Fees = () => {
       dataIndex: 'status',
       key: 'status',
       render: (status) => {
-        const colors = {
-          paid: 'green',
-          partial: 'orange',
-          pending: 'blue',
-          overdue: 'red'
-        };
         const icons = {
           paid: <CheckCircleOutlined />,
           partial: <ClockCircleOutlined />,
@@ -409,7 +353,7 @@ const Fees = () => {
           overdue: <CloseCircleOutlined />
         };
         return (
-          <Tag color={colors[status]} icon={icons[status]}>
+          <Tag color={FEE_STATUS_COLORS[status]} icon={icons[status]}>
             {status.toUpperCase()}
           </Tag>
         );
@@ -432,80 +376,116 @@ const Fees = () => {
               onClick={() => handleProcessPayment(record)}
             />
           )}
+          {permissions.canPayOnline && record.pendingAmount > 0 && (
+            <Button
+              type="primary"
+              size="small"
+              icon={<WalletOutlined />}
+              onClick={() => setPayingOnline(record)}
+            >
+              Pay Online
+            </Button>
+          )}
         </Space>
       ),
     },
   ];
 
-  const structureColumns = [
-    {
-      title: 'Fee Structure',
-      key: 'structure',
-      render: (_, record) => (
-        <div>
-          <Text strong>{record.name}</Text>
-          <br />
-          <Text type="secondary" style={{ fontSize: '12px' }}>
-            {record.className} • {record.academicYear}
-          </Text>
-        </div>
-      ),
-    },
+  const ledgerColumns = [
     {
-      title: 'Components',
-      key: 'components',
-      render: (_, record) => (
-        <div>
-          {record.components.map((component, index) => (
-            <div key={index} style={{ marginBottom: '4px' }}>
-              <Text style={{ fontSize: '12px' }}>
-                {component.name}: ₹{component.amount.toLocaleString()}
-              </Text>
-            </div>
-          ))}
-        </div>
-      ),
+      title: 'Date',
+      key: 'date',
+      render: (_, entry) => dayjs(entry.due_date || entry.entry_date).format('DD MMM YYYY')
     },
     {
-      title: 'Total Amount',
-      dataIndex: 'totalAmount',
-      key: 'totalAmount',
-      render: (amount) => (
-        <Text strong style={{ fontSize: '16px' }}>
-          ₹{amount.toLocaleString()}
-        </Text>
+      title: 'Type',
+      dataIndex: 'entry_type',
+      key: 'entry_type',
+      render: (type) => (
+        <Tag color={LEDGER_ENTRY_TYPES[type]?.color}>{LEDGER_ENTRY_TYPES[type]?.label || type}</Tag>
       )
     },
     {
-      title: 'Due Date',
-      dataIndex: 'dueDate',
-      key: 'dueDate',
-      render: (dueDate) => dayjs(dueDate).format('DD MMM YYYY')
+      title: 'Details',
+      key: 'details',
+      render: (_, entry) => (
+        <div>
+          <Text>{entry.description || FEE_PAYMENT_METHODS[entry.payment_method] || '-'}</Text>
+          {entry.receipt_number && (
+            <>
+              <br />
+              <Text type="secondary" style={{ fontSize: '12px' }}>Receipt {entry.receipt_number}</Text>
+            </>
+          )}
+          {entry.reference && (
+            <>
+              <br />
+              <Text type="secondary" style={{ fontSize: '12px' }}>Ref: {entry.reference}</Text>
+            </>
+          )}
+          {entry.collector_name && (
+            <>
+              <br />
+              <Text type="secondary" style={{ fontSize: '12px' }}>{entry.entry_type === 'payment' ? 'Collected' : 'Handled'} by {entry.collector_name}</Text>
+            </>
+          )}
+          {entry.reason && (
+            <>
+              <br />
+              <Text type="secondary" style={{ fontSize: '12px' }}>Reason: {entry.reason}</Text>
+            </>
+          )}
+        </div>
+      )
     },
     {
-      title: 'Status',
-      dataIndex: 'status',
-      key: 'status',
-      render: (status) => (
-        <Tag color={status === 'active' ? 'green' : 'default'}>
-          {status.toUpperCase()}
-        </Tag>
+      title: 'Amount',
+      dataIndex: 'amount',
+      key: 'amount',
+      align: 'right',
+      render: (amount, entry) => (
+        <Text type={LEDGER_ENTRY_TYPES[entry.entry_type]?.sign < 0 ? 'success' : undefined}>
+          {LEDGER_ENTRY_TYPES[entry.entry_type]?.sign < 0 ? '-' : ''}{formatAmount(amount)}
+        </Text>
       )
     },
     {
-      title: 'Actions',
-      key: 'actions',
-      render: (_, record) => (
-        <Space>
-          <Button type="text" icon={<EyeOutlined />} />
-          {permissions.canManageFeeStructure && (
-            <>
-              <Button type="text" icon={<EditOutlined />} />
-              <Button type="text" danger icon={<DeleteOutlined />} />
-            </>
-          )}
-        </Space>
-      ),
+      title: '',
+      key: 'receipt',
+      render: (_, entry) => {
+        if (entry.receipt_number && (permissions.canProcessPayments || permissions.canPayOnline)) {
+          const canUndo = permissions.canProcessPayments &&
+            entry.entry_type === 'payment' &&
+            paymentBalance(viewedPayment.entries, entry) > 0;
+          return (
+            <Space size={0}>
+              <Button
+                type="text"
+                icon={<PrinterOutlined />}
+                title="Reprint receipt"
+                onClick={() => setReceiptFor({ studentId: entry.student_id, paymentId: entry.id })}
+              />
+              {canUndo && (
+                <Button
+                  type="text"
+                  danger
+                  icon={<RollbackOutlined />}
+                  title="Reverse or refund"
+                  onClick={() => setAdjustingPayment(entry)}
+                />
+              )}
+            </Space>
+          );
+        }
+        if (permissions.canProcessPayments && entry.entry_type === 'fine' && fineBalance(viewedPayment.entries, entry) > 0) {
+          return (
+            <Button size="small" onClick={() => setWaivingFine(entry)}>
+              Waive
+            </Button>
+          );
+        }
+        return null;
+      }
     },
   ];
 
@@ -515,18 +495,38 @@ const Fees = () => {
   
   const renderPayments = () => {
     const filteredPayments = getFilteredPayments();
+    const classOptions = [...new Map(getAccessiblePayments()
+      .map(payment => [payment.classId, payment.className])).entries()]
+      .sort((a, b) => a[1].localeCompare(b[1], undefined, { numeric: true }));
     
-    // Calculate statistics
-    const totalAmount = filteredPayments.reduce((sum, payment) => sum + payment.amount, 0);
-    const paidAmount = filteredPayments.reduce((sum, payment) => sum + payment.paidAmount, 0);
-    const pendingAmount = filteredPayments.reduce((sum, payment) => sum + payment.pendingAmount, 0);
-    const overduePayments = filteredPayments.filter(payment => 
-      payment.status === 'overdue' || 
-      (payment.pendingAmount > 0 && dayjs(payment.dueDate).isBefore(dayjs()))
-    ).length;
+    // Statistics of the charges falling due in the selected dates
+    const totalAmount = summary.expected;
+    const paidAmount = summary.collected;
+    const pendingAmount = summary.pending;
+    const overduePayments = summary.overdue_students;
+    const payableAmount = summary.expected - summary.concession - summary.waived;
     
     return (
       <div>
+        {ledgerError && (
+          <Alert
+            message="Could not load fee accounts"
+            description={ledgerError}
+            type="error"
+            showIcon
+            style={{ marginBottom: '16px' }}
+          />
+        )}
+        {summaryError && (
+          <Alert
+            message="Could not load fee totals"
+            description={summaryError}
+            type="error"
+            showIcon
+            style={{ marginBottom: '16px' }}
+          />
+        )}
+
         {/* Statistics Cards */}
         <Row gutter={[16, 16]} style={{ marginBottom: '16px' }}>
           <Col xs={24} sm={12} md={6}>
@@ -580,14 +580,14 @@ const Fees = () => {
             <Col xs={24} md={18}>
               <Text strong>Fee Collection Progress</Text>
               <Progress
-                percent={totalAmount > 0 ? Math.round((paidAmount / totalAmount) * 100) : 0}
+                percent={payableAmount > 0 ? Math.round((paidAmount / payableAmount) * 100) : 0}
                 strokeColor="#52c41a"
                 style={{ marginTop: '8px' }}
               />
             </Col>
             <Col xs={24} md={6} style={{ textAlign: 'right' }}>
               <Text strong style={{ fontSize: '18px' }}>
-                {totalAmount > 0 ? Math.round((paidAmount / totalAmount) * 100) : 0}%
+                {payableAmount > 0 ? Math.round((paidAmount / payableAmount) * 100) : 0}%
               </Text>
               <br />
               <Text type="secondary">Collected</Text>
@@ -598,7 +598,7 @@ const Fees = () => {
         {/* Overdue Alert */}
         {overduePayments > 0 && (
           <Alert
-            message={`${overduePayments} payment(s) are overdue`}
+            message={`${overduePayments} student(s) are overdue`}
             description="Please follow up with students/parents for pending payments."
             type="warning"
             showIcon
@@ -611,16 +611,54 @@ const Fees = () => {
           title="Fee Payments"
           extra={
             permissions.canProcessPayments && (
-              <Button icon={<DownloadOutlined />}>
-                Export Report
-              </Button>
+              <Space>
+                <Button icon={<ThunderboltOutlined />} onClick={handleApplyLateFees} loading={applyingLateFees}>
+                  Apply Late Fees
+                </Button>
+                <Dropdown
+                  menu={{
+                    items: [
+                      { key: 'csv', label: 'CSV (.csv)' },
+                      { key: 'xlsx', label: 'Excel (.xlsx)' },
+                    ],
+                    onClick: handleExport,
+                  }}
+                >
+                  <Button icon={<DownloadOutlined />}>
+                    Export Report
+                  </Button>
+                </Dropdown>
+              </Space>
             )
           }
         >
+          {permissions.canViewAllPayments && (
+            <Space wrap style={{ marginBottom: '16px' }}>
+              <Select value={filterClass} onChange={setFilterClass} style={{ width: 180 }}>
+                <Option value="all">All Classes</Option>
+                {classOptions.map(([classId, className]) => (
+                  <Option key={classId} value={classId}>{className}</Option>
+                ))}
+              </Select>
+              <Select value={filterStatus} onChange={setFilterStatus} style={{ width: 160 }}>
+                <Option value="all">All Statuses</Option>
+                {Object.keys(FEE_STATUS_COLORS).map(status => (
+                  <Option key={status} value={status}>{status.charAt(0).toUpperCase() + status.slice(1)}</Option>
+                ))}
+              </Select>
+              <RangePicker
+                value={dueRange}
+                onChange={setDueRange}
+                placeholder={['Due from', 'Due to']}
+                format="DD MMM YYYY"
+              />
+            </Space>
+          )}
           <Table
             columns={paymentColumns}
             dataSource={filteredPayments}
             rowKey="id"
+            loading={ledgerLoading}
             pagination={{
               pageSize: 10,
               showSizeChanger: true,
@@ -647,41 +685,36 @@ const Fees = () => {
     }
 
     return (
-      <div>
-        <Row justify="space-between" align="middle" style={{ marginBottom: '16px' }}>
-          <Col>
-            <Title level={4} style={{ margin: 0 }}>
-              Fee Structures
-            </Title>
-          </Col>
-          <Col>
-            <Button
-              type="primary"
-              icon={<PlusOutlined />}
-              onClick={handleCreateFeeStructure}
-            >
-              Create Fee Structure
-            </Button>
-          </Col>
-        </Row>
-
-        <Card>
-          <Table
-            columns={structureColumns}
-            dataSource={feeStructures}
-            rowKey="id"
-            pagination={{
-              pageSize: 10,
-              showSizeChanger: true,
-              showTotal: (total, range) => 
-                `${range[0]}-${range[1]} of ${total} structures`
-            }}
-          />
-        </Card>
-      </div>
+      <FeeStructures
+        schoolCode={currentUser.schoolCode}
+        userId={currentUser.id}
+        canManage={permissions.canManageFeeStructure}
+        onDuesRaised={refetchLedger}
+      />
     );
   };
 
+  const renderDefaulters = () => (
+    <Defaulters
+      accounts={getAccessiblePayments()}
+      currentUser={currentUser}
+      schoolName={school?.school_name || 'School'}
+    />
+  );
+
+  const renderConcessions = () => (
+    <Concessions
+      schoolCode={currentUser.schoolCode}
+      userId={currentUser.id}
+      role={currentUser.role}
+      onApplied={refetchLedger}
+    />
+  );
+
+  const renderClosing = () => (
+    <DailyClosing currentUser={currentUser} />
+  );
+
   const renderReports = () => {
     if (!permissions.canViewReports) {
       return (
@@ -694,36 +727,11 @@ const Fees = () => {
       );
     }
 
-    const filteredPayments = getFilteredPayments();
-    const monthlyCollection = filteredPayments
-      .filter(payment => payment.paymentDate)
-      .reduce((acc, payment) => {
-        const month = dayjs(payment.paymentDate).format('MMM YYYY');
-        acc[month] = (acc[month] || 0) + payment.paidAmount;
-        return acc;
-      }, {});
-
     return (
-      <div>
-        <Title level={4} style={{ marginBottom: '16px' }}>
-          Fee Reports & Analytics
-        </Title>
-        
-        <Row gutter={[16, 16]}>
-          <Col xs={24} md={12}>
-            <Card title="Monthly Collection">
-              <Space direction="vertical" style={{ width: '100%' }}>
-                {Object.entries(monthlyCollection).map(([month, amount]) => (
-                  <div key={month} style={{ display: 'flex', justifyContent: 'space-between' }}>
-                    <Text>{month}</Text>
-                    <Text strong>₹{amount.toLocaleString()}</Text>
-                  </div>
-                ))}
-              </Space>
-            </Card>
-          </Col>
-        </Row>
-      </div>
+      <FeeReports
+        schoolCode={currentUser.schoolCode}
+        classIds={currentUser.role === 'superadmin' ? null : assignedClassIds}
+      />
     );
   };
 
@@ -742,7 +750,6 @@ const Fees = () => {
             </Title>
             <Text type="secondary" style={{ fontSize: '16px' }}>
               {currentUser.role === 'student' && 'View your fee payments and pending amounts'}
-              {currentUser.role === 'parent' && 'Monitor your children\'s fee payments'}
               {['admin', 'superadmin'].includes(currentUser.role) && 'Manage fee structures and track payments'}
             </Text>
           </Col>
@@ -773,6 +780,20 @@ const Fees = () => {
           </TabPane>
         )}
         
+        {permissions.availableTabs.includes('defaulters') && (
+          <TabPane
+            tab={
+              <Space>
+                <WarningOutlined />
+                Defaulters
+              </Space>
+            }
+            key="defaulters"
+          >
+            {renderDefaulters()}
+          </TabPane>
+        )}
+
         {permissions.availableTabs.includes('structure') && (
           <TabPane
             tab={
@@ -787,6 +808,34 @@ const Fees = () => {
           </TabPane>
         )}
         
+        {permissions.availableTabs.includes('concessions') && (
+          <TabPane
+            tab={
+              <Space>
+                <GiftOutlined />
+                Concessions
+              </Space>
+            }
+            key="concessions"
+          >
+            {renderConcessions()}
+          </TabPane>
+        )}
+
+        {permissions.availableTabs.includes('closing') && (
+          <TabPane
+            tab={
+              <Space>
+                <LockOutlined />
+                Daily Closing
+              </Space>
+            }
+            key="closing"
+          >
+            {renderClosing()}
+          </TabPane>
+        )}
+
         {permissions.availableTabs.includes('reports') && (
           <TabPane
             tab={
@@ -802,11 +851,10 @@ const Fees = () => {
         )}
       </Tabs>
 
-      {/* Payment/Structure Modal */}
+      {/* Payment Modal */}
       <Modal
         title={
-          modalType === 'view' ? 'Payment Details' :
-          modalType === 'payment' ? 'Process Payment' : 'Create Fee Structure'
+          modalType === 'view' ? 'Payment Details' : 'Process Payment'
         }
         open={isModalVisible}
         onCancel={() => setIsModalVisible(false)}
@@ -815,73 +863,72 @@ const Fees = () => {
             Close
           </Button>
         ] : null}
-        width={600}
+        width={modalType === 'view' ? 760 : 600}
       >
-        {modalType === 'view' && selectedPayment && (
+        {modalType === 'view' && viewedPayment && (
           <div>
             <Row gutter={[16, 16]}>
               <Col xs={24} md={12}>
                 <Text strong>Student: </Text>
-                <Text>{selectedPayment.studentName}</Text>
+                <Text>{viewedPayment.studentName}</Text>
               </Col>
               <Col xs={24} md={12}>
                 <Text strong>Roll Number: </Text>
-                <Text>{selectedPayment.rollNumber}</Text>
+                <Text>{viewedPayment.rollNumber}</Text>
               </Col>
               <Col xs={24} md={12}>
                 <Text strong>Class: </Text>
-                <Text>{selectedPayment.className}</Text>
+                <Text>{viewedPayment.className}</Text>
               </Col>
               <Col xs={24} md={12}>
                 <Text strong>Total Amount: </Text>
-                <Text>₹{selectedPayment.amount.toLocaleString()}</Text>
+                <Text>₹{viewedPayment.amount.toLocaleString()}</Text>
               </Col>
               <Col xs={24} md={12}>
                 <Text strong>Paid Amount: </Text>
-                <Text style={{ color: '#52c41a' }}>₹{selectedPayment.paidAmount.toLocaleString()}</Text>
+                <Text style={{ color: '#52c41a' }}>₹{viewedPayment.paidAmount.toLocaleString()}</Text>
               </Col>
+              {viewedPayment.concessionAmount > 0 && (
+                <Col xs={24} md={12}>
+                  <Text strong>Concession: </Text>
+                  <Text style={{ color: '#13c2c2' }}>{formatAmount(viewedPayment.concessionAmount)}</Text>
+                </Col>
+              )}
               <Col xs={24} md={12}>
                 <Text strong>Pending Amount: </Text>
-                <Text style={{ color: selectedPayment.pendingAmount > 0 ? '#ff4d4f' : '#52c41a' }}>
-                  ₹{selectedPayment.pendingAmount.toLocaleString()}
+                <Text style={{ color: viewedPayment.pendingAmount > 0 ? '#ff4d4f' : '#52c41a' }}>
+                  ₹{viewedPayment.pendingAmount.toLocaleString()}
                 </Text>
               </Col>
               <Col xs={24} md={12}>
-                <Text strong>Due Date: </Text>
-                <Text>{dayjs(selectedPayment.dueDate).format('DD MMM YYYY')}</Text>
+                <Text strong>Next Due: </Text>
+                <Text>
+                  {viewedPayment.dueDate
+                    ? `${viewedPayment.instalment} • ${dayjs(viewedPayment.dueDate).format('DD MMM YYYY')}`
+                    : '-'}
+                </Text>
               </Col>
+              {viewedPayment.overdueInstalments.length > 0 && (
+                <Col xs={24}>
+                  <Text strong>Overdue Instalments: </Text>
+                  <Text type="danger">{viewedPayment.overdueInstalments.join(', ')}</Text>
+                </Col>
+              )}
               <Col xs={24} md={12}>
                 <Text strong>Status: </Text>
-                <Tag color={
-                  selectedPayment.status === 'paid' ? 'green' :
-                  selectedPayment.status === 'partial' ? 'orange' :
-                  selectedPayment.status === 'overdue' ? 'red' : 'blue'
-                }>
-                  {selectedPayment.status.toUpperCase()}
+                <Tag color={FEE_STATUS_COLORS[viewedPayment.status]}>
+                  {viewedPayment.status.toUpperCase()}
                 </Tag>
               </Col>
-              {selectedPayment.paymentDate && (
-                <>
-                  <Col xs={24} md={12}>
-                    <Text strong>Payment Date: </Text>
-                    <Text>{dayjs(selectedPayment.paymentDate).format('DD MMM YYYY')}</Text>
-                  </Col>
-                  <Col xs={24} md={12}>
-                    <Text strong>Payment Method: </Text>
-                    <Text>{selectedPayment.paymentMethod}</Text>
-                  </Col>
-                  <Col xs={24} md={12}>
-                    <Text strong>Transaction ID: </Text>
-                    <Text>{selectedPayment.transactionId}</Text>
-                  </Col>
-                </>
-              )}
-              <Col xs={24}>
-                <Text strong>Remarks: </Text>
-                <br />
-                <Text>{selectedPayment.remarks}</Text>
-              </Col>
             </Row>
+            <Divider orientation="left">Transactions</Divider>
+            <Table
+              columns={ledgerColumns}
+              dataSource={viewedPayment.entries}
+              rowKey="id"
+              size="small"
+              pagination={false}
+            />
           </div>
         )}
         
@@ -901,7 +948,18 @@ const Fees = () => {
             <Form.Item
               name="amount"
               label="Payment Amount"
-              rules={[{ required: true, message: 'Please enter payment amount' }]}
+              rules={[
+                { required: true, message: 'Please enter payment amount' },
+                {
+                  validator: async (_, value) => {
+                    const amount = parseFloat(value);
+                    if (value && !(amount > 0)) throw new Error('Amount must be more than zero');
+                    if (amount > selectedPayment.pendingAmount) {
+                      throw new Error(`Only ${formatAmount(selectedPayment.pendingAmount)} is pending`);
+                    }
+                  }
+                }
+              ]}
             >
               <Input
                 type="number"
@@ -916,12 +974,19 @@ const Fees = () => {
               rules={[{ required: true, message: 'Please select payment method' }]}
             >
               <Select placeholder="Select payment method">
-                <Option value="Cash">Cash</Option>
-                <Option value="Online">Online Transfer</Option>
-                <Option value="Cheque">Cheque</Option>
-                <Option value="Card">Debit/Credit Card</Option>
+                {Object.entries(FEE_PAYMENT_METHODS).map(([value, label]) => (
+                  <Option key={value} value={value}>{label}</Option>
+                ))}
               </Select>
             </Form.Item>
+
+            <Form.Item
+              name="reference"
+              label="Reference"
+              extra="Cheque number, UPI or bank transaction reference"
+            >
+              <Input placeholder="Enter reference" />
+            </Form.Item>
             
             <Form.Item
               name="paymentDate"
@@ -954,6 +1019,47 @@ const Fees = () => {
           </Form>
         )}
       </Modal>
+
+      <WaiveFine
+        fine={waivingFine}
+        balance={waivingFine && viewedPayment ? fineBalance(viewedPayment.entries, waivingFine) : 0}
+        currentUser={currentUser}
+        onClose={() => setWaivingFine(null)}
+        onWaived={() => {
+          setWaivingFine(null);
+          refetchLedger();
+        }}
+      />
+
+      <AdjustPayment
+        payment={adjustingPayment}
+        balance={adjustingPayment && viewedPayment ? paymentBalance(viewedPayment.entries, adjustingPayment) : 0}
+        currentUser={currentUser}
+        onClose={() => setAdjustingPayment(null)}
+        onDone={(refundId) => {
+          if (refundId) setReceiptFor({ studentId: adjustingPayment.student_id, paymentId: refundId });
+          setAdjustingPayment(null);
+          refetchLedger();
+        }}
+      />
+
+      <PayOnline
+        account={payingOnline}
+        onClose={() => setPayingOnline(null)}
+        onPaid={(paymentId) => {
+          setReceiptFor({ studentId: payingOnline.studentId, paymentId });
+          setPayingOnline(null);
+          refetchLedger();
+        }}
+      />
+
+      <FeeReceipt
+        receipt={receiptPayment ? { account: receiptAccount, payment: receiptPayment } : null}
+        school={school}
+        schoolCode={currentUser.schoolCode}
+        userId={currentUser.id}
+        onClose={() => setReceiptFor(null)}
+      />
     </Content>
   );
 };
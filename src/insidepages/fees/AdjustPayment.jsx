@@ -0,0 +1,188 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, Form, Input, InputNumber, Radio, Select, Typography, message } from 'antd';
+import dayjs from 'dayjs';
+import { supabase } from '../../config/supabaseClient';
+import { DEFAULT_BOUNCE_CHARGE, FEE_PAYMENT_METHODS, formatAmount } from '../../lib/fees';
+
+const { Text } = Typography;
+const { Option } = Select;
+
+const ADJUSTMENTS = {
+  reversal: 'Reverse (recorded by mistake)',
+  refund: 'Refund',
+  cheque_bounce: 'Cheque bounced',
+};
+
+/**
+ * Takes back all or part of a payment: a reversal for one keyed in wrongly, a
+ * refund (with its own receipt), or a bounced cheque with its bounce charge.
+ * The payment stays on the ledger; these are entries pointing at it, so the
+ * student's balance reopens by what was taken back.
+ */
+const AdjustPayment = ({ payment, balance, currentUser, onClose, onDone }) => {
+  const [form] = Form.useForm();
+  const [saving, setSaving] = useState(false);
+  const kind = Form.useWatch('kind', form);
+
+  useEffect(() => {
+    if (!payment) return;
+    form.resetFields();
+    form.setFieldsValue({
+      kind: 'reversal',
+      amount: balance,
+      refund_method: payment.payment_method,
+      bounce_charge: DEFAULT_BOUNCE_CHARGE,
+    });
+  }, [form, payment, balance]);
+
+  const handleSave = async (values) => {
+    const today = dayjs().format('YYYY-MM-DD');
+    const base = {
+      student_id: payment.student_id,
+      class_instance_id: payment.class_instance_id,
+      fee_structure_id: payment.fee_structure_id,
+      related_entry_id: payment.id,
+      entry_date: today,
+      collected_by: currentUser.id,
+      collector_name: currentUser.name,
+      school_code: currentUser.schoolCode,
+      created_by: currentUser.id,
+    };
+    const reason = values.reason.trim();
+    const rows = [];
+    if (values.kind === 'reversal') {
+      rows.push({
+        ...base,
+        entry_type: 'reversal',
+        amount: values.amount,
+        description: `Reversal of receipt ${payment.receipt_number}`,
+        reason,
+      });
+    } else if (values.kind === 'refund') {
+      rows.push({
+        ...base,
+        entry_type: 'refund',
+        amount: values.amount,
+        description: `Refund of receipt ${payment.receipt_number}`,
+        payment_method: values.refund_method,
+        reference: values.reference?.trim() || null,
+        reason,
+      });
+    } else {
+      rows.push({
+        ...base,
+        entry_type: 'cheque_bounce',
+        amount: balance,
+        description: `Cheque bounced - receipt ${payment.receipt_number}`,
+        reference: payment.reference,
+        reason,
+      });
+      if (values.bounce_charge > 0) {
+        rows.push({
+          ...base,
+          entry_type: 'bounce_charge',
+          amount: values.bounce_charge,
+          due_date: today,
+          description: 'Cheque bounce charge',
+        });
+      }
+    }
+
+    setSaving(true);
+    try {
+      const { data, error } = await supabase
+        .from('fee_ledger_entries')
+        .insert(rows)
+        .select('id, entry_type, receipt_number');
+      if (error) {
+        message.error(error.message);
+        return;
+      }
+      const refund = data.find(entry => entry.entry_type === 'refund');
+      message.success(refund ? `Refund recorded - receipt ${refund.receipt_number}` : 'Payment taken back');
+      onDone(refund?.id || null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      title="Reverse or Refund Payment"
+      open={!!payment}
+      onCancel={onClose}
+      onOk={() => form.submit()}
+      okText="Save"
+      okButtonProps={{ danger: true }}
+      confirmLoading={saving}
+      forceRender
+    >
+      {payment && (
+        <Text type="secondary">
+          Receipt {payment.receipt_number} • {formatAmount(payment.amount)} by {FEE_PAYMENT_METHODS[payment.payment_method]}
+          {' • '}{formatAmount(balance)} left to take back
+        </Text>
+      )}
+      <Form form={form} layout="vertical" onFinish={handleSave} style={{ marginTop: '16px' }}>
+        <Form.Item name="kind" label="What happened">
+          <Radio.Group>
+            {Object.entries(ADJUSTMENTS).map(([value, label]) => (
+              <Radio
+                key={value}
+                value={value}
+                disabled={value === 'cheque_bounce' && payment?.payment_method !== 'cheque'}
+              >
+                {label}
+              </Radio>
+            ))}
+          </Radio.Group>
+        </Form.Item>
+
+        {kind !== 'cheque_bounce' && (
+          <Form.Item
+            name="amount"
+            label="Amount"
+            rules={[{ required: true, message: 'Please enter the amount' }]}
+          >
+            <InputNumber min={0.01} max={balance} prefix="₹" style={{ width: '100%' }} />
+          </Form.Item>
+        )}
+
+        {kind === 'refund' && (
+          <>
+            <Form.Item name="refund_method" label="Refunded By" rules={[{ required: true }]}>
+              <Select>
+                {Object.entries(FEE_PAYMENT_METHODS).map(([value, label]) => (
+                  <Option key={value} value={value}>{label}</Option>
+                ))}
+              </Select>
+            </Form.Item>
+            <Form.Item name="reference" label="Reference">
+              <Input placeholder="Cheque / transaction number" />
+            </Form.Item>
+          </>
+        )}
+
+        {kind === 'cheque_bounce' && (
+          <Form.Item
+            name="bounce_charge"
+            label="Bounce Charge"
+            extra={`The full ${formatAmount(balance)} is taken back; the charge is added to the student's dues`}
+          >
+            <InputNumber min={0} prefix="₹" style={{ width: '100%' }} />
+          </Form.Item>
+        )}
+
+        <Form.Item
+          name="reason"
+          label="Reason"
+          rules={[{ required: true, whitespace: true, message: 'Please record the reason' }]}
+        >
+          <Input.TextArea rows={3} />
+        </Form.Item>
+      </Form>
+    </Modal>
+  );
+};
+
+export default AdjustPayment;
@@ -0,0 +1,536 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Card,
+  Row,
+  Col,
+  Button,
+  Table,
+  Select,
+  Form,
+  Input,
+  InputNumber,
+  Modal,
+  Tag,
+  Space,
+  Typography,
+  Switch,
+  message
+} from 'antd';
+import { PlusOutlined, EditOutlined, CheckOutlined, CloseOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { supabase } from '../../config/supabaseClient';
+import { fetchAllPages, postApprovedConcessions } from '../../hooks/useFeeLedger';
+import {
+  CONCESSION_KINDS,
+  CONCESSION_STATUS_COLORS,
+  classInstanceLabel,
+  describeConcessionType
+} from '../../lib/fees';
+
+const { Title, Text } = Typography;
+const { Option } = Select;
+
+/**
+ * Concession types (staff ward, sibling, merit, ...) and the concessions given
+ * to students on a fee structure. Staff propose a concession for a student; it
+ * comes off the student's dues once a superadmin approves it.
+ */
+const Concessions = ({ schoolCode, userId, role, onApplied }) => {
+  const [typeForm] = Form.useForm();
+  const [assignForm] = Form.useForm();
+  const [reviewForm] = Form.useForm();
+  const [types, setTypes] = useState([]);
+  const [concessions, setConcessions] = useState([]);
+  const [students, setStudents] = useState([]);
+  const [structures, setStructures] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [editingType, setEditingType] = useState(null); // type being edited, {} when creating
+  const [assigning, setAssigning] = useState(false);
+  const [reviewing, setReviewing] = useState(null);
+  const assignStudentId = Form.useWatch('student_id', assignForm);
+  const canManageTypes = role === 'superadmin';
+  const canReview = role === 'superadmin';
+
+  const fetchConcessions = useCallback(async () => {
+    setLoading(true);
+    const [typeResult, concessionResult] = await Promise.all([
+      supabase
+        .from('concession_types')
+        .select('*')
+        .eq('school_code', schoolCode)
+        .order('name'),
+      fetchAllPages(() => supabase
+        .from('student_concessions')
+        .select(`
+          *,
+          concession_type:concession_types (name, kind, value, components),
+          fee_structure:fee_structures (name),
+          student:student (full_name, student_code, class_instance:class_instances (grade, section))
+        `)
+        .eq('school_code', schoolCode)
+        .order('created_at', { ascending: false })),
+    ]);
+    const failed = typeResult.error || concessionResult.error;
+    if (failed) message.error(failed.message);
+    setTypes(typeResult.data || []);
+    setConcessions(concessionResult.data || []);
+    setLoading(false);
+  }, [schoolCode]);
+
+  const fetchOptions = useCallback(async () => {
+    const [studentResult, structureResult] = await Promise.all([
+      fetchAllPages(() => supabase
+        .from('student')
+        .select('id, full_name, student_code, class_instance_id')
+        .eq('school_code', schoolCode)
+        .order('full_name')),
+      supabase
+        .from('fee_structures')
+        .select('id, name, class_instance_id, status')
+        .eq('school_code', schoolCode)
+        .neq('status', 'archived')
+        .order('created_at', { ascending: false }),
+    ]);
+    if (!studentResult.error) setStudents(studentResult.data || []);
+    if (!structureResult.error) setStructures(structureResult.data || []);
+  }, [schoolCode]);
+
+  useEffect(() => {
+    if (!schoolCode) return;
+    fetchConcessions();
+    fetchOptions();
+  }, [schoolCode, fetchConcessions, fetchOptions]);
+
+  const openTypeForm = (type) => {
+    typeForm.resetFields();
+    typeForm.setFieldsValue(type || { kind: 'percent', components: [], is_active: true });
+    setEditingType(type || {});
+  };
+
+  const handleSaveType = async (values) => {
+    setSaving(true);
+    try {
+      const payload = {
+        name: values.name.trim(),
+        kind: values.kind,
+        value: values.value,
+        components: values.components || [],
+        description: values.description || null,
+        is_active: values.is_active,
+      };
+      const { error } = editingType.id
+        ? await supabase.from('concession_types').update(payload).eq('id', editingType.id)
+        : await supabase.from('concession_types').insert({ ...payload, school_code: schoolCode, created_by: userId });
+      if (error) {
+        message.error(error.code === '23505' ? 'A concession type with this name already exists' : error.message);
+        return;
+      }
+      message.success(editingType.id ? 'Concession type updated' : 'Concession type created');
+      setEditingType(null);
+      fetchConcessions();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openAssignForm = () => {
+    assignForm.resetFields();
+    setAssigning(true);
+  };
+
+  const handleAssign = async (values) => {
+    setSaving(true);
+    try {
+      const { error } = await supabase.from('student_concessions').insert({
+        student_id: values.student_id,
+        concession_type_id: values.concession_type_id,
+        fee_structure_id: values.fee_structure_id,
+        reason: values.reason.trim(),
+        status: 'pending',
+        requested_by: userId,
+        school_code: schoolCode,
+      });
+      if (error) {
+        message.error(error.code === '23505'
+          ? 'The student already has this concession on the fee structure'
+          : error.message);
+        return;
+      }
+      message.success('Concession sent for approval');
+      setAssigning(false);
+      fetchConcessions();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openReview = (concession) => {
+    reviewForm.resetFields();
+    setReviewing(concession);
+  };
+
+  const handleReview = async (status) => {
+    const { review_note: note } = reviewForm.getFieldsValue();
+    setSaving(true);
+    try {
+      const { error } = await supabase
+        .from('student_concessions')
+        .update({
+          status,
+          review_note: note?.trim() || null,
+          reviewed_by: userId,
+          reviewed_at: new Date().toISOString(),
+        })
+        .eq('id', reviewing.id)
+        .eq('status', 'pending');
+      if (error) {
+        message.error(error.message);
+        return;
+      }
+
+      if (status === 'approved') {
+        const { count, error: postError } = await postApprovedConcessions(
+          { schoolCode, userId },
+          { studentId: reviewing.student_id, feeStructureId: reviewing.fee_structure_id }
+        );
+        if (postError) {
+          message.error(`Approved, but the concession was not applied: ${postError.message}`);
+        } else {
+          message.success(count
+            ? `Concession approved and applied to ${count} due(s)`
+            : 'Concession approved; it applies once dues are raised');
+        }
+        onApplied?.();
+      } else {
+        message.success('Concession rejected');
+      }
+      setReviewing(null);
+      fetchConcessions();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const assignStudent = students.find(student => student.id === assignStudentId);
+
+  const typeColumns = [
+    {
+      title: 'Concession',
+      key: 'name',
+      render: (_, record) => (
+        <div>
+          <Text strong>{record.name}</Text>
+          {record.description && (
+            <>
+              <br />
+              <Text type="secondary" style={{ fontSize: '12px' }}>{record.description}</Text>
+            </>
+          )}
+        </div>
+      ),
+    },
+    {
+      title: 'Concession Given',
+      key: 'rule',
+      render: (_, record) => describeConcessionType(record),
+    },
+    {
+      title: 'Status',
+      dataIndex: 'is_active',
+      key: 'is_active',
+      render: (active) => <Tag color={active ? 'green' : 'default'}>{active ? 'ACTIVE' : 'INACTIVE'}</Tag>,
+    },
+    ...(canManageTypes ? [{
+      title: 'Actions',
+      key: 'actions',
+      render: (_, record) => (
+        <Button type="text" icon={<EditOutlined />} onClick={() => openTypeForm(record)} />
+      ),
+    }] : []),
+  ];
+
+  const concessionColumns = [
+    {
+      title: 'Student',
+      key: 'student',
+      render: (_, record) => (
+        <div>
+          <Text strong>{record.student?.full_name}</Text>
+          <br />
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            {record.student?.student_code} • {classInstanceLabel(record.student?.class_instance)}
+          </Text>
+        </div>
+      ),
+    },
+    {
+      title: 'Concession',
+      key: 'type',
+      render: (_, record) => (
+        <div>
+          <Text>{record.concession_type?.name}</Text>
+          <br />
+          <Text type="secondary" style={{ fontSize: '12px' }}>{describeConcessionType(record.concession_type)}</Text>
+        </div>
+      ),
+    },
+    {
+      title: 'Fee Structure',
+      key: 'structure',
+      render: (_, record) => record.fee_structure?.name,
+    },
+    {
+      title: 'Reason',
+      key: 'reason',
+      render: (_, record) => (
+        <div>
+          <Text>{record.reason}</Text>
+          {record.review_note && (
+            <>
+              <br />
+              <Text type="secondary" style={{ fontSize: '12px' }}>Review: {record.review_note}</Text>
+            </>
+          )}
+        </div>
+      ),
+    },
+    {
+      title: 'Status',
+      key: 'status',
+      render: (_, record) => (
+        <div>
+          <Tag color={CONCESSION_STATUS_COLORS[record.status]}>{record.status.toUpperCase()}</Tag>
+          {record.reviewed_at && (
+            <>
+              <br />
+              <Text type="secondary" style={{ fontSize: '12px' }}>
+                {dayjs(record.reviewed_at).format('DD MMM YYYY')}
+              </Text>
+            </>
+          )}
+        </div>
+      ),
+    },
+    ...(canReview ? [{
+      title: 'Actions',
+      key: 'actions',
+      render: (_, record) => record.status === 'pending' && (
+        <Button size="small" onClick={() => openReview(record)}>
+          Review
+        </Button>
+      ),
+    }] : []),
+  ];
+
+  return (
+    <div>
+      <Row justify="space-between" align="middle" style={{ marginBottom: '16px' }}>
+        <Col>
+          <Title level={4} style={{ margin: 0 }}>
+            Concessions
+          </Title>
+        </Col>
+        <Col>
+          <Space>
+            {canManageTypes && (
+              <Button icon={<PlusOutlined />} onClick={() => openTypeForm(null)}>
+                New Concession Type
+              </Button>
+            )}
+            <Button type="primary" icon={<PlusOutlined />} onClick={openAssignForm}>
+              Assign Concession
+            </Button>
+          </Space>
+        </Col>
+      </Row>
+
+      <Card title="Student Concessions" style={{ marginBottom: '16px' }}>
+        <Table
+          columns={concessionColumns}
+          dataSource={concessions}
+          rowKey="id"
+          loading={loading}
+          pagination={{
+            pageSize: 10,
+            showSizeChanger: true,
+            showTotal: (total, range) =>
+              `${range[0]}-${range[1]} of ${total} concessions`
+          }}
+        />
+      </Card>
+
+      <Card title="Concession Types">
+        <Table
+          columns={typeColumns}
+          dataSource={types}
+          rowKey="id"
+          loading={loading}
+          pagination={false}
+        />
+      </Card>
+
+      <Modal
+        title={editingType?.id ? 'Edit Concession Type' : 'New Concession Type'}
+        open={!!editingType}
+        onCancel={() => setEditingType(null)}
+        onOk={() => typeForm.submit()}
+        okText="Save"
+        confirmLoading={saving}
+        forceRender
+      >
+        <Form form={typeForm} layout="vertical" onFinish={handleSaveType}>
+          <Form.Item
+            name="name"
+            label="Name"
+            rules={[{ required: true, whitespace: true, message: 'Please enter a name' }]}
+          >
+            <Input placeholder="e.g., Sibling Discount" />
+          </Form.Item>
+          <Row gutter={16}>
+            <Col xs={24} md={12}>
+              <Form.Item name="kind" label="Kind" rules={[{ required: true }]}>
+                <Select>
+                  {Object.entries(CONCESSION_KINDS).map(([value, label]) => (
+                    <Option key={value} value={value}>{label}</Option>
+                  ))}
+                </Select>
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={12}>
+              <Form.Item noStyle shouldUpdate={(prev, next) => prev.kind !== next.kind}>
+                {({ getFieldValue }) => (
+                  <Form.Item
+                    name="value"
+                    label={getFieldValue('kind') === 'percent' ? 'Percentage' : 'Amount per year'}
+                    rules={[{ required: true, message: 'Please enter the concession' }]}
+                  >
+                    {getFieldValue('kind') === 'percent'
+                      ? <InputNumber min={0.01} max={100} suffix="%" style={{ width: '100%' }} />
+                      : <InputNumber min={0.01} prefix="₹" style={{ width: '100%' }} />}
+                  </Form.Item>
+                )}
+              </Form.Item>
+            </Col>
+          </Row>
+          <Form.Item
+            name="components"
+            label="Applies to components"
+            extra="Leave empty to apply to every component"
+          >
+            <Select mode="tags" placeholder="e.g., Tuition Fee" />
+          </Form.Item>
+          <Form.Item name="description" label="Description">
+            <Input.TextArea rows={2} />
+          </Form.Item>
+          <Form.Item name="is_active" label="Active" valuePropName="checked">
+            <Switch />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title="Assign Concession"
+        open={assigning}
+        onCancel={() => setAssigning(false)}
+        onOk={() => assignForm.submit()}
+        okText="Send for Approval"
+        confirmLoading={saving}
+        forceRender
+      >
+        <Form form={assignForm} layout="vertical" onFinish={handleAssign}>
+          <Form.Item
+            name="student_id"
+            label="Student"
+            rules={[{ required: true, message: 'Please select the student' }]}
+          >
+            <Select
+              showSearch
+              optionFilterProp="children"
+              placeholder="Search student"
+              onChange={(studentId) => {
+                const student = students.find(item => item.id === studentId);
+                const structure = structures.find(item =>
+                  item.class_instance_id === student?.class_instance_id && item.status === 'active');
+                assignForm.setFieldsValue({ fee_structure_id: structure?.id });
+              }}
+            >
+              {students.map(student => (
+                <Option key={student.id} value={student.id}>
+                  {`${student.full_name} (${student.student_code})`}
+                </Option>
+              ))}
+            </Select>
+          </Form.Item>
+          <Form.Item
+            name="fee_structure_id"
+            label="Fee Structure"
+            rules={[{ required: true, message: 'Please select the fee structure' }]}
+          >
+            <Select placeholder="Select fee structure" disabled={!assignStudent}>
+              {structures
+                .filter(structure => structure.class_instance_id === assignStudent?.class_instance_id)
+                .map(structure => (
+                  <Option key={structure.id} value={structure.id}>{structure.name}</Option>
+                ))}
+            </Select>
+          </Form.Item>
+          <Form.Item
+            name="concession_type_id"
+            label="Concession"
+            rules={[{ required: true, message: 'Please select the concession' }]}
+          >
+            <Select placeholder="Select concession">
+              {types.filter(type => type.is_active).map(type => (
+                <Option key={type.id} value={type.id}>
+                  {`${type.name} - ${describeConcessionType(type)}`}
+                </Option>
+              ))}
+            </Select>
+          </Form.Item>
+          <Form.Item
+            name="reason"
+            label="Reason"
+            rules={[{ required: true, whitespace: true, message: 'Please record why the concession is given' }]}
+          >
+            <Input.TextArea rows={3} placeholder="e.g., Elder sibling studies in Grade 8" />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title="Review Concession"
+        open={!!reviewing}
+        onCancel={() => setReviewing(null)}
+        footer={[
+          <Button key="reject" danger icon={<CloseOutlined />} loading={saving} onClick={() => handleReview('rejected')}>
+            Reject
+          </Button>,
+          <Button key="approve" type="primary" icon={<CheckOutlined />} loading={saving} onClick={() => handleReview('approved')}>
+            Approve
+          </Button>
+        ]}
+        forceRender
+      >
+        {reviewing && (
+          <Space direction="vertical" style={{ width: '100%', marginBottom: '12px' }}>
+            <Text>
+              <Text strong>{reviewing.concession_type?.name}</Text> for {reviewing.student?.full_name}
+            </Text>
+            <Text type="secondary">
+              {describeConcessionType(reviewing.concession_type)} • {reviewing.fee_structure?.name}
+            </Text>
+            <Text>{reviewing.reason}</Text>
+          </Space>
+        )}
+        <Form form={reviewForm} layout="vertical">
+          <Form.Item name="review_note" label="Note">
+            <Input.TextArea rows={2} placeholder="Optional" />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default Concessions;
@@ -0,0 +1,371 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Card,
+  Row,
+  Col,
+  Button,
+  Table,
+  DatePicker,
+  Form,
+  Input,
+  InputNumber,
+  Modal,
+  Statistic,
+  Descriptions,
+  Popconfirm,
+  Alert,
+  Tag,
+  Space,
+  Typography,
+  message
+} from 'antd';
+import { LockOutlined, UnlockOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { supabase } from '../../config/supabaseClient';
+import { FEE_PAYMENT_METHODS, formatAmount, roundAmount } from '../../lib/fees';
+
+const { Title, Text } = Typography;
+
+// Rows of fee_day_collection added up by one of its columns
+const groupTotals = (rows, key, label) => Object.values(rows.reduce((acc, row) => {
+  const id = row[key] || 'none';
+  acc[id] = acc[id] || { key: id, label: label(row), received: 0, paid_out: 0, entries: 0 };
+  acc[id].received = roundAmount(acc[id].received + Number(row.received));
+  acc[id].paid_out = roundAmount(acc[id].paid_out + Number(row.paid_out));
+  acc[id].entries += Number(row.entries);
+  return acc;
+}, {}));
+
+const totalColumns = (title) => [
+  { title, dataIndex: 'label', key: 'label' },
+  { title: 'Entries', dataIndex: 'entries', key: 'entries', align: 'right' },
+  { title: 'Received', dataIndex: 'received', key: 'received', align: 'right', render: formatAmount },
+  { title: 'Taken Back', dataIndex: 'paid_out', key: 'paid_out', align: 'right', render: formatAmount },
+  {
+    title: 'Net',
+    key: 'net',
+    align: 'right',
+    render: (_, row) => <Text strong>{formatAmount(roundAmount(row.received - row.paid_out))}</Text>,
+  },
+];
+
+const differenceType = difference => (difference < 0 ? 'danger' : difference > 0 ? 'warning' : 'success');
+
+/**
+ * Daily closing of the fee counter: the day's payments, reversals, refunds
+ * and bounced cheques by collector and payment method, the cash counted
+ * against what the ledger expects, and the lock on the day. Once a day is
+ * closed the ledger rejects entries of every kind dated on it (dues, fines
+ * and concessions as well as money) until a superadmin reopens it; only
+ * gateway settlements, enrolment dues and the scheduled late fees still post
+ * to it.
+ */
+const DailyClosing = ({ currentUser }) => {
+  const [form] = Form.useForm();
+  const [reopenForm] = Form.useForm();
+  const [date, setDate] = useState(dayjs());
+  const [collection, setCollection] = useState([]);
+  const [expectedCash, setExpectedCash] = useState(0);
+  const [closing, setClosing] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [reopening, setReopening] = useState(false);
+  const countedCash = Form.useWatch('counted_cash', form);
+
+  const fetchDay = useCallback(async () => {
+    setLoading(true);
+    const day = date.format('YYYY-MM-DD');
+    const scope = { p_school_code: currentUser.schoolCode, p_date: day };
+    const [collectionResult, cashResult, closingResult, historyResult] = await Promise.all([
+      supabase.rpc('fee_day_collection', scope),
+      supabase.rpc('fee_day_expected_cash', scope),
+      supabase
+        .from('fee_day_closings')
+        .select('*')
+        .eq('school_code', currentUser.schoolCode)
+        .eq('closing_date', day)
+        .maybeSingle(),
+      supabase
+        .from('fee_day_closings')
+        .select('id, closing_date, status, expected_cash, counted_cash, difference, closer_name')
+        .eq('school_code', currentUser.schoolCode)
+        .order('closing_date', { ascending: false })
+        .limit(30),
+    ]);
+    const failed = [collectionResult, cashResult, closingResult, historyResult].find(result => result.error);
+    if (failed) message.error(failed.error.message);
+    setCollection(collectionResult.data || []);
+    setExpectedCash(Number(cashResult.data || 0));
+    setClosing(closingResult.data || null);
+    setHistory(historyResult.data || []);
+    form.resetFields();
+    setLoading(false);
+  }, [form, currentUser.schoolCode, date]);
+
+  useEffect(() => {
+    if (!currentUser.schoolCode) return;
+    fetchDay();
+  }, [currentUser.schoolCode, fetchDay]);
+
+  const isClosed = closing?.status === 'closed';
+  const byCollector = groupTotals(collection, 'collector_id', row => row.collector_name || 'Online / unattributed');
+  const byMethod = groupTotals(collection, 'payment_method', row => FEE_PAYMENT_METHODS[row.payment_method] || 'Other');
+  const received = roundAmount(byMethod.reduce((sum, row) => sum + row.received, 0));
+  const paidOut = roundAmount(byMethod.reduce((sum, row) => sum + row.paid_out, 0));
+  const liveDifference = countedCash == null ? null : roundAmount(countedCash - expectedCash);
+
+  const handleClose = async (values) => {
+    const closedBy = {
+      counted_cash: values.counted_cash,
+      notes: values.notes?.trim() || null,
+      status: 'closed',
+      closed_by: currentUser.id,
+      closer_name: currentUser.name,
+    };
+    setSaving(true);
+    try {
+      // A reopened day keeps its row; closing it again takes a fresh count
+      const { error } = closing
+        ? await supabase.from('fee_day_closings').update(closedBy).eq('id', closing.id)
+        : await supabase.from('fee_day_closings').insert({
+          ...closedBy,
+          closing_date: date.format('YYYY-MM-DD'),
+          school_code: currentUser.schoolCode,
+        });
+      if (error) {
+        message.error(error.message);
+        return;
+      }
+      message.success(`Fee collection for ${date.format('DD MMM YYYY')} closed`);
+      fetchDay();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReopen = async (values) => {
+    setSaving(true);
+    try {
+      const { error } = await supabase
+        .from('fee_day_closings')
+        .update({ status: 'reopened', reopen_reason: values.reason.trim() })
+        .eq('id', closing.id);
+      if (error) {
+        message.error(error.message);
+        return;
+      }
+      message.success(`${date.format('DD MMM YYYY')} reopened`);
+      setReopening(false);
+      reopenForm.resetFields();
+      fetchDay();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderClosed = () => (
+    <>
+      <Descriptions column={{ xs: 1, md: 2 }} size="small" bordered>
+        <Descriptions.Item label="Expected Cash">{formatAmount(closing.expected_cash)}</Descriptions.Item>
+        <Descriptions.Item label="Counted Cash">{formatAmount(closing.counted_cash)}</Descriptions.Item>
+        <Descriptions.Item label="Difference">
+          <Text strong type={differenceType(Number(closing.difference))}>{formatAmount(closing.difference)}</Text>
+        </Descriptions.Item>
+        <Descriptions.Item label="Closed By">
+          {closing.closer_name} • {dayjs(closing.closed_at).format('DD MMM YYYY, hh:mm A')}
+        </Descriptions.Item>
+        {closing.notes && <Descriptions.Item label="Notes" span={2}>{closing.notes}</Descriptions.Item>}
+      </Descriptions>
+      {currentUser.role === 'superadmin' && (
+        <Button icon={<UnlockOutlined />} style={{ marginTop: '16px' }} onClick={() => setReopening(true)}>
+          Reopen Day
+        </Button>
+      )}
+    </>
+  );
+
+  const renderCloseForm = () => (
+    <Form form={form} layout="vertical" onFinish={handleClose}>
+      {closing?.status === 'reopened' && (
+        <Alert
+          type="warning"
+          showIcon
+          style={{ marginBottom: '16px' }}
+          message={`Reopened on ${dayjs(closing.reopened_at).format('DD MMM YYYY, hh:mm A')}`}
+          description={closing.reopen_reason}
+        />
+      )}
+      <Row gutter={16}>
+        <Col xs={24} md={8}>
+          <Statistic title="Expected Cash" value={expectedCash} formatter={formatAmount} />
+        </Col>
+        <Col xs={24} md={8}>
+          <Form.Item
+            name="counted_cash"
+            label="Cash Counted"
+            rules={[{ required: true, message: 'Please enter the cash counted' }]}
+          >
+            <InputNumber min={0} prefix="₹" style={{ width: '100%' }} />
+          </Form.Item>
+        </Col>
+        <Col xs={24} md={8}>
+          <Statistic
+            title="Difference"
+            value={liveDifference ?? '-'}
+            formatter={value => (value === '-' ? value : formatAmount(value))}
+            valueStyle={{ color: liveDifference < 0 ? '#cf1322' : liveDifference > 0 ? '#d48806' : '#3f8600' }}
+          />
+        </Col>
+      </Row>
+      <Form.Item name="notes" label="Notes">
+        <Input.TextArea rows={2} placeholder="Explain any difference" />
+      </Form.Item>
+      <Popconfirm
+        title={`Close ${date.format('DD MMM YYYY')}?`}
+        description="No fee entries of any kind can be dated on this day afterwards."
+        onConfirm={() => form.submit()}
+      >
+        <Button type="primary" icon={<LockOutlined />} loading={saving}>
+          Close Day
+        </Button>
+      </Popconfirm>
+    </Form>
+  );
+
+  return (
+    <div>
+      <Row justify="space-between" align="middle" style={{ marginBottom: '16px' }}>
+        <Col>
+          <Space>
+            <Title level={4} style={{ margin: 0 }}>
+              Daily Closing
+            </Title>
+            {closing && (
+              <Tag color={isClosed ? 'red' : 'orange'}>{isClosed ? 'CLOSED' : 'REOPENED'}</Tag>
+            )}
+          </Space>
+        </Col>
+        <Col>
+          <DatePicker
+            value={date}
+            onChange={value => value && setDate(value)}
+            allowClear={false}
+            format="DD MMM YYYY"
+            disabledDate={day => day.isAfter(dayjs(), 'day')}
+          />
+        </Col>
+      </Row>
+
+      <Row gutter={[16, 16]} style={{ marginBottom: '16px' }}>
+        <Col xs={24} md={8}>
+          <Card loading={loading}>
+            <Statistic title="Received" value={received} formatter={formatAmount} valueStyle={{ color: '#3f8600' }} />
+          </Card>
+        </Col>
+        <Col xs={24} md={8}>
+          <Card loading={loading}>
+            <Statistic title="Taken Back" value={paidOut} formatter={formatAmount} valueStyle={{ color: '#cf1322' }} />
+          </Card>
+        </Col>
+        <Col xs={24} md={8}>
+          <Card loading={loading}>
+            <Statistic title="Net Collection" value={roundAmount(received - paidOut)} formatter={formatAmount} />
+          </Card>
+        </Col>
+      </Row>
+
+      <Row gutter={[16, 16]} style={{ marginBottom: '16px' }}>
+        <Col xs={24} lg={12}>
+          <Card title="By Collector">
+            <Table
+              columns={totalColumns('Collector')}
+              dataSource={byCollector}
+              loading={loading}
+              size="small"
+              pagination={false}
+            />
+          </Card>
+        </Col>
+        <Col xs={24} lg={12}>
+          <Card title="By Payment Method">
+            <Table
+              columns={totalColumns('Method')}
+              dataSource={byMethod}
+              loading={loading}
+              size="small"
+              pagination={false}
+            />
+          </Card>
+        </Col>
+      </Row>
+
+      <Card title="Cash Reconciliation" style={{ marginBottom: '16px' }}>
+        {isClosed ? renderClosed() : renderCloseForm()}
+      </Card>
+
+      <Card title="Recent Closings">
+        <Table
+          columns={[
+            {
+              title: 'Date',
+              dataIndex: 'closing_date',
+              key: 'closing_date',
+              render: (day) => (
+                <Button type="link" style={{ padding: 0 }} onClick={() => setDate(dayjs(day))}>
+                  {dayjs(day).format('DD MMM YYYY')}
+                </Button>
+              ),
+            },
+            {
+              title: 'Status',
+              dataIndex: 'status',
+              key: 'status',
+              render: status => <Tag color={status === 'closed' ? 'red' : 'orange'}>{status.toUpperCase()}</Tag>,
+            },
+            { title: 'Expected', dataIndex: 'expected_cash', key: 'expected_cash', align: 'right', render: formatAmount },
+            { title: 'Counted', dataIndex: 'counted_cash', key: 'counted_cash', align: 'right', render: formatAmount },
+            {
+              title: 'Difference',
+              dataIndex: 'difference',
+              key: 'difference',
+              align: 'right',
+              render: difference => <Text type={differenceType(Number(difference))}>{formatAmount(difference)}</Text>,
+            },
+            { title: 'Closed By', dataIndex: 'closer_name', key: 'closer_name' },
+          ]}
+          dataSource={history}
+          rowKey="id"
+          loading={loading}
+          size="small"
+          pagination={false}
+        />
+      </Card>
+
+      <Modal
+        title={`Reopen ${date.format('DD MMM YYYY')}`}
+        open={reopening}
+        onCancel={() => setReopening(false)}
+        onOk={() => reopenForm.submit()}
+        okText="Reopen"
+        confirmLoading={saving}
+        forceRender
+      >
+        <Text type="secondary">
+          Entries can be dated on this day again until it is closed with a fresh count.
+        </Text>
+        <Form form={reopenForm} layout="vertical" onFinish={handleReopen} style={{ marginTop: '16px' }}>
+          <Form.Item
+            name="reason"
+            label="Reason"
+            rules={[{ required: true, whitespace: true, message: 'Please record why the day is reopened' }]}
+          >
+            <Input.TextArea rows={3} />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default DailyClosing;
@@ -0,0 +1,367 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  Card,
+  Row,
+  Col,
+  Button,
+  Table,
+  Select,
+  Modal,
+  Radio,
+  Tag,
+  Space,
+  Typography,
+  message
+} from 'antd';
+import { SendOutlined, HistoryOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { supabase } from '../../config/supabaseClient';
+import { fetchAllPages } from '../../hooks/useFeeLedger';
+import { DEFAULTER_BUCKETS, buildDefaulters, feeReminderMessage, formatAmount } from '../../lib/fees';
+
+const { Title, Text } = Typography;
+const { Option } = Select;
+
+const OUTBOX_STATUS_COLORS = {
+  queued: 'blue',
+  sending: 'cyan',
+  sent: 'green',
+  failed: 'red',
+};
+
+/**
+ * Students with overdue fees, by class and by how long they have been overdue.
+ * Reminders are queued in the notification outbox (send-notifications
+ * delivers them) and kept per student, so the office can see who has already
+ * been chased.
+ */
+const Defaulters = ({ accounts, currentUser, schoolName }) => {
+  const [contacts, setContacts] = useState({});
+  const [reminders, setReminders] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [filterClass, setFilterClass] = useState('all');
+  const [filterBucket, setFilterBucket] = useState('all');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [composing, setComposing] = useState(false);
+  const [channel, setChannel] = useState('email');
+  const [sending, setSending] = useState(false);
+  const [historyFor, setHistoryFor] = useState(null);
+
+  const fetchReminders = useCallback(async () => {
+    setLoading(true);
+    const [contactResult, reminderResult] = await Promise.all([
+      fetchAllPages(() => supabase
+        .from('student')
+        .select('id, email, phone')
+        .eq('school_code', currentUser.schoolCode)),
+      fetchAllPages(() => supabase
+        .from('fee_reminders')
+        .select('*, outbox:notification_outbox (recipient, status, last_error, sent_at)')
+        .eq('school_code', currentUser.schoolCode)
+        .order('created_at', { ascending: false })),
+    ]);
+    const failed = contactResult.error || reminderResult.error;
+    if (failed) message.error(failed.message);
+    setContacts(Object.fromEntries((contactResult.data || []).map(student => [student.id, student])));
+    setReminders(reminderResult.data || []);
+    setLoading(false);
+  }, [currentUser.schoolCode]);
+
+  useEffect(() => {
+    if (!currentUser.schoolCode) return;
+    fetchReminders();
+  }, [currentUser.schoolCode, fetchReminders]);
+
+  const defaulters = useMemo(() => buildDefaulters(accounts), [accounts]);
+  const remindersByStudent = useMemo(() => reminders.reduce((acc, reminder) => {
+    (acc[reminder.student_id] = acc[reminder.student_id] || []).push(reminder);
+    return acc;
+  }, {}), [reminders]);
+
+  const visible = defaulters.filter(defaulter =>
+    (filterClass === 'all' || defaulter.classId === filterClass) &&
+    (filterBucket === 'all' || defaulter.bucket === filterBucket)
+  );
+
+  // Class by aging bucket: how many students and how much is overdue in each
+  const byClass = Object.values(defaulters.reduce((acc, defaulter) => {
+    const row = acc[defaulter.classId] = acc[defaulter.classId] || {
+      classId: defaulter.classId,
+      className: defaulter.className,
+      total: { count: 0, amount: 0 },
+      ...Object.fromEntries(Object.keys(DEFAULTER_BUCKETS).map(key => [key, { count: 0, amount: 0 }])),
+    };
+    [row[defaulter.bucket], row.total].forEach((cell) => {
+      cell.count += 1;
+      cell.amount += defaulter.overdueAmount;
+    });
+    return acc;
+  }, {})).sort((a, b) => a.className.localeCompare(b.className, undefined, { numeric: true }));
+
+  const handleSendReminders = async () => {
+    const selected = defaulters.filter(defaulter => selectedIds.includes(defaulter.id));
+    const recipients = selected
+      .map(defaulter => ({ defaulter, recipient: contacts[defaulter.studentId]?.[channel === 'email' ? 'email' : 'phone'] }))
+      .filter(item => item.recipient);
+    const skipped = selected.length - recipients.length;
+    if (!recipients.length) {
+      message.warning(`None of the selected students has ${channel === 'email' ? 'an email address' : 'a phone number'}`);
+      return;
+    }
+
+    setSending(true);
+    try {
+      // Each message and its reminder record are saved together
+      const { error } = await supabase.rpc('queue_fee_reminders', {
+        p_channel: channel,
+        p_reminders: recipients.map(({ defaulter, recipient }) => ({
+          student_id: defaulter.studentId,
+          recipient,
+          ...feeReminderMessage(defaulter, { schoolName, channel }),
+          overdue_amount: defaulter.overdueAmount,
+          days_overdue: defaulter.daysOverdue,
+        })),
+      });
+      if (error) {
+        message.error(error.message);
+        return;
+      }
+
+      // Deliver straight away; whatever does not go out stays queued for the scheduler
+      const { data: delivery, error: sendError } = await supabase.functions.invoke('send-notifications');
+      const delivered = !sendError && !delivery?.waiting && !delivery?.failed;
+      message.success(`${recipients.length} reminder(s) ${delivered ? 'sent' : 'queued'}` +
+        (skipped ? `; ${skipped} student(s) skipped for lack of contact details` : ''));
+      setComposing(false);
+      setSelectedIds([]);
+      fetchReminders();
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const bucketColumns = [
+    { title: 'Class', dataIndex: 'className', key: 'className' },
+    ...Object.entries(DEFAULTER_BUCKETS).map(([key, bucket]) => ({
+      title: bucket.label,
+      key,
+      align: 'right',
+      render: (_, row) => (row[key].count ? (
+        <Button
+          type="link"
+          size="small"
+          onClick={() => {
+            setFilterClass(row.classId);
+            setFilterBucket(key);
+          }}
+        >
+          {row[key].count} • {formatAmount(row[key].amount)}
+        </Button>
+      ) : '-'),
+    })),
+    {
+      title: 'Total',
+      key: 'total',
+      align: 'right',
+      render: (_, row) => <Text strong>{row.total.count} • {formatAmount(row.total.amount)}</Text>,
+    },
+  ];
+
+  const defaulterColumns = [
+    {
+      title: 'Student',
+      key: 'student',
+      render: (_, record) => (
+        <div>
+          <Text strong>{record.studentName}</Text>
+          <br />
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            {record.rollNumber} • {record.className}
+          </Text>
+        </div>
+      ),
+    },
+    {
+      title: 'Overdue',
+      key: 'overdue',
+      sorter: (a, b) => a.overdueAmount - b.overdueAmount,
+      render: (_, record) => (
+        <div>
+          <Text strong style={{ color: '#ff4d4f' }}>{formatAmount(record.overdueAmount)}</Text>
+          <br />
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            of {formatAmount(record.pendingAmount)} pending
+          </Text>
+        </div>
+      ),
+    },
+    {
+      title: 'Overdue Since',
+      key: 'since',
+      defaultSortOrder: 'descend',
+      sorter: (a, b) => a.daysOverdue - b.daysOverdue,
+      render: (_, record) => (
+        <div>
+          <Text>{dayjs(record.oldestDueDate).format('DD MMM YYYY')}</Text>
+          <br />
+          <Tag color={DEFAULTER_BUCKETS[record.bucket].color}>{record.daysOverdue} days</Tag>
+        </div>
+      ),
+    },
+    {
+      title: 'Reminders',
+      key: 'reminders',
+      render: (_, record) => {
+        const history = remindersByStudent[record.studentId] || [];
+        if (!history.length) return <Text type="secondary">None yet</Text>;
+        return (
+          <Button type="link" size="small" icon={<HistoryOutlined />} onClick={() => setHistoryFor(record)}>
+            {history.length} • last {dayjs(history[0].created_at).format('DD MMM')}
+          </Button>
+        );
+      },
+    },
+  ];
+
+  const historyColumns = [
+    {
+      title: 'Sent',
+      dataIndex: 'created_at',
+      key: 'created_at',
+      render: (date) => dayjs(date).format('DD MMM YYYY, HH:mm'),
+    },
+    {
+      title: 'Channel',
+      key: 'channel',
+      render: (_, reminder) => (
+        <div>
+          <Text>{reminder.channel === 'sms' ? 'SMS' : 'Email'}</Text>
+          {reminder.outbox?.recipient && (
+            <>
+              <br />
+              <Text type="secondary" style={{ fontSize: '12px' }}>{reminder.outbox.recipient}</Text>
+            </>
+          )}
+        </div>
+      ),
+    },
+    {
+      title: 'Overdue Then',
+      key: 'overdue',
+      render: (_, reminder) => `${formatAmount(reminder.overdue_amount)} • ${reminder.days_overdue} days`,
+    },
+    {
+      title: 'Delivery',
+      key: 'delivery',
+      render: (_, reminder) => reminder.outbox && (
+        <Tag color={OUTBOX_STATUS_COLORS[reminder.outbox.status]} title={reminder.outbox.last_error || undefined}>
+          {reminder.outbox.status.toUpperCase()}
+        </Tag>
+      ),
+    },
+  ];
+
+  return (
+    <div>
+      <Row justify="space-between" align="middle" style={{ marginBottom: '16px' }}>
+        <Col>
+          <Title level={4} style={{ margin: 0 }}>
+            Fee Defaulters
+          </Title>
+          <Text type="secondary">
+            {defaulters.length} student(s) • {formatAmount(defaulters.reduce((sum, item) => sum + item.overdueAmount, 0))} overdue
+          </Text>
+        </Col>
+      </Row>
+
+      <Card title="By Class" style={{ marginBottom: '16px' }}>
+        <Table
+          columns={bucketColumns}
+          dataSource={byClass}
+          rowKey={row => row.classId || 'none'}
+          size="small"
+          pagination={false}
+        />
+      </Card>
+
+      <Card
+        title="Students"
+        extra={
+          <Button
+            type="primary"
+            icon={<SendOutlined />}
+            disabled={!selectedIds.length}
+            onClick={() => setComposing(true)}
+          >
+            Send Reminders{selectedIds.length ? ` (${selectedIds.length})` : ''}
+          </Button>
+        }
+      >
+        <Space wrap style={{ marginBottom: '16px' }}>
+          <Select value={filterClass} onChange={setFilterClass} style={{ width: 180 }}>
+            <Option value="all">All Classes</Option>
+            {byClass.map(row => (
+              <Option key={row.classId} value={row.classId}>{row.className}</Option>
+            ))}
+          </Select>
+          <Select value={filterBucket} onChange={setFilterBucket} style={{ width: 160 }}>
+            <Option value="all">Any Age</Option>
+            {Object.entries(DEFAULTER_BUCKETS).map(([key, bucket]) => (
+              <Option key={key} value={key}>{bucket.label}</Option>
+            ))}
+          </Select>
+        </Space>
+        <Table
+          columns={defaulterColumns}
+          dataSource={visible}
+          rowKey="id"
+          loading={loading}
+          rowSelection={{ selectedRowKeys: selectedIds, onChange: setSelectedIds }}
+          pagination={{
+            pageSize: 20,
+            showSizeChanger: true,
+            showTotal: (total, range) =>
+              `${range[0]}-${range[1]} of ${total} students`
+          }}
+        />
+      </Card>
+
+      <Modal
+        title="Send Fee Reminders"
+        open={composing}
+        onCancel={() => setComposing(false)}
+        onOk={handleSendReminders}
+        okText="Send"
+        confirmLoading={sending}
+      >
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Text>
+            A reminder with the overdue amount goes to each of the {selectedIds.length} selected student(s).
+          </Text>
+          <Radio.Group value={channel} onChange={(event) => setChannel(event.target.value)}>
+            <Radio value="email">Email</Radio>
+            <Radio value="sms">SMS</Radio>
+          </Radio.Group>
+        </Space>
+      </Modal>
+
+      <Modal
+        title={`Reminders sent to ${historyFor?.studentName || ''}`}
+        open={!!historyFor}
+        onCancel={() => setHistoryFor(null)}
+        footer={null}
+        width={720}
+      >
+        <Table
+          columns={historyColumns}
+          dataSource={historyFor ? remindersByStudent[historyFor.studentId] || [] : []}
+          rowKey="id"
+          size="small"
+          pagination={false}
+        />
+      </Modal>
+    </div>
+  );
+};
+
+export default Defaulters;
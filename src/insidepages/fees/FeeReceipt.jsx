@@ -0,0 +1,161 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Modal, Button, Table, Tag, Typography, Space, Divider, message } from 'antd';
+import { PrinterOutlined, DownloadOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { supabase } from '../../config/supabaseClient';
+import { FEE_PAYMENT_METHODS, formatAmount } from '../../lib/fees';
+import { amountInWords, buildReceiptPdf, receiptLines } from '../../lib/receipts';
+
+const { Title, Text } = Typography;
+
+/**
+ * Receipt for one payment on the fee ledger. The first print or download is
+ * the original; every later one is marked DUPLICATE.
+ */
+const FeeReceipt = ({ receipt, school, schoolCode, userId, onClose }) => {
+  const [duplicate, setDuplicate] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const payment = receipt?.payment;
+  const account = receipt?.account;
+
+  useEffect(() => {
+    if (!payment) return;
+    const checkPrinted = async () => {
+      setChecking(true);
+      const { count, error } = await supabase
+        .from('fee_receipt_prints')
+        .select('id', { count: 'exact', head: true })
+        .eq('ledger_entry_id', payment.id);
+      setDuplicate(!error && count > 0);
+      setChecking(false);
+    };
+    checkPrinted();
+  }, [payment]);
+
+  const lines = useMemo(
+    () => (payment ? receiptLines(account.entries, payment) : []),
+    [account, payment]
+  );
+
+  const logPrint = async () => {
+    const { error } = await supabase.from('fee_receipt_prints').insert({
+      ledger_entry_id: payment.id,
+      duplicate,
+      printed_by: userId,
+      school_code: schoolCode,
+    });
+    if (error) {
+      message.error(error.message);
+      return null;
+    }
+    const doc = buildReceiptPdf({ school, account, payment, lines, duplicate });
+    setDuplicate(true);
+    return doc;
+  };
+
+  const handlePrint = async () => {
+    const doc = await logPrint();
+    if (!doc) return;
+    doc.autoPrint();
+    window.open(doc.output('bloburl'), '_blank');
+  };
+
+  const handleDownload = async () => {
+    const doc = await logPrint();
+    if (!doc) return;
+    doc.save(`receipt-${payment.receipt_number.replaceAll('/', '-')}.pdf`);
+  };
+
+  return (
+    <Modal
+      title="Fee Receipt"
+      open={!!payment}
+      onCancel={onClose}
+      width={640}
+      footer={[
+        <Button key="close" onClick={onClose}>
+          Close
+        </Button>,
+        <Button key="download" icon={<DownloadOutlined />} onClick={handleDownload} disabled={checking}>
+          Download PDF
+        </Button>,
+        <Button key="print" type="primary" icon={<PrinterOutlined />} onClick={handlePrint} disabled={checking}>
+          Print
+        </Button>
+      ]}
+    >
+      {payment && (
+        <div style={{ border: '1px solid #d9d9d9', padding: '16px' }}>
+          <div style={{ textAlign: 'center' }}>
+            <Title level={4} style={{ margin: 0 }}>{school?.school_name}</Title>
+            {school?.school_address && <Text type="secondary">{school.school_address}</Text>}
+          </div>
+          <Divider style={{ margin: '12px 0' }}>
+            <Space>
+              {payment.entry_type === 'refund' ? 'REFUND RECEIPT' : 'FEE RECEIPT'}
+              {duplicate && <Tag color="red">DUPLICATE</Tag>}
+            </Space>
+          </Divider>
+          <Space style={{ width: '100%', justifyContent: 'space-between' }}>
+            <Text>Receipt No: <Text strong>{payment.receipt_number}</Text></Text>
+            <Text>Date: {dayjs(payment.entry_date).format('DD MMM YYYY')}</Text>
+          </Space>
+          <div style={{ margin: '8px 0 12px' }}>
+            <Text strong>{account.studentName}</Text>
+            <Text type="secondary"> • {account.rollNumber} • {account.className}</Text>
+          </div>
+          <Table
+            dataSource={lines.map((line, index) => ({ ...line, key: index }))}
+            columns={[
+              {
+                title: 'Particulars',
+                dataIndex: 'description',
+                render: (description, line) => (
+                  <div>
+                    {description}
+                    {line.concession > 0 && (
+                      <>
+                        <br />
+                        <Text type="secondary" style={{ fontSize: '12px' }}>
+                          Concession given: {formatAmount(line.concession)}
+                        </Text>
+                      </>
+                    )}
+                  </div>
+                ),
+              },
+              { title: 'Amount', dataIndex: 'amount', align: 'right', render: formatAmount },
+            ]}
+            pagination={false}
+            size="small"
+            summary={() => (
+              <Table.Summary.Row>
+                <Table.Summary.Cell index={0}><Text strong>Total</Text></Table.Summary.Cell>
+                <Table.Summary.Cell index={1} align="right">
+                  <Text strong>{formatAmount(payment.amount)}</Text>
+                </Table.Summary.Cell>
+              </Table.Summary.Row>
+            )}
+          />
+          <div style={{ marginTop: '12px' }}>
+            <Text italic>{amountInWords(payment.amount)}</Text>
+            <br />
+            <Text type="secondary">
+              {payment.entry_type === 'refund' ? 'Refunded by' : 'Paid by'} {FEE_PAYMENT_METHODS[payment.payment_method]}
+              {payment.reference && ` (Ref: ${payment.reference})`}
+              {payment.collector_name && ` • ${payment.entry_type === 'refund' ? 'Paid out' : 'Received'} by ${payment.collector_name}`}
+            </Text>
+            {payment.reason && (
+              <>
+                <br />
+                <Text type="secondary">Reason: {payment.reason}</Text>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default FeeReceipt;
@@ -0,0 +1,214 @@
+import React, { useEffect, useState } from 'react';
+import { Card, Row, Col, Table, Select, Statistic, Progress, Space, Typography, Alert, Empty } from 'antd';
+import dayjs from 'dayjs';
+import { supabase } from '../../config/supabaseClient';
+import { useFeeAnalytics } from '../../hooks/useFeeAnalytics';
+import { FEE_PAYMENT_METHODS, academicYearLabel, classInstanceLabel, formatAmount, roundAmount } from '../../lib/fees';
+
+const { Title, Text } = Typography;
+const { Option } = Select;
+
+// What is still to be collected once concessions and waivers are taken off
+const outstanding = row => roundAmount(
+  Number(row.expected) - Number(row.concession) - Number(row.waived) - Number(row.collected)
+);
+
+const collectedPercent = (row) => {
+  const payable = Number(row.expected) - Number(row.concession) - Number(row.waived);
+  return payable > 0 ? Math.round((Number(row.collected) / payable) * 100) : 100;
+};
+
+const amountColumns = [
+  { title: 'Expected', dataIndex: 'expected', key: 'expected', align: 'right', render: formatAmount },
+  { title: 'Concession', dataIndex: 'concession', key: 'concession', align: 'right', render: formatAmount },
+  { title: 'Waived', dataIndex: 'waived', key: 'waived', align: 'right', render: formatAmount },
+  { title: 'Collected', dataIndex: 'collected', key: 'collected', align: 'right', render: formatAmount },
+  { title: 'Outstanding', key: 'outstanding', align: 'right', render: (_, row) => formatAmount(outstanding(row)) },
+  {
+    title: 'Collected %',
+    key: 'percent',
+    width: 160,
+    render: (_, row) => <Progress percent={collectedPercent(row)} size="small" strokeColor="#52c41a" />,
+  },
+];
+
+/**
+ * Reports tab: fee collection by month, payment method, class and component,
+ * and expected against collected per academic year. The totals come from
+ * Postgres (useFeeAnalytics).
+ */
+const FeeReports = ({ schoolCode, classIds }) => {
+  const [academicYears, setAcademicYears] = useState([]);
+  const [academicYearId, setAcademicYearId] = useState('all');
+
+  useEffect(() => {
+    if (!schoolCode) return;
+    const fetchYears = async () => {
+      const { data, error } = await supabase
+        .from('academic_years')
+        .select('id, year_start, year_end, is_active')
+        .eq('school_code', schoolCode)
+        .order('year_start', { ascending: false });
+      if (error) return;
+      setAcademicYears(data || []);
+      const active = (data || []).find(year => year.is_active);
+      if (active) setAcademicYearId(active.id);
+    };
+    fetchYears();
+  }, [schoolCode]);
+
+  const academicYear = academicYears.find(year => year.id === academicYearId) || null;
+  const {
+    byMonth,
+    byMethod,
+    byClass,
+    byComponent,
+    byYear,
+    byConcessionType,
+    loading,
+    error
+  } = useFeeAnalytics({ schoolCode, academicYear, classIds });
+
+  const concessionGiven = byConcessionType.reduce((sum, row) => sum + Number(row.amount), 0);
+
+  return (
+    <div>
+      <Row justify="space-between" align="middle" style={{ marginBottom: '16px' }}>
+        <Col>
+          <Title level={4} style={{ margin: 0 }}>
+            Fee Reports & Analytics
+          </Title>
+        </Col>
+        <Col>
+          <Select value={academicYearId} onChange={setAcademicYearId} style={{ width: 180 }}>
+            <Option value="all">All Academic Years</Option>
+            {academicYears.map(year => (
+              <Option key={year.id} value={year.id}>{academicYearLabel(year)}</Option>
+            ))}
+          </Select>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert
+          message="Could not load fee reports"
+          description={error}
+          type="error"
+          showIcon
+          style={{ marginBottom: '16px' }}
+        />
+      )}
+
+      <Card title="Expected vs Collected" style={{ marginBottom: '16px' }}>
+        <Table
+          columns={[
+            { title: 'Academic Year', key: 'year', render: (_, row) => academicYearLabel(row) },
+            ...amountColumns,
+          ]}
+          dataSource={byYear}
+          rowKey="academic_year_id"
+          loading={loading}
+          size="small"
+          pagination={false}
+        />
+      </Card>
+
+      <Row gutter={[16, 16]} style={{ marginBottom: '16px' }}>
+        <Col xs={24} md={8}>
+          <Card title="Monthly Collection" loading={loading} style={{ height: '100%' }}>
+            {byMonth.length ? (
+              <Space direction="vertical" style={{ width: '100%' }}>
+                {byMonth.map(row => (
+                  <div key={row.month} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                    <Text>
+                      {dayjs(row.month).format('MMM YYYY')}
+                      <Text type="secondary"> • {row.payments} payment(s)</Text>
+                    </Text>
+                    <Text strong>{formatAmount(row.collected)}</Text>
+                  </div>
+                ))}
+              </Space>
+            ) : (
+              <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No payments" />
+            )}
+          </Card>
+        </Col>
+        <Col xs={24} md={8}>
+          <Card title="By Payment Method" loading={loading} style={{ height: '100%' }}>
+            {byMethod.length ? (
+              <Space direction="vertical" style={{ width: '100%' }}>
+                {byMethod.map(row => (
+                  <div key={row.payment_method || 'other'} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                    <Text>
+                      {FEE_PAYMENT_METHODS[row.payment_method] || row.payment_method || 'Other'}
+                      <Text type="secondary"> • {row.payments}</Text>
+                    </Text>
+                    <Text strong>{formatAmount(row.collected)}</Text>
+                  </div>
+                ))}
+              </Space>
+            ) : (
+              <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No payments" />
+            )}
+          </Card>
+        </Col>
+        <Col xs={24} md={8}>
+          <Card title="Concession Given" loading={loading} style={{ height: '100%' }}>
+            <Statistic value={concessionGiven} formatter={formatAmount} />
+            <Space direction="vertical" style={{ width: '100%', marginTop: '12px' }}>
+              {byConcessionType.map(row => (
+                <div key={row.concession_type} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <Text>
+                    {row.concession_type}
+                    <Text type="secondary"> • {row.students} student(s)</Text>
+                  </Text>
+                  <Text strong>{formatAmount(row.amount)}</Text>
+                </div>
+              ))}
+            </Space>
+          </Card>
+        </Col>
+      </Row>
+
+      <Card title="By Class" style={{ marginBottom: '16px' }}>
+        <Table
+          columns={[
+            {
+              title: 'Class',
+              key: 'class',
+              render: (_, row) => (
+                <div>
+                  <Text>{classInstanceLabel(row)}</Text>
+                  <br />
+                  <Text type="secondary" style={{ fontSize: '12px' }}>{row.students} student(s)</Text>
+                </div>
+              ),
+            },
+            ...amountColumns,
+          ]}
+          dataSource={byClass}
+          rowKey="class_instance_id"
+          loading={loading}
+          size="small"
+          pagination={false}
+        />
+      </Card>
+
+      <Card title="By Fee Component">
+        <Table
+          columns={[
+            { title: 'Component', dataIndex: 'component', key: 'component' },
+            ...amountColumns,
+          ]}
+          dataSource={byComponent}
+          rowKey="component"
+          loading={loading}
+          size="small"
+          pagination={false}
+        />
+      </Card>
+    </div>
+  );
+};
+
+export default FeeReports;
@@ -0,0 +1,692 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Card,
+  Row,
+  Col,
+  Button,
+  Table,
+  Select,
+  DatePicker,
+  Form,
+  Input,
+  InputNumber,
+  AutoComplete,
+  Modal,
+  Tag,
+  Space,
+  Typography,
+  Popconfirm,
+  Switch,
+  message
+} from 'antd';
+import { PlusOutlined, EditOutlined, DeleteOutlined, MinusCircleOutlined, FileAddOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { supabase } from '../../config/supabaseClient';
+import { fetchAllPages, insertLedgerEntries, postApprovedConcessions } from '../../hooks/useFeeLedger';
+import {
+  FEE_FREQUENCIES,
+  FEE_STRUCTURE_STATUS_COLORS,
+  INSTALMENT_PLANS,
+  LATE_FEE_ACCRUALS,
+  buildInstalmentSchedule,
+  describeLateFeeRule,
+  formatAmount,
+  structureAnnualTotal,
+  buildDueEntries,
+  classInstanceLabel,
+  academicYearLabel
+} from '../../lib/fees';
+
+const { Title, Text } = Typography;
+const { Option } = Select;
+
+const COMPONENT_SUGGESTIONS = ['Tuition Fee', 'Lab Fee', 'Transport Fee', 'Library Fee', 'Sports Fee', 'Exam Fee']
+  .map(value => ({ value }));
+
+const DEFAULT_LATE_FEE_RULE = { type: 'flat', grace_days: 0, accrual: 'daily' };
+
+/**
+ * Fee structures of the school: one per class instance and academic year, with
+ * named components charged annually, per term or monthly. Raising dues writes
+ * the structure's schedule to each student's fee ledger.
+ */
+const FeeStructures = ({ schoolCode, userId, canManage, onDuesRaised }) => {
+  const [form] = Form.useForm();
+  const [structures, setStructures] = useState([]);
+  const [classInstances, setClassInstances] = useState([]);
+  const [academicYears, setAcademicYears] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [raisingId, setRaisingId] = useState(null);
+  const [editing, setEditing] = useState(null); // structure being edited, {} when creating
+  const academicYearId = Form.useWatch('academic_year_id', form);
+  const components = Form.useWatch('components', form);
+  const planType = Form.useWatch(['instalment_plan', 'type'], form);
+  const customInstalments = Form.useWatch(['instalment_plan', 'instalments'], form);
+  const firstDueDate = Form.useWatch('due_date', form);
+  const lateFeeEnabled = Form.useWatch('late_fee_enabled', form);
+  const lateFeeType = Form.useWatch(['late_fee_rule', 'type'], form);
+
+  const fetchStructures = useCallback(async () => {
+    setLoading(true);
+    const { data, error } = await supabase
+      .from('fee_structures')
+      .select(`
+        id,
+        name,
+        class_instance_id,
+        academic_year_id,
+        components,
+        total_amount,
+        due_date,
+        status,
+        instalment_plan,
+        late_fee_rule,
+        class_instance:class_instances (grade, section),
+        academic_year:academic_years (year_start, year_end)
+      `)
+      .eq('school_code', schoolCode)
+      .order('created_at', { ascending: false });
+    if (error) {
+      message.error(error.message);
+    } else {
+      setStructures(data || []);
+    }
+    setLoading(false);
+  }, [schoolCode]);
+
+  const fetchOptions = useCallback(async () => {
+    const [yearsResult, classesResult] = await Promise.all([
+      supabase
+        .from('academic_years')
+        .select('id, year_start, year_end, is_active')
+        .eq('school_code', schoolCode)
+        .order('year_start', { ascending: false }),
+      supabase
+        .from('class_instances')
+        .select('id, grade, section, academic_year_id')
+        .eq('school_code', schoolCode)
+        .order('grade')
+        .order('section'),
+    ]);
+    if (!yearsResult.error) setAcademicYears(yearsResult.data || []);
+    if (!classesResult.error) setClassInstances(classesResult.data || []);
+  }, [schoolCode]);
+
+  useEffect(() => {
+    if (!schoolCode) return;
+    fetchStructures();
+    fetchOptions();
+  }, [schoolCode, fetchStructures, fetchOptions]);
+
+  const openForm = (structure) => {
+    form.resetFields();
+    if (structure) {
+      const plan = structure.instalment_plan || { type: 'by_component' };
+      form.setFieldsValue({
+        ...structure,
+        due_date: dayjs(structure.due_date),
+        instalment_plan: {
+          ...plan,
+          instalments: (plan.instalments || []).map(instalment => ({
+            ...instalment,
+            due_date: dayjs(instalment.due_date),
+          })),
+        },
+        late_fee_enabled: !!structure.late_fee_rule,
+        late_fee_rule: structure.late_fee_rule || DEFAULT_LATE_FEE_RULE,
+      });
+    } else {
+      form.setFieldsValue({
+        academic_year_id: academicYears.find(year => year.is_active)?.id,
+        components: [{ name: 'Tuition Fee', frequency: 'annual' }],
+        instalment_plan: { type: 'by_component' },
+        late_fee_enabled: false,
+        late_fee_rule: DEFAULT_LATE_FEE_RULE,
+        status: 'active',
+      });
+    }
+    setEditing(structure || {});
+  };
+
+  // Custom instalments are stored with plain dates; the first one is the
+  // structure's due date
+  const toInstalmentPlan = (plan) => {
+    if (plan.type !== 'custom') return { type: plan.type };
+    return {
+      type: 'custom',
+      instalments: plan.instalments
+        .map(instalment => ({
+          label: instalment.label?.trim() || null,
+          due_date: instalment.due_date.format('YYYY-MM-DD'),
+          percent: Number(instalment.percent),
+        }))
+        .sort((a, b) => a.due_date.localeCompare(b.due_date)),
+    };
+  };
+
+  const handleSave = async (values) => {
+    const instalmentPlan = toInstalmentPlan(values.instalment_plan);
+    const record = {
+      name: values.name.trim(),
+      class_instance_id: values.class_instance_id,
+      academic_year_id: values.academic_year_id,
+      components: values.components.map(component => ({
+        name: component.name.trim(),
+        amount: Number(component.amount),
+        frequency: component.frequency,
+      })),
+      total_amount: structureAnnualTotal(values.components),
+      due_date: instalmentPlan.type === 'custom'
+        ? instalmentPlan.instalments[0].due_date
+        : values.due_date.format('YYYY-MM-DD'),
+      instalment_plan: instalmentPlan,
+      late_fee_rule: values.late_fee_enabled
+        ? {
+          type: values.late_fee_rule.type,
+          amount: Number(values.late_fee_rule.amount),
+          grace_days: Number(values.late_fee_rule.grace_days || 0),
+          accrual: values.late_fee_rule.accrual,
+          cap: values.late_fee_rule.cap ? Number(values.late_fee_rule.cap) : null,
+        }
+        : null,
+      status: values.status,
+    };
+    // Enrolment raises a new student's dues from the saved schedule
+    record.schedule = buildInstalmentSchedule(record);
+
+    setSaving(true);
+    try {
+      const { error } = editing.id
+        ? await supabase.from('fee_structures').update(record).eq('id', editing.id)
+        : await supabase.from('fee_structures').insert({ ...record, school_code: schoolCode, created_by: userId });
+      if (error) {
+        message.error(error.code === '23505'
+          ? 'This class already has an active fee structure. Deactivate it first.'
+          : error.message);
+        return;
+      }
+      message.success(editing.id ? 'Fee structure updated' : 'Fee structure created');
+      setEditing(null);
+      fetchStructures();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (structure) => {
+    const { error } = await supabase.from('fee_structures').delete().eq('id', structure.id);
+    if (error) {
+      // Structures with ledger entries against them are referenced and cannot go
+      message.error(error.code === '23503'
+        ? 'This fee structure has dues or payments on the ledger. Archive it instead.'
+        : error.message);
+      return;
+    }
+    message.success('Fee structure deleted');
+    fetchStructures();
+  };
+
+  // Schedule for the values in the form, with incomplete rows left out
+  const schedulePreview = (() => {
+    const validComponents = (components || []).filter(component => component?.name && component?.amount);
+    const validInstalments = (customInstalments || []).filter(instalment => instalment?.due_date && instalment?.percent);
+    if (!validComponents.length || !planType) return [];
+    if (planType === 'custom' ? !validInstalments.length : !firstDueDate) return [];
+    return buildInstalmentSchedule({
+      components: validComponents,
+      due_date: firstDueDate,
+      instalment_plan: {
+        type: planType,
+        instalments: validInstalments.map(instalment => ({ ...instalment, due_date: instalment.due_date.format('YYYY-MM-DD') })),
+      },
+    });
+  })();
+
+  // Students who already have dues for the structure are skipped, so this can be
+  // run again after new admissions
+  const handleRaiseDues = async (structure) => {
+    setRaisingId(structure.id);
+    try {
+      const [studentResult, existingResult] = await Promise.all([
+        supabase
+          .from('student')
+          .select('id, joined_on')
+          .eq('class_instance_id', structure.class_instance_id),
+        fetchAllPages(() => supabase
+          .from('fee_ledger_entries')
+          .select('student_id')
+          .eq('fee_structure_id', structure.id)
+          .eq('entry_type', 'due')),
+      ]);
+      const failed = studentResult.error || existingResult.error;
+      if (failed) {
+        message.error(failed.message);
+        return;
+      }
+
+      const raised = new Set(existingResult.data.map(entry => entry.student_id));
+      const students = (studentResult.data || []).filter(student => !raised.has(student.id));
+      if (!students.length) {
+        message.info('Dues are already raised for every student in this class');
+        return;
+      }
+
+      const rows = students.flatMap(student => buildDueEntries(structure, student, { schoolCode, userId }));
+      const { error } = await insertLedgerEntries(rows);
+      if (error) {
+        message.error(error.message);
+        return;
+      }
+      message.success(`Dues raised for ${students.length} student(s)`);
+      const concessionResult = await postApprovedConcessions({ schoolCode, userId }, { feeStructureId: structure.id });
+      if (concessionResult.error) message.error(`Concessions not applied: ${concessionResult.error.message}`);
+      onDuesRaised?.();
+    } finally {
+      setRaisingId(null);
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Fee Structure',
+      key: 'structure',
+      render: (_, record) => (
+        <div>
+          <Text strong>{record.name}</Text>
+          <br />
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            {classInstanceLabel(record.class_instance)} • {academicYearLabel(record.academic_year)}
+          </Text>
+        </div>
+      ),
+    },
+    {
+      title: 'Components',
+      key: 'components',
+      render: (_, record) => (
+        <div>
+          {record.components.map((component, index) => (
+            <div key={index} style={{ marginBottom: '4px' }}>
+              <Text style={{ fontSize: '12px' }}>
+                {component.name}: {formatAmount(component.amount)}
+                {' '}
+                <Text type="secondary" style={{ fontSize: '12px' }}>
+                  ({FEE_FREQUENCIES[component.frequency]?.label || component.frequency})
+                </Text>
+              </Text>
+            </div>
+          ))}
+        </div>
+      ),
+    },
+    {
+      title: 'Annual Total',
+      dataIndex: 'total_amount',
+      key: 'total_amount',
+      render: (amount) => (
+        <Text strong style={{ fontSize: '16px' }}>
+          {formatAmount(amount)}
+        </Text>
+      )
+    },
+    {
+      title: 'Instalments',
+      key: 'instalments',
+      render: (_, record) => {
+        const schedule = buildInstalmentSchedule(record);
+        return (
+          <div>
+            <Text>{INSTALMENT_PLANS[record.instalment_plan?.type]?.label || INSTALMENT_PLANS.by_component.label}</Text>
+            <br />
+            <Text type="secondary" style={{ fontSize: '12px' }}>
+              {schedule.length} due(s) from {dayjs(record.due_date).format('DD MMM YYYY')}
+            </Text>
+            <br />
+            <Text type="secondary" style={{ fontSize: '12px' }}>
+              Late fee: {describeLateFeeRule(record.late_fee_rule)}
+            </Text>
+          </div>
+        );
+      }
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      render: (status) => (
+        <Tag color={FEE_STRUCTURE_STATUS_COLORS[status]}>
+          {status.toUpperCase()}
+        </Tag>
+      )
+    },
+    ...(canManage ? [{
+      title: 'Actions',
+      key: 'actions',
+      render: (_, record) => (
+        <Space>
+          {record.status === 'active' && (
+            <Popconfirm
+              title="Raise this structure's dues for every student in the class?"
+              onConfirm={() => handleRaiseDues(record)}
+            >
+              <Button type="text" icon={<FileAddOutlined />} loading={raisingId === record.id} title="Raise Dues" />
+            </Popconfirm>
+          )}
+          <Button type="text" icon={<EditOutlined />} onClick={() => openForm(record)} />
+          <Popconfirm title="Delete this fee structure?" onConfirm={() => handleDelete(record)}>
+            <Button type="text" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </Space>
+      ),
+    }] : []),
+  ];
+
+  return (
+    <div>
+      <Row justify="space-between" align="middle" style={{ marginBottom: '16px' }}>
+        <Col>
+          <Title level={4} style={{ margin: 0 }}>
+            Fee Structures
+          </Title>
+        </Col>
+        {canManage && (
+          <Col>
+            <Button
+              type="primary"
+              icon={<PlusOutlined />}
+              onClick={() => openForm(null)}
+            >
+              Create Fee Structure
+            </Button>
+          </Col>
+        )}
+      </Row>
+
+      <Card>
+        <Table
+          columns={columns}
+          dataSource={structures}
+          rowKey="id"
+          loading={loading}
+          pagination={{
+            pageSize: 10,
+            showSizeChanger: true,
+            showTotal: (total, range) =>
+              `${range[0]}-${range[1]} of ${total} structures`
+          }}
+        />
+      </Card>
+
+      <Modal
+        title={editing?.id ? 'Edit Fee Structure' : 'Create Fee Structure'}
+        open={!!editing}
+        onCancel={() => setEditing(null)}
+        footer={null}
+        width={720}
+        forceRender
+      >
+        <Form form={form} layout="vertical" onFinish={handleSave}>
+          <Form.Item
+            name="name"
+            label="Name"
+            rules={[{ required: true, whitespace: true, message: 'Please enter a name' }]}
+          >
+            <Input placeholder="e.g., Grade 10 Annual Fees" />
+          </Form.Item>
+
+          <Row gutter={16}>
+            <Col xs={24} md={12}>
+              <Form.Item
+                name="academic_year_id"
+                label="Academic Year"
+                rules={[{ required: true, message: 'Please select the academic year' }]}
+              >
+                <Select
+                  placeholder="Select academic year"
+                  onChange={() => form.setFieldsValue({ class_instance_id: undefined })}
+                >
+                  {academicYears.map(year => (
+                    <Option key={year.id} value={year.id}>{academicYearLabel(year)}</Option>
+                  ))}
+                </Select>
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={12}>
+              <Form.Item
+                name="class_instance_id"
+                label="Class"
+                rules={[{ required: true, message: 'Please select the class' }]}
+              >
+                <Select placeholder="Select class" disabled={!academicYearId}>
+                  {classInstances
+                    .filter(cls => cls.academic_year_id === academicYearId)
+                    .map(cls => (
+                      <Option key={cls.id} value={cls.id}>{classInstanceLabel(cls)}</Option>
+                    ))}
+                </Select>
+              </Form.Item>
+            </Col>
+          </Row>
+
+          <Text strong>Components</Text>
+          <Form.List
+            name="components"
+            rules={[{
+              validator: async (_, value) => {
+                if (!value?.length) throw new Error('Add at least one component');
+              },
+            }]}
+          >
+            {(fields, { add, remove }, { errors }) => (
+              <div style={{ marginTop: '8px' }}>
+                {fields.map(({ key, name }) => (
+                  <Row key={key} gutter={8} align="top">
+                    <Col xs={24} md={10}>
+                      <Form.Item
+                        name={[name, 'name']}
+                        rules={[{ required: true, whitespace: true, message: 'Name required' }]}
+                      >
+                        <AutoComplete options={COMPONENT_SUGGESTIONS} placeholder="Component" />
+                      </Form.Item>
+                    </Col>
+                    <Col xs={12} md={6}>
+                      <Form.Item
+                        name={[name, 'amount']}
+                        rules={[{ required: true, message: 'Amount required' }]}
+                      >
+                        <InputNumber min={0} prefix="₹" style={{ width: '100%' }} placeholder="Amount" />
+                      </Form.Item>
+                    </Col>
+                    <Col xs={10} md={6}>
+                      <Form.Item name={[name, 'frequency']} rules={[{ required: true }]}>
+                        <Select>
+                          {Object.entries(FEE_FREQUENCIES).map(([value, { label }]) => (
+                            <Option key={value} value={value}>{label}</Option>
+                          ))}
+                        </Select>
+                      </Form.Item>
+                    </Col>
+                    <Col xs={2} md={2}>
+                      <Button type="text" danger icon={<MinusCircleOutlined />} onClick={() => remove(name)} />
+                    </Col>
+                  </Row>
+                ))}
+                <Form.Item>
+                  <Button type="dashed" block icon={<PlusOutlined />} onClick={() => add({ frequency: 'annual' })}>
+                    Add Component
+                  </Button>
+                  <Form.ErrorList errors={errors} />
+                </Form.Item>
+              </div>
+            )}
+          </Form.List>
+
+          <Row gutter={16}>
+            <Col xs={24} md={12}>
+              <Form.Item name={['instalment_plan', 'type']} label="Instalment Plan" rules={[{ required: true }]}>
+                <Select>
+                  {Object.entries(INSTALMENT_PLANS).map(([value, { label }]) => (
+                    <Option key={value} value={value}>{label}</Option>
+                  ))}
+                </Select>
+              </Form.Item>
+            </Col>
+            <Col xs={24} md={12}>
+              {planType !== 'custom' && (
+                <Form.Item
+                  name="due_date"
+                  label="First Due Date"
+                  rules={[{ required: true, message: 'Please select the due date' }]}
+                >
+                  <DatePicker style={{ width: '100%' }} />
+                </Form.Item>
+              )}
+            </Col>
+          </Row>
+
+          {planType === 'custom' && (
+            <Form.List
+              name={['instalment_plan', 'instalments']}
+              rules={[{
+                validator: async (_, value) => {
+                  if (!value?.length) throw new Error('Add at least one instalment');
+                  const total = value.reduce((sum, instalment) => sum + Number(instalment?.percent || 0), 0);
+                  if (Math.abs(total - 100) > 0.001) throw new Error(`Splits add up to ${total}%, not 100%`);
+                },
+              }]}
+            >
+              {(fields, { add, remove }, { errors }) => (
+                <div>
+                  {fields.map(({ key, name }) => (
+                    <Row key={key} gutter={8} align="top">
+                      <Col xs={24} md={9}>
+                        <Form.Item name={[name, 'label']}>
+                          <Input placeholder={`Instalment ${name + 1}`} />
+                        </Form.Item>
+                      </Col>
+                      <Col xs={12} md={8}>
+                        <Form.Item name={[name, 'due_date']} rules={[{ required: true, message: 'Date required' }]}>
+                          <DatePicker style={{ width: '100%' }} />
+                        </Form.Item>
+                      </Col>
+                      <Col xs={10} md={5}>
+                        <Form.Item name={[name, 'percent']} rules={[{ required: true, message: 'Split required' }]}>
+                          <InputNumber min={0} max={100} suffix="%" style={{ width: '100%' }} />
+                        </Form.Item>
+                      </Col>
+                      <Col xs={2} md={2}>
+                        <Button type="text" danger icon={<MinusCircleOutlined />} onClick={() => remove(name)} />
+                      </Col>
+                    </Row>
+                  ))}
+                  <Form.Item>
+                    <Button type="dashed" block icon={<PlusOutlined />} onClick={() => add()}>
+                      Add Instalment
+                    </Button>
+                    <Form.ErrorList errors={errors} />
+                  </Form.Item>
+                </div>
+              )}
+            </Form.List>
+          )}
+
+          {schedulePreview.length > 0 && (
+            <Table
+              dataSource={schedulePreview.map(instalment => ({ ...instalment, key: `${instalment.due_date}_${instalment.label}` }))}
+              columns={[
+                { title: 'Instalment', dataIndex: 'label' },
+                { title: 'Due', dataIndex: 'due_date', render: (date) => dayjs(date).format('DD MMM YYYY') },
+                { title: 'Amount', dataIndex: 'amount', align: 'right', render: formatAmount },
+              ]}
+              size="small"
+              pagination={false}
+              scroll={{ y: 200 }}
+              style={{ marginBottom: '16px' }}
+            />
+          )}
+
+          <Form.Item name="late_fee_enabled" label="Late Fee" valuePropName="checked">
+            <Switch checkedChildren="On" unCheckedChildren="Off" />
+          </Form.Item>
+          {lateFeeEnabled && (
+            <Row gutter={8}>
+              <Col xs={12} md={5}>
+                <Form.Item name={['late_fee_rule', 'type']} label="Type">
+                  <Select>
+                    <Option value="flat">Flat</Option>
+                    <Option value="percent">Percent</Option>
+                  </Select>
+                </Form.Item>
+              </Col>
+              <Col xs={12} md={5}>
+                <Form.Item
+                  name={['late_fee_rule', 'amount']}
+                  label={lateFeeType === 'percent' ? 'Rate' : 'Amount'}
+                  rules={[{ required: true, message: 'Required' }]}
+                >
+                  <InputNumber
+                    min={0.01}
+                    max={lateFeeType === 'percent' ? 100 : undefined}
+                    {...(lateFeeType === 'percent' ? { suffix: '%' } : { prefix: '₹' })}
+                    style={{ width: '100%' }}
+                  />
+                </Form.Item>
+              </Col>
+              <Col xs={12} md={5}>
+                <Form.Item name={['late_fee_rule', 'accrual']} label="Charged">
+                  <Select>
+                    {Object.entries(LATE_FEE_ACCRUALS).map(([value, { label }]) => (
+                      <Option key={value} value={value}>{label}</Option>
+                    ))}
+                  </Select>
+                </Form.Item>
+              </Col>
+              <Col xs={12} md={4}>
+                <Form.Item name={['late_fee_rule', 'grace_days']} label="Grace Days">
+                  <InputNumber min={0} precision={0} style={{ width: '100%' }} />
+                </Form.Item>
+              </Col>
+              <Col xs={24} md={5}>
+                <Form.Item name={['late_fee_rule', 'cap']} label="Cap">
+                  <InputNumber min={0} prefix="₹" placeholder="No cap" style={{ width: '100%' }} />
+                </Form.Item>
+              </Col>
+            </Row>
+          )}
+
+          <Row gutter={16}>
+            <Col xs={24} md={12}>
+              <Form.Item name="status" label="Status">
+                <Select>
+                  {Object.keys(FEE_STRUCTURE_STATUS_COLORS).map(status => (
+                    <Option key={status} value={status}>{status.charAt(0).toUpperCase() + status.slice(1)}</Option>
+                  ))}
+                </Select>
+              </Form.Item>
+            </Col>
+          </Row>
+
+          <Row justify="space-between" align="middle">
+            <Col>
+              <Text type="secondary">Annual total: </Text>
+              <Text strong>{formatAmount(structureAnnualTotal((components || []).filter(Boolean)))}</Text>
+            </Col>
+            <Col>
+              <Space>
+                <Button onClick={() => setEditing(null)}>
+                  Cancel
+                </Button>
+                <Button type="primary" htmlType="submit" loading={saving}>
+                  {editing?.id ? 'Save Changes' : 'Create Fee Structure'}
+                </Button>
+              </Space>
+            </Col>
+          </Row>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default FeeStructures;
@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, Form, InputNumber, Button, Alert, Space, Typography, message } from 'antd';
+import { CheckOutlined, CloseOutlined } from '@ant-design/icons';
+import { supabase } from '../../config/supabaseClient';
+import { formatAmount } from '../../lib/fees';
+
+const { Text } = Typography;
+
+// Reads the JSON error an edge function answered with, if any
+const functionError = async (error) => {
+  try {
+    const body = await error.context.json();
+    return body.error || error.message;
+  } catch {
+    return error.message;
+  }
+};
+
+/**
+ * Pays (part of) a student's pending fees online. create-payment-order opens
+ * an order with the configured gateway; the payment reaches the ledger when
+ * the gateway calls payment-webhook. With the mock gateway, the two buttons
+ * here stand in for the gateway's checkout and send its callback.
+ */
+const PayOnline = ({ account, onClose, onPaid }) => {
+  const [form] = Form.useForm();
+  const [order, setOrder] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    if (!account) return;
+    setOrder(null);
+    form.setFieldsValue({ amount: account.pendingAmount });
+  }, [form, account]);
+
+  const handleCreateOrder = async (values) => {
+    setWorking(true);
+    try {
+      const { data, error } = await supabase.functions.invoke('create-payment-order', {
+        body: { student_id: account.studentId, amount: values.amount },
+      });
+      if (error) {
+        message.error(await functionError(error));
+        return;
+      }
+      setOrder(data);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const sendMockCallback = async (outcome) => {
+    const callback = order.checkout.callbacks[outcome];
+    setWorking(true);
+    try {
+      const { data, error } = await supabase.functions.invoke('payment-webhook', {
+        body: callback.body,
+        headers: { 'Content-Type': 'application/json', 'x-mock-signature': callback.signature },
+      });
+      if (error) {
+        message.error(await functionError(error));
+        return;
+      }
+      if (data.status === 'paid') {
+        message.success('Payment received');
+        onPaid(data.ledger_entry_id);
+      } else {
+        message.warning('The payment did not go through');
+        setOrder(null);
+      }
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <Modal
+      title="Pay Fees Online"
+      open={!!account}
+      onCancel={onClose}
+      footer={null}
+      forceRender
+    >
+      {account && (
+        <Text type="secondary">
+          {account.studentName} • {formatAmount(account.pendingAmount)} pending
+        </Text>
+      )}
+
+      {!order && (
+        <Form form={form} layout="vertical" onFinish={handleCreateOrder} style={{ marginTop: '16px' }}>
+          <Form.Item
+            name="amount"
+            label="Amount"
+            rules={[{ required: true, message: 'Please enter the amount to pay' }]}
+          >
+            <InputNumber min={1} max={account?.pendingAmount} prefix="₹" style={{ width: '100%' }} />
+          </Form.Item>
+          <Form.Item>
+            <Button type="primary" htmlType="submit" loading={working} block>
+              Continue to Payment
+            </Button>
+          </Form.Item>
+        </Form>
+      )}
+
+      {order && order.checkout?.gateway === 'mock' && (
+        <div style={{ marginTop: '16px' }}>
+          <Alert
+            type="info"
+            showIcon
+            message="Test gateway"
+            description={`No money moves. Choose how the ${formatAmount(order.amount)} payment ends.`}
+            style={{ marginBottom: '16px' }}
+          />
+          <Space>
+            <Button type="primary" icon={<CheckOutlined />} loading={working} onClick={() => sendMockCallback('paid')}>
+              Simulate Success
+            </Button>
+            <Button danger icon={<CloseOutlined />} loading={working} onClick={() => sendMockCallback('failed')}>
+              Simulate Failure
+            </Button>
+          </Space>
+        </div>
+      )}
+
+      {order && order.checkout?.gateway !== 'mock' && (
+        <Alert
+          type="warning"
+          showIcon
+          style={{ marginTop: '16px' }}
+          message={`Checkout for the ${order.checkout?.gateway} gateway is not available in this app yet`}
+        />
+      )}
+    </Modal>
+  );
+};
+
+export default PayOnline;
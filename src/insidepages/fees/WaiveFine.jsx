@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, Form, Input, InputNumber, Typography, message } from 'antd';
+import { supabase } from '../../config/supabaseClient';
+import { formatAmount } from '../../lib/fees';
+
+const { Text } = Typography;
+
+/**
+ * Waives all or part of a late fee. The waiver is its own ledger entry
+ * pointing at the fine, with the reason it was given.
+ */
+const WaiveFine = ({ fine, balance, currentUser, onClose, onWaived }) => {
+  const [form] = Form.useForm();
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (fine) form.setFieldsValue({ amount: balance, reason: '' });
+  }, [form, fine, balance]);
+
+  const handleWaive = async (values) => {
+    setSaving(true);
+    try {
+      const { error } = await supabase.from('fee_ledger_entries').insert({
+        student_id: fine.student_id,
+        class_instance_id: fine.class_instance_id,
+        fee_structure_id: fine.fee_structure_id,
+        entry_type: 'fine_waiver',
+        amount: values.amount,
+        component: fine.component,
+        instalment: fine.instalment,
+        description: `Waiver - ${fine.description}`,
+        related_entry_id: fine.id,
+        reason: values.reason.trim(),
+        school_code: currentUser.schoolCode,
+        created_by: currentUser.id,
+      });
+      if (error) {
+        message.error(error.message);
+        return;
+      }
+      message.success('Fine waived');
+      onWaived();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      title="Waive Late Fee"
+      open={!!fine}
+      onCancel={onClose}
+      onOk={() => form.submit()}
+      okText="Waive"
+      confirmLoading={saving}
+      forceRender
+    >
+      {fine && (
+        <Text type="secondary">
+          {fine.description} • {formatAmount(balance)} left to waive
+        </Text>
+      )}
+      <Form form={form} layout="vertical" onFinish={handleWaive} style={{ marginTop: '16px' }}>
+        <Form.Item
+          name="amount"
+          label="Amount"
+          rules={[{ required: true, message: 'Please enter the amount to waive' }]}
+        >
+          <InputNumber min={0.01} max={balance} prefix="₹" style={{ width: '100%' }} />
+        </Form.Item>
+        <Form.Item
+          name="reason"
+          label="Reason"
+          rules={[{ required: true, whitespace: true, message: 'Please record why the fine is waived' }]}
+        >
+          <Input.TextArea rows={3} placeholder="e.g., Delay caused by bank holiday" />
+        </Form.Item>
+      </Form>
+    </Modal>
+  );
+};
+
+export default WaiveFine;
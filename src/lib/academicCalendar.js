@@ -0,0 +1,57 @@
+import dayjs from 'dayjs';
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const DEFAULT_WEEKLY_OFFS = [0];
+
+export const DAY_TYPES = {
+  holiday: { label: 'Holiday', color: '#ef4444' },
+  exam_break: { label: 'Exam Break', color: '#f59e0b' },
+  working_day: { label: 'Working Day', color: '#10b981' },
+};
+
+/**
+ * Combines an academic_years row and its academic_calendar_days into a lookup.
+ */
+export const buildCalendar = (academicYear, days = []) => {
+  const byDate = {};
+  days.forEach((day) => { byDate[day.date] = day; });
+  return {
+    weeklyOffs: academicYear?.weekly_offs || DEFAULT_WEEKLY_OFFS,
+    byDate,
+  };
+};
+
+/**
+ * Describes a date: whether classes run and, if not, why.
+ * Without a calendar every day is treated as a working day.
+ */
+export const getDayInfo = (calendar, date) => {
+  if (!calendar) return { working: true };
+  const day = dayjs(date);
+  const entry = calendar.byDate[day.format('YYYY-MM-DD')];
+  if (entry) {
+    return {
+      working: entry.day_type === 'working_day',
+      type: entry.day_type,
+      title: entry.title || DAY_TYPES[entry.day_type]?.label,
+    };
+  }
+  if (calendar.weeklyOffs.includes(day.day())) {
+    return { working: false, type: 'weekly_off', title: `${WEEKDAYS[day.day()]} (weekly off)` };
+  }
+  return { working: true };
+};
+
+export const isWorkingDay = (calendar, date) => getDayInfo(calendar, date).working;
+
+export const filterWorkingDays = (days, calendar) => days.filter(day => isWorkingDay(calendar, day));
+
+export const filterWorkingDayRecords = (records, calendar) =>
+  records.filter(record => isWorkingDay(calendar, record.date));
+
+/**
+ * Dated calendar entries sorted by date.
+ */
+export const listCalendarEntries = (calendar) =>
+  calendar ? Object.values(calendar.byDate).sort((a, b) => a.date.localeCompare(b.date)) : [];
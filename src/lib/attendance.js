@@ -0,0 +1,176 @@
+import dayjs from 'dayjs';
+
+export const ATTENDANCE_STATUS_COLORS = {
+  present: '#10b981',
+  absent: '#ef4444',
+  late: '#f59e0b',
+  excused: '#3b82f6',
+};
+
+// Academic years run April to March; terms split the year in two halves.
+export const ACADEMIC_TERMS = [
+  { key: 'term1', label: 'Term 1', startMonth: 4, endMonth: 9 },
+  { key: 'term2', label: 'Term 2', startMonth: 10, endMonth: 3 },
+];
+
+/**
+ * Date range covered by an academic_years row ({ year_start, year_end }).
+ */
+export const getAcademicYearRange = (academicYear) => {
+  if (!academicYear) return null;
+  return {
+    start: dayjs(`${academicYear.year_start}-04-01`),
+    end: dayjs(`${academicYear.year_end}-03-31`),
+  };
+};
+
+/**
+ * Term of the given academic year that contains `date`.
+ */
+export const getTermRange = (academicYear, date = dayjs()) => {
+  const yearRange = getAcademicYearRange(academicYear);
+  if (!yearRange) return null;
+
+  const [first, second] = ACADEMIC_TERMS;
+  const secondStart = dayjs(`${academicYear.year_start}-${String(second.startMonth).padStart(2, '0')}-01`);
+  if (dayjs(date).isBefore(secondStart, 'day')) {
+    return { ...first, start: yearRange.start, end: secondStart.subtract(1, 'day') };
+  }
+  return { ...second, start: secondStart, end: yearRange.end };
+};
+
+/**
+ * Counts attendance rows by status. Late arrivals count as attended; excused
+ * days (approved leave) are left out of the percentage.
+ */
+export const summarizeAttendance = (records = []) => {
+  const summary = { present: 0, absent: 0, late: 0, excused: 0, total: 0, percentage: 0 };
+  records.forEach((record) => {
+    if (summary[record.status] === undefined) return;
+    summary[record.status] += 1;
+    summary.total += 1;
+  });
+  const counted = summary.total - summary.excused;
+  summary.percentage = counted > 0
+    ? Math.round(((summary.present + summary.late) / counted) * 100)
+    : 0;
+  return summary;
+};
+
+/**
+ * Keeps the records whose date falls inside [start, end].
+ */
+export const filterByDateRange = (records = [], start, end) =>
+  records.filter((record) => {
+    const date = dayjs(record.date);
+    return !date.isBefore(start, 'day') && !date.isAfter(end, 'day');
+  });
+
+export const STATUS_CODES = { present: 'P', absent: 'A', late: 'L', excused: 'E' };
+
+/**
+ * Every calendar day from start to end, inclusive.
+ */
+export const listDays = (start, end) => {
+  const days = [];
+  let cursor = dayjs(start).startOf('day');
+  const last = dayjs(end).startOf('day');
+  while (!cursor.isAfter(last, 'day')) {
+    days.push(cursor);
+    cursor = cursor.add(1, 'day');
+  }
+  return days;
+};
+
+/**
+ * One row per student with status counts, percentage and a status code per day.
+ */
+export const buildRangeReport = (students = [], records = [], days = []) => {
+  const byStudent = {};
+  records.forEach((record) => {
+    if (!byStudent[record.student_id]) byStudent[record.student_id] = [];
+    byStudent[record.student_id].push(record);
+  });
+
+  return students.map((student) => {
+    const studentRecords = byStudent[student.id] || [];
+    const statusByDate = {};
+    studentRecords.forEach((record) => { statusByDate[record.date] = record.status; });
+
+    const row = {
+      key: student.id,
+      student_id: student.id,
+      full_name: student.full_name,
+      ...summarizeAttendance(studentRecords),
+      days: {},
+    };
+    days.forEach((day) => {
+      const dateKey = day.format('YYYY-MM-DD');
+      row.days[dateKey] = STATUS_CODES[statusByDate[dateKey]] || '';
+    });
+    return row;
+  });
+};
+
+// period_number 0 is a whole-day mark; period mode uses 1..periods_per_day
+export const WHOLE_DAY_PERIOD = 0;
+
+/**
+ * Collapses period-wise marks into one mark per student per day.
+ * A day with a single mark keeps it; otherwise the student is absent for the
+ * day when they missed more than half of the periods they were not excused
+ * from, and excused when excused from all of them.
+ */
+export const rollUpPeriods = (records = []) => {
+  const groups = {};
+  records.forEach((record) => {
+    const key = `${record.student_id}_${record.date}`;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(record);
+  });
+
+  return Object.values(groups).map((group) => {
+    if (group.length === 1) return group[0];
+    const counted = group.filter(r => r.status !== 'excused');
+    const absent = counted.filter(r => r.status === 'absent').length;
+    let status = absent * 2 > counted.length ? 'absent' : 'present';
+    if (counted.length === 0) status = 'excused';
+    return {
+      ...group[0],
+      period_number: WHOLE_DAY_PERIOD,
+      subject: null,
+      status,
+    };
+  });
+};
+
+/**
+ * Per-student attendance for each subject taught in period mode.
+ */
+export const buildSubjectReport = (students = [], records = []) => {
+  const subjects = [...new Set(records.map(r => r.subject).filter(Boolean))].sort();
+  const rows = students.map((student) => {
+    const row = { key: student.id, student_id: student.id, full_name: student.full_name, subjects: {} };
+    subjects.forEach((subject) => {
+      row.subjects[subject] = summarizeAttendance(
+        records.filter(r => r.student_id === student.id && r.subject === subject)
+      );
+    });
+    return row;
+  });
+  return { subjects, rows };
+};
+
+export const LEAVE_STATUS_COLORS = {
+  pending: 'blue',
+  approved: 'green',
+  rejected: 'red',
+};
+
+/**
+ * Whether a leave request covers the given date.
+ */
+export const leaveCoversDate = (request, date) => {
+  const day = dayjs(date);
+  return !day.isBefore(request.from_date, 'day') && !day.isAfter(request.to_date, 'day');
+};
@@ -0,0 +1,160 @@
+import { WHOLE_DAY_PERIOD } from './attendance';
+
+// Attendance fields a CSV column can be mapped to. Only the student code and
+// date are required: punch logs from biometric devices usually have no status
+// column, and a punch means the student was present.
+export const IMPORT_FIELDS = [
+  { key: 'student_code', label: 'Student Code', required: true },
+  { key: 'date', label: 'Date', required: true },
+  { key: 'status', label: 'Status' },
+  { key: 'period_number', label: 'Period' },
+  { key: 'subject', label: 'Subject' },
+];
+
+export const IMPORT_DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'DD-MM-YYYY', 'MM/DD/YYYY'];
+
+const MAPPING_KEY = 'cb_attendance_import_mapping';
+
+const STATUS_ALIASES = {
+  present: ['p', 'present', 'in', 'yes', 'y', '1'],
+  absent: ['a', 'absent', 'no', 'n', '0'],
+  late: ['l', 'late'],
+  excused: ['e', 'excused', 'leave', 'lv'],
+};
+
+export const getSavedMapping = () => {
+  try {
+    return JSON.parse(localStorage.getItem(MAPPING_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveMapping = (mapping) => {
+  localStorage.setItem(MAPPING_KEY, JSON.stringify(mapping));
+};
+
+/**
+ * Guesses a column for each field from the header row, e.g. "Emp Code" or
+ * "Student ID" for the student code.
+ */
+export const guessMapping = (header = []) => {
+  const find = (pattern) => {
+    const index = header.findIndex(title => pattern.test(title));
+    return index >= 0 ? header[index] : undefined;
+  };
+  return {
+    student_code: find(/code|id|roll|enrol/i),
+    date: find(/date|day|time/i),
+    status: find(/status|attendance|mark/i),
+    period_number: find(/period/i),
+    subject: find(/subject/i),
+  };
+};
+
+export const normalizeStatus = (value) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  return Object.keys(STATUS_ALIASES).find(status => STATUS_ALIASES[status].includes(text)) || null;
+};
+
+/**
+ * Parses a date cell in the given format into YYYY-MM-DD. A time part, as in
+ * device exports like "19/10/2026 08:42:10", is ignored. Returns null when the
+ * cell is not a valid date.
+ */
+export const parseImportDate = (value, format) => {
+  const datePart = String(value ?? '').trim().split(/[\sT]/)[0];
+  const parts = datePart.split(/[-/.]/).map(Number);
+  if (parts.length !== 3 || parts.some(Number.isNaN)) return null;
+
+  let year;
+  let month;
+  let day;
+  if (format === 'YYYY-MM-DD') [year, month, day] = parts;
+  else if (format === 'MM/DD/YYYY') [month, day, year] = parts;
+  else [day, month, year] = parts;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Turns CSV rows into preview rows. Each row is matched to a student by code;
+ * rows that cannot be imported carry an `error` explaining why. When a student,
+ * date and period appear more than once, the last row wins and the earlier ones
+ * are flagged.
+ *
+ * `studentsByCode` maps student_code to { id, full_name, class_instance_id }.
+ * `allowedClassIds`, when given, limits the import to those classes.
+ * `isLocked(date)`, when given, rejects rows on dates past their cutoff: only
+ * superadmins may import locked attendance.
+ */
+export const buildImportPreview = (rows, header, mapping, studentsByCode, { dateFormat, allowedClassIds, isLocked } = {}) => {
+  const column = (field) => (mapping[field] ? header.indexOf(mapping[field]) : -1);
+  const columns = {};
+  IMPORT_FIELDS.forEach(({ key }) => { columns[key] = column(key); });
+  const cell = (row, field) => (columns[field] >= 0 ? (row[columns[field]] ?? '').trim() : '');
+
+  const preview = rows.map((row, index) => {
+    const code = cell(row, 'student_code');
+    const student = studentsByCode[code];
+    const date = parseImportDate(cell(row, 'date'), dateFormat);
+    const rawStatus = cell(row, 'status');
+    const status = columns.status >= 0 ? normalizeStatus(rawStatus) : 'present';
+    const rawPeriod = cell(row, 'period_number');
+    const period = rawPeriod ? Number(rawPeriod) : WHOLE_DAY_PERIOD;
+
+    let error = null;
+    if (!student) error = code ? `No student with code ${code}` : 'Missing student code';
+    else if (allowedClassIds && !allowedClassIds.includes(student.class_instance_id)) error = 'Student is not in your classes';
+    else if (!date) error = `Invalid date "${cell(row, 'date')}"`;
+    else if (isLocked?.(date)) error = 'Attendance for this date is locked; only a superadmin can import it';
+    else if (!status) error = `Unknown status "${rawStatus}"`;
+    else if (!Number.isInteger(period) || period < 0) error = `Invalid period "${rawPeriod}"`;
+
+    return {
+      key: index,
+      line: index + 2, // header is line 1
+      student_code: code,
+      student,
+      date,
+      status,
+      period_number: period,
+      subject: cell(row, 'subject') || null,
+      error,
+    };
+  });
+
+  const lastIndex = {};
+  preview.forEach((row, index) => {
+    if (!row.error) lastIndex[`${row.student.id}_${row.date}_${row.period_number}`] = index;
+  });
+  preview.forEach((row, index) => {
+    if (!row.error && lastIndex[`${row.student.id}_${row.date}_${row.period_number}`] !== index) {
+      row.error = 'Duplicate - a later row for the same day replaces it';
+    }
+  });
+  return preview;
+};
+
+/**
+ * Attendance rows for the importable preview rows, with the same fields as
+ * marking attendance by hand.
+ */
+export const toAttendanceRecords = (preview, scope) =>
+  preview
+    .filter(row => !row.error)
+    .map(row => ({
+      student_id: row.student.id,
+      class_instance_id: row.student.class_instance_id,
+      date: row.date,
+      period_number: row.period_number,
+      subject: row.period_number === WHOLE_DAY_PERIOD ? null : row.subject,
+      status: row.status,
+      marked_by: scope.userId,
+      marked_by_role_code: scope.roleCode,
+      school_code: scope.schoolCode,
+    }));
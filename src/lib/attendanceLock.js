@@ -0,0 +1,44 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc';
+import timezone from 'dayjs/plugin/timezone';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+export const DEFAULT_CUTOFF_TIME = '18:00';
+
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// How long an approved unlock request lets a teacher edit a locked date
+export const UNLOCK_WINDOW_HOURS = 24;
+
+/**
+ * Sets the time of day from an "HH:mm" or "HH:mm:ss" string on the given day.
+ */
+export const parseTimeOfDay = (value, day = dayjs()) => {
+  const [hours, minutes] = (value || DEFAULT_CUTOFF_TIME).split(':').map(Number);
+  return dayjs(day).startOf('day').hour(hours).minute(minutes);
+};
+
+/**
+ * The moment a date's attendance locks, from the school's cutoff settings
+ * (`attendance_cutoff_time` on `attendance_cutoff_days` after the date, in
+ * the school's `timezone`). Mirrors the enforce_attendance_cutoff trigger.
+ */
+export const getCutoff = (date, settings = {}) => {
+  const day = dayjs(date).add(settings.attendance_cutoff_days || 0, 'day').format('YYYY-MM-DD');
+  const time = parseTimeOfDay(settings.attendance_cutoff_time).format('HH:mm');
+  return dayjs.tz(`${day}T${time}:00`, settings.timezone || DEFAULT_TIMEZONE);
+};
+
+/**
+ * Finds an approved unlock for the class and date that has not expired yet.
+ */
+export const findActiveUnlock = (requests = [], now = dayjs()) =>
+  requests.find(r => r.status === 'approved' && r.unlocked_until && dayjs(r.unlocked_until).isAfter(now));
+
+/**
+ * Whether a date's attendance can no longer be changed by a teacher.
+ */
+export const isAttendanceLocked = (date, settings, unlockRequests = [], now = dayjs()) =>
+  now.isAfter(getCutoff(date, settings)) && !findActiveUnlock(unlockRequests, now);
@@ -0,0 +1,38 @@
+// Who an attendance screen is for. Every role uses the same attendance module;
+// the scope decides which classes or student it loads.
+export const ATTENDANCE_SCOPES = {
+  teacher: 'teacher', // classes the user teaches
+  school: 'school',   // every class in the school
+  child: 'child',     // a single student's own record
+};
+
+/**
+ * Derives the attendance scope from the signed-in user's metadata.
+ * Returns null for roles without access to attendance.
+ */
+export const getAttendanceScope = (user) => {
+  const { role, school_code, admin_code, super_admin_code } = user?.user_metadata || {};
+  const base = { userId: user?.id, role, schoolCode: school_code };
+
+  switch (role) {
+    case 'superadmin':
+      return { ...base, type: ATTENDANCE_SCOPES.school, roleCode: super_admin_code || '' };
+    case 'admin':
+      return { ...base, type: ATTENDANCE_SCOPES.teacher, roleCode: admin_code || '' };
+    case 'student':
+      return { ...base, type: ATTENDANCE_SCOPES.child, studentId: user.id, roleCode: '' };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Narrows a class_instances query to the classes in scope. For a teacher,
+ * `classRoles` (see activeClassRoles) lists the classes they are assigned to.
+ */
+export const scopeClassQuery = (query, scope, classRoles = {}) => {
+  const scoped = query.eq('school_code', scope.schoolCode);
+  return scope.type === ATTENDANCE_SCOPES.teacher
+    ? scoped.in('id', Object.keys(classRoles))
+    : scoped;
+};
@@ -0,0 +1,33 @@
+import dayjs from 'dayjs';
+
+export const TEACHER_ROLES = {
+  class_teacher: { label: 'Class Teacher', color: 'purple' },
+  co_teacher: { label: 'Co-Teacher', color: 'blue' },
+  subject_teacher: { label: 'Subject Teacher', color: 'green' },
+  substitute: { label: 'Substitute', color: 'orange' },
+};
+
+/**
+ * Substitute assignments only count on the day they cover; every other role
+ * is permanent. Mirrors the is_assigned_teacher SQL function.
+ */
+export const isAssignmentActive = (assignment, date = dayjs()) =>
+  assignment.role !== 'substitute' || dayjs(assignment.valid_on).isSame(date, 'day');
+
+/**
+ * The class_instance ids a teacher can work with on a date, each mapped to the
+ * role they hold there (class teacher wins over the others).
+ */
+export const activeClassRoles = (assignments = [], date = dayjs()) => {
+  const priority = Object.keys(TEACHER_ROLES);
+  const roles = {};
+  assignments
+    .filter(a => isAssignmentActive(a, date))
+    .forEach((a) => {
+      const current = roles[a.class_instance_id];
+      if (!current || priority.indexOf(a.role) < priority.indexOf(current)) {
+        roles[a.class_instance_id] = a.role;
+      }
+    });
+  return roles;
+};
@@ -0,0 +1,73 @@
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialises rows into CSV text. `columns` is a list of { title, value(row) }.
+ */
+export const toCsv = (rows, columns) => {
+  const header = columns.map(col => escapeCell(col.title)).join(',');
+  const lines = rows.map(row => columns.map(col => escapeCell(col.value(row))).join(','));
+  return [header, ...lines].join('\r\n');
+};
+
+/**
+ * Triggers a browser download of the given CSV text.
+ */
+export const downloadCsv = (filename, csv) => {
+  // The BOM lets Excel detect UTF-8 (names, ₹ signs)
+  const blob = new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8;' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings). Handles quoted
+ * cells, escaped quotes, CRLF line endings and a leading BOM. Blank lines are
+ * skipped.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      if (row.some(value => value.trim() !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  if (row.some(value => value.trim() !== '')) rows.push(row);
+  return rows;
+};
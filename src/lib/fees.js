@@ -0,0 +1,544 @@
+import dayjs from 'dayjs';
+import { ACADEMIC_TERMS } from './attendance';
+
+// How often a fee component is charged in an academic year. `amount` on a
+// component is per occurrence, so a monthly ₹800 transport fee is ₹9,600 a year.
+// Only `periodic` components are pro-rated for a mid-year admission; an annual
+// (or admission) fee is charged in full.
+export const FEE_FREQUENCIES = {
+  annual: { label: 'Annual', perYear: 1 },
+  term: { label: 'Term-wise', perYear: ACADEMIC_TERMS.length, periodic: true },
+  monthly: { label: 'Monthly', perYear: 12, periodic: true },
+};
+
+const isPeriodic = component => !!FEE_FREQUENCIES[component.frequency]?.periodic;
+
+export const FEE_STRUCTURE_STATUS_COLORS = {
+  active: 'green',
+  inactive: 'default',
+  archived: 'default',
+};
+
+export const roundAmount = (amount) => Math.round(Number(amount || 0) * 100) / 100;
+
+export const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+export const componentAnnualAmount = (component) =>
+  Number(component.amount || 0) * (FEE_FREQUENCIES[component.frequency]?.perYear || 1);
+
+/**
+ * Yearly total of a structure's components, as stored in total_amount.
+ */
+export const structureAnnualTotal = (components = []) =>
+  components.reduce((sum, component) => sum + componentAnnualAmount(component), 0);
+
+export const classInstanceLabel = (classInstance) =>
+  classInstance ? `Grade ${classInstance.grade} - Section ${classInstance.section}` : '-';
+
+export const academicYearLabel = (academicYear) =>
+  academicYear ? `${academicYear.year_start}-${String(academicYear.year_end).slice(-2)}` : '-';
+
+// Ledger entry types. Charges raise what a student owes; credits settle it.
+// `undoesPayment` types take back (part of) the payment they refer to.
+export const LEDGER_ENTRY_TYPES = {
+  due: { label: 'Due', sign: 1, color: 'blue' },
+  payment: { label: 'Payment', sign: -1, color: 'green' },
+  fine: { label: 'Late Fee', sign: 1, color: 'volcano' },
+  fine_waiver: { label: 'Fine Waiver', sign: -1, color: 'purple' },
+  concession: { label: 'Concession', sign: -1, color: 'cyan' },
+  reversal: { label: 'Reversal', sign: 1, color: 'magenta', undoesPayment: true },
+  refund: { label: 'Refund', sign: 1, color: 'geekblue', undoesPayment: true },
+  cheque_bounce: { label: 'Cheque Bounce', sign: 1, color: 'red', undoesPayment: true },
+  bounce_charge: { label: 'Bounce Charge', sign: 1, color: 'volcano' },
+};
+
+export const FEE_PAYMENT_METHODS = {
+  cash: 'Cash',
+  cheque: 'Cheque',
+  upi: 'UPI',
+  card: 'Debit/Credit Card',
+  bank_transfer: 'Bank Transfer',
+  online: 'Online',
+};
+
+export const FEE_STATUS_COLORS = {
+  paid: 'green',
+  partial: 'orange',
+  pending: 'blue',
+  overdue: 'red',
+};
+
+// How a structure's yearly total is split into dated dues. `by_component`
+// charges each component on its own frequency; the others split every
+// component's yearly amount over the same instalments.
+export const INSTALMENT_PLANS = {
+  by_component: { label: 'As per component frequency' },
+  single: { label: 'Single payment' },
+  monthly: { label: 'Monthly (12 instalments)', count: 12, monthsApart: 1 },
+  quarterly: { label: 'Quarterly (4 instalments)', count: 4, monthsApart: 3 },
+  custom: { label: 'Custom dates and splits' },
+};
+
+/**
+ * Splits an amount in proportion to `weights`, to the paisa. Rounding is
+ * settled on the last part so the parts add up to the amount.
+ */
+export const splitAmount = (amount, weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let allocated = 0;
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) return roundAmount(amount - allocated);
+    const part = Math.floor((amount * weight * 100) / total) / 100;
+    allocated = roundAmount(allocated + part);
+    return part;
+  });
+};
+
+// A component's own dates: once, at the start of each term, or every month
+const componentSlots = (component, first) => {
+  switch (component.frequency) {
+    case 'term':
+      return ACADEMIC_TERMS.map(term => ({
+        label: term.label,
+        date: first.add((term.startMonth - ACADEMIC_TERMS[0].startMonth + 12) % 12, 'month'),
+      }));
+    case 'monthly':
+      return Array.from({ length: 12 }, (_, index) => {
+        const date = first.add(index, 'month');
+        return { label: date.format('MMM YYYY'), date };
+      });
+    default:
+      return [{ label: 'Annual', date: first }];
+  }
+};
+
+const planSlots = (plan, first) => {
+  const { count, monthsApart } = INSTALMENT_PLANS[plan.type] || {};
+  switch (plan.type) {
+    case 'monthly':
+    case 'quarterly':
+      return Array.from({ length: count }, (_, index) => {
+        const date = first.add(index * monthsApart, 'month');
+        return {
+          label: plan.type === 'monthly' ? date.format('MMM YYYY') : `Q${index + 1}`,
+          date,
+          weight: 1,
+        };
+      });
+    case 'custom':
+      return (plan.instalments || []).map((instalment, index) => ({
+        label: instalment.label || `Instalment ${index + 1}`,
+        date: dayjs(instalment.due_date),
+        weight: Number(instalment.percent),
+      }));
+    default:
+      return [{ label: 'Full payment', date: first, weight: 1 }];
+  }
+};
+
+// Each slot covers the time until the next one; the last runs to the end of
+// the fee year (twelve months after the first due date)
+const withCoverage = (slots, first) => {
+  const sorted = [...slots].sort((a, b) => a.date.valueOf() - b.date.valueOf());
+  const yearEnd = first.add(12, 'month');
+  return sorted.map((slot, index) => ({ ...slot, until: sorted[index + 1]?.date || yearEnd }));
+};
+
+/**
+ * Dated instalments of a fee structure, each with the component amounts due
+ * on it: [{ label, due_date, amount, lines: [{ component, amount, until, periodic }] }].
+ * A line's `until` is the date the period it pays for ends. Saved with the
+ * structure as `schedule`, which enrolment raises a new student's dues from.
+ */
+export const buildInstalmentSchedule = (structure) => {
+  const plan = structure.instalment_plan || { type: 'by_component' };
+  const first = dayjs(structure.due_date);
+  const components = structure.components || [];
+  let instalments;
+
+  if (plan.type === 'by_component') {
+    const byKey = {};
+    components.forEach((component) => {
+      withCoverage(componentSlots(component, first), first).forEach(({ label, date, until }) => {
+        const key = `${date.format('YYYY-MM-DD')}_${label}`;
+        byKey[key] = byKey[key] || { label, date, lines: [] };
+        byKey[key].lines.push({
+          component: component.name,
+          amount: Number(component.amount || 0),
+          until: until.format('YYYY-MM-DD'),
+          periodic: isPeriodic(component),
+        });
+      });
+    });
+    instalments = Object.values(byKey);
+  } else {
+    const slots = withCoverage(planSlots(plan, first), first);
+    const splits = components.map(component =>
+      splitAmount(componentAnnualAmount(component), slots.map(slot => slot.weight || 0)));
+    instalments = slots.map((slot, index) => ({
+      label: slot.label,
+      date: slot.date,
+      lines: components.map((component, c) => ({
+        component: component.name,
+        amount: splits[c][index],
+        until: slot.until.format('YYYY-MM-DD'),
+        periodic: isPeriodic(component),
+      })),
+    }));
+  }
+
+  return instalments
+    .map(({ label, date, lines }) => {
+      const dueLines = lines.filter(line => line.amount > 0);
+      return {
+        label,
+        due_date: date.format('YYYY-MM-DD'),
+        amount: roundAmount(dueLines.reduce((sum, line) => sum + line.amount, 0)),
+        lines: dueLines,
+      };
+    })
+    .filter(instalment => instalment.lines.length)
+    .sort((a, b) => a.due_date.localeCompare(b.due_date));
+};
+
+/**
+ * Share of a line a student joining on `joinedOn` pays: the whole months left
+ * of the period it covers, counting the joining month, over the months in it.
+ * A student who joins before the period starts, or in its first month, pays
+ * it in full; one who joins after it ends pays none of it.
+ */
+const joiningShare = (dueDate, until, joinedOn) => {
+  const from = dayjs(dueDate).startOf('month');
+  const joined = dayjs(joinedOn).startOf('month');
+  if (!joined.isAfter(from)) return 1;
+  const end = dayjs(until).startOf('month');
+  const months = end.diff(from, 'month');
+  return months > 0 ? Math.max(end.diff(joined, 'month'), 0) / months : 0;
+};
+
+/**
+ * Due ledger entries a fee structure raises for one student: one per
+ * component and instalment. For a student who joined mid-year
+ * (`student.joined_on`) each period of a periodic component is pro-rated by
+ * joiningShare and periods already over are left out; whatever fell due
+ * before the joining date falls due on it. Enrolment does the same in the
+ * database (assign_enrolment_fees).
+ */
+export const buildDueEntries = (structure, student, { schoolCode, userId }) =>
+  buildInstalmentSchedule(structure).flatMap(instalment =>
+    instalment.lines.map((line) => {
+      const joinedOn = student.joined_on;
+      const share = joinedOn && line.periodic ? joiningShare(instalment.due_date, line.until, joinedOn) : 1;
+      const joinedLate = joinedOn && dayjs(joinedOn).isAfter(instalment.due_date, 'day');
+      return {
+        student_id: student.id,
+        class_instance_id: structure.class_instance_id,
+        fee_structure_id: structure.id,
+        entry_type: 'due',
+        amount: roundAmount(line.amount * share),
+        component: line.component,
+        instalment: instalment.label,
+        description: `${line.component} (${instalment.label}${share < 1 ? ', pro-rated' : ''})`,
+        due_date: joinedLate ? dayjs(joinedOn).format('YYYY-MM-DD') : instalment.due_date,
+        school_code: schoolCode,
+        created_by: userId,
+      };
+    }))
+    .filter(entry => entry.amount > 0);
+
+/**
+ * Charges in due-date order, then the order they were posted (as
+ * fee_charge_settlement has them), each with what is still unpaid on it
+ * (`left`). Waivers and concessions reduce the entry they refer to;
+ * payments, less what was reversed or refunded of them, settle the oldest
+ * charges first.
+ */
+export const settleCharges = (entries) => {
+  const charges = entries
+    .filter(entry => LEDGER_ENTRY_TYPES[entry.entry_type]?.sign > 0 && !LEDGER_ENTRY_TYPES[entry.entry_type].undoesPayment)
+    .sort((a, b) => (a.due_date || a.entry_date).localeCompare(b.due_date || b.entry_date) ||
+      a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id))
+    .map(entry => ({ entry, left: Number(entry.amount) }));
+  const byId = Object.fromEntries(charges.map(charge => [charge.entry.id, charge]));
+
+  let pooled = 0;
+  entries
+    .filter(entry => LEDGER_ENTRY_TYPES[entry.entry_type]?.sign < 0)
+    .forEach((credit) => {
+      const target = credit.related_entry_id && byId[credit.related_entry_id];
+      const applied = target ? Math.min(target.left, Number(credit.amount)) : 0;
+      if (target) target.left = roundAmount(target.left - applied);
+      pooled = roundAmount(pooled + Number(credit.amount) - applied);
+    });
+  const undone = entries
+    .filter(entry => LEDGER_ENTRY_TYPES[entry.entry_type]?.undoesPayment)
+    .reduce((sum, entry) => sum + Number(entry.amount), 0);
+  pooled = Math.max(roundAmount(pooled - undone), 0);
+
+  charges.forEach((charge) => {
+    const applied = Math.min(charge.left, pooled);
+    charge.left = roundAmount(charge.left - applied);
+    pooled = roundAmount(pooled - applied);
+  });
+  return charges;
+};
+
+/**
+ * A student's fee position from their ledger entries. Payments settle the
+ * oldest dues first, so the first due left unsettled is the one to chase; the
+ * account is overdue when unsettled instalments have passed their due date.
+ */
+export const summarizeLedger = (entries = [], today = dayjs()) => {
+  let charged = 0;
+  let credited = 0;
+  let paid = 0;
+  entries.forEach((entry) => {
+    const amount = Number(entry.amount);
+    const type = LEDGER_ENTRY_TYPES[entry.entry_type];
+    if (type?.undoesPayment) {
+      // Reopens the balance by taking back what the payment settled
+      credited -= amount;
+      paid -= amount;
+    } else if (type?.sign > 0) {
+      charged += amount;
+    } else {
+      credited += amount;
+    }
+    if (entry.entry_type === 'payment') paid += amount;
+  });
+
+  // Charges still (partly) unpaid once credits have settled them
+  const unsettled = settleCharges(entries)
+    .filter(charge => charge.left > 0)
+    .map(charge => charge.entry);
+  const nextDue = unsettled[0];
+  const isPast = entry => dayjs(entry.due_date || entry.entry_date).isBefore(today, 'day');
+  const overdueInstalments = [...new Set(unsettled.filter(isPast).map(entry => entry.instalment || entry.description))];
+
+  const balance = roundAmount(charged - credited);
+  const dueDate = nextDue ? nextDue.due_date || nextDue.entry_date : null;
+  let status = 'pending';
+  if (balance <= 0) status = 'paid';
+  else if (overdueInstalments.length) status = 'overdue';
+  else if (paid > 0) status = 'partial';
+
+  const payments = entries.filter(entry => entry.entry_type === 'payment');
+  const concession = entries
+    .filter(entry => entry.entry_type === 'concession')
+    .reduce((sum, entry) => sum + Number(entry.amount), 0);
+  return {
+    amount: charged,
+    paidAmount: paid,
+    concessionAmount: roundAmount(concession),
+    pendingAmount: Math.max(balance, 0),
+    dueDate,
+    instalment: nextDue ? nextDue.instalment || nextDue.description : null,
+    overdueInstalments,
+    status,
+    lastPayment: payments.sort((a, b) => b.entry_date.localeCompare(a.entry_date))[0] || null,
+  };
+};
+
+export const LATE_FEE_ACCRUALS = {
+  daily: { label: 'Per day', unit: 'day' },
+  monthly: { label: 'Per month', unit: 'month' },
+};
+
+/**
+ * e.g. "₹50 per day after 7 days, up to ₹500"
+ */
+export const describeLateFeeRule = (rule) => {
+  if (!rule) return 'No late fee';
+  const rate = rule.type === 'percent' ? `${rule.amount}% of the unpaid amount` : formatAmount(rule.amount);
+  const grace = rule.grace_days ? ` after ${rule.grace_days} day(s)` : '';
+  const cap = rule.cap ? `, up to ${formatAmount(rule.cap)}` : '';
+  return `${rate} per ${LATE_FEE_ACCRUALS[rule.accrual]?.unit || 'day'}${grace}${cap}`;
+};
+
+/**
+ * What is left of a fine after the waivers recorded against it.
+ */
+export const fineBalance = (entries, fine) => roundAmount(entries
+  .filter(entry => entry.entry_type === 'fine_waiver' && entry.related_entry_id === fine.id)
+  .reduce((left, waiver) => left - Number(waiver.amount), Number(fine.amount)));
+
+export const DEFAULT_BOUNCE_CHARGE = 500;
+
+/**
+ * What is left of a payment after the reversals, refunds and bounces recorded
+ * against it.
+ */
+export const paymentBalance = (entries, payment) => roundAmount(entries
+  .filter(entry => LEDGER_ENTRY_TYPES[entry.entry_type]?.undoesPayment && entry.related_entry_id === payment.id)
+  .reduce((left, entry) => left - Number(entry.amount), Number(payment.amount)));
+
+export const CONCESSION_KINDS = {
+  percent: 'Percentage',
+  fixed: 'Fixed amount',
+};
+
+export const CONCESSION_STATUS_COLORS = {
+  pending: 'orange',
+  approved: 'green',
+  rejected: 'red',
+};
+
+/**
+ * e.g. "10% of Tuition Fee" or "₹5,000 off all components"
+ */
+export const describeConcessionType = (type) => {
+  if (!type) return '-';
+  const on = type.components?.length ? type.components.join(', ') : 'all components';
+  return type.kind === 'percent' ? `${type.value}% of ${on}` : `${formatAmount(type.value)} off ${on}`;
+};
+
+/**
+ * Concession entries approved concessions still have to post against a
+ * student's dues. A percentage comes off each matching due; a fixed amount is
+ * spread over the matching dues of the structure in proportion to their size.
+ * Dues that already carry an entry for the concession are skipped, so this can
+ * run again after more dues are raised.
+ *
+ * `concessions` are approved student_concessions with their
+ * `concession_type` ({ name, kind, value, components }).
+ */
+export const computeConcessionEntries = (entries, concessions) => {
+  const offByDue = {};
+  entries
+    .filter(entry => entry.entry_type === 'concession')
+    .forEach((entry) => {
+      offByDue[entry.related_entry_id] = roundAmount((offByDue[entry.related_entry_id] || 0) + Number(entry.amount));
+    });
+  const posted = new Set(entries
+    .filter(entry => entry.entry_type === 'concession')
+    .map(entry => `${entry.student_concession_id}:${entry.related_entry_id}`));
+
+  return concessions.flatMap((concession) => {
+    const type = concession.concession_type;
+    const dues = entries.filter(entry =>
+      entry.entry_type === 'due' &&
+      entry.student_id === concession.student_id &&
+      entry.fee_structure_id === concession.fee_structure_id &&
+      (!type.components?.length || type.components.includes(entry.component)));
+    if (!dues.length) return [];
+
+    // A fixed amount is given once: dues raised later share what is left of it
+    const given = entries
+      .filter(entry => entry.entry_type === 'concession' && entry.student_concession_id === concession.id)
+      .reduce((sum, entry) => sum + Number(entry.amount), 0);
+    const openDues = dues.filter(due => !posted.has(`${concession.id}:${due.id}`));
+    const openTotal = openDues.reduce((sum, due) => sum + Number(due.amount), 0);
+    const amounts = type.kind === 'percent'
+      ? openDues.map(due => roundAmount((Number(due.amount) * Number(type.value)) / 100))
+      : splitAmount(Math.max(Math.min(Number(type.value) - given, openTotal), 0), openDues.map(due => Number(due.amount)));
+
+    return openDues.flatMap((due, index) => {
+      // Several concessions on one due never take off more than the due
+      const amount = roundAmount(Math.min(amounts[index], Number(due.amount) - (offByDue[due.id] || 0)));
+      if (amount <= 0) return [];
+      offByDue[due.id] = roundAmount((offByDue[due.id] || 0) + amount);
+      return [{
+        student_id: due.student_id,
+        class_instance_id: due.class_instance_id,
+        fee_structure_id: due.fee_structure_id,
+        entry_type: 'concession',
+        amount,
+        component: due.component,
+        instalment: due.instalment,
+        description: `${type.name} - ${due.description || due.component}`,
+        related_entry_id: due.id,
+        student_concession_id: concession.id,
+        school_code: due.school_code,
+      }];
+    });
+  });
+};
+
+/**
+ * Columns of the exported fee report, in the { title, value(account) } form
+ * toCsv and downloadXlsx take: one column per fee component charged on any of
+ * the accounts, then what was paid and what is pending.
+ */
+export const feeReportColumns = (accounts) => {
+  const dueByComponent = new Map(accounts.map(account => [account, account.entries
+    .filter(entry => entry.entry_type === 'due')
+    .reduce((acc, entry) => {
+      const component = entry.component || 'Other';
+      acc[component] = roundAmount((acc[component] || 0) + Number(entry.amount));
+      return acc;
+    }, {})]));
+  const components = [...new Set([...dueByComponent.values()].flatMap(Object.keys))].sort();
+
+  return [
+    { title: 'Student', value: account => account.studentName },
+    { title: 'Roll Number', value: account => account.rollNumber },
+    { title: 'Class', value: account => account.className },
+    ...components.map(component => ({
+      title: component,
+      value: account => dueByComponent.get(account)[component] || 0,
+    })),
+    { title: 'Total', value: account => roundAmount(account.amount) },
+    { title: 'Concession', value: account => account.concessionAmount },
+    { title: 'Paid', value: account => roundAmount(account.paidAmount) },
+    { title: 'Pending', value: account => roundAmount(account.pendingAmount) },
+    { title: 'Due Date', value: account => (account.dueDate ? dayjs(account.dueDate).format('DD MMM YYYY') : '') },
+    { title: 'Status', value: account => account.status },
+  ];
+};
+
+// How long the oldest unpaid due has been overdue
+export const DEFAULTER_BUCKETS = {
+  '0-30': { label: '0–30 days', color: 'gold', maxDays: 30 },
+  '31-60': { label: '31–60 days', color: 'orange', maxDays: 60 },
+  '60+': { label: '60+ days', color: 'red', maxDays: Infinity },
+};
+
+export const defaulterBucket = (days) =>
+  Object.keys(DEFAULTER_BUCKETS).find(key => days <= DEFAULTER_BUCKETS[key].maxDays);
+
+/**
+ * Accounts with charges past their due date still unsettled, with the overdue
+ * amount, the days since the oldest of them fell due and the aging bucket.
+ * Dues falling due later are not counted as overdue.
+ */
+export const buildDefaulters = (accounts, today = dayjs()) => accounts.flatMap((account) => {
+  const overdue = settleCharges(account.entries).filter(charge =>
+    charge.left > 0 && dayjs(charge.entry.due_date || charge.entry.entry_date).isBefore(today, 'day'));
+  if (!overdue.length) return [];
+  const oldest = overdue.reduce((min, charge) => {
+    const date = charge.entry.due_date || charge.entry.entry_date;
+    return date < min ? date : min;
+  }, overdue[0].entry.due_date || overdue[0].entry.entry_date);
+  const daysOverdue = today.startOf('day').diff(dayjs(oldest), 'day');
+  return [{
+    ...account,
+    overdueAmount: roundAmount(overdue.reduce((sum, charge) => sum + charge.left, 0)),
+    oldestDueDate: oldest,
+    daysOverdue,
+    bucket: defaulterBucket(daysOverdue),
+  }];
+});
+
+/**
+ * Text of a fee reminder; SMS gets the short form without a subject.
+ */
+export const feeReminderMessage = (defaulter, { schoolName, channel }) => {
+  const since = dayjs(defaulter.oldestDueDate).format('DD MMM YYYY');
+  if (channel === 'sms') {
+    return {
+      subject: null,
+      body: `${schoolName}: fees of ${formatAmount(defaulter.overdueAmount)} for ${defaulter.studentName} are overdue since ${since}. Please pay at the earliest.`,
+    };
+  }
+  return {
+    subject: `Fee reminder for ${defaulter.studentName}`,
+    body: [
+      'Dear Parent/Guardian,',
+      '',
+      `This is a reminder that fees of ${formatAmount(defaulter.overdueAmount)} for ${defaulter.studentName} (${defaulter.className}) have been overdue since ${since}.`,
+      `The total pending is ${formatAmount(defaulter.pendingAmount)}. Please pay at the earliest, or contact the accounts office if you have already paid.`,
+      '',
+      schoolName,
+    ].join('\n'),
+  };
+};
@@ -0,0 +1,70 @@
+// Local storage for marking attendance without a connection. Rosters are cached
+// whenever they load online; submissions made offline wait in a queue until
+// they can be synced. The queue is kept per user, so on a shared device one
+// teacher's marks are never replayed under another's login.
+const CLASSES_KEY = 'cb_attendance_classes';
+const ROSTER_KEY = 'cb_attendance_roster';
+const QUEUE_KEY = 'cb_attendance_queue';
+
+const read = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const write = (key, value) => {
+  localStorage.setItem(key, JSON.stringify(value));
+};
+
+export const cacheClasses = (userId, classes) => write(`${CLASSES_KEY}_${userId}`, classes);
+
+export const getCachedClasses = (userId) => read(`${CLASSES_KEY}_${userId}`, []);
+
+export const cacheRoster = (classInstanceId, students) => write(`${ROSTER_KEY}_${classInstanceId}`, students);
+
+export const getCachedRoster = (classInstanceId) => read(`${ROSTER_KEY}_${classInstanceId}`, []);
+
+const queueKey = (userId) => `${QUEUE_KEY}_${userId}`;
+
+export const getQueuedSubmissions = (userId) => read(queueKey(userId), []);
+
+const submissionKey = (s) => `${s.class_instance_id}_${s.date}_${s.period_number}`;
+
+/**
+ * Queues a day's marks for a class. A newer submission for the same class,
+ * date and period replaces the queued one.
+ */
+export const queueSubmission = (userId, { class_instance_id, date, period_number, records }) => {
+  const submission = {
+    id: `${class_instance_id}_${date}_${period_number}`,
+    class_instance_id,
+    date,
+    period_number,
+    records,
+    queued_at: new Date().toISOString(),
+  };
+  const queue = getQueuedSubmissions(userId).filter(s => submissionKey(s) !== submissionKey(submission));
+  write(queueKey(userId), [...queue, submission]);
+  return submission;
+};
+
+export const removeQueuedSubmission = (userId, id) => {
+  write(queueKey(userId), getQueuedSubmissions(userId).filter(s => s.id !== id));
+};
+
+/**
+ * Records why the server rejected a queued submission (`error` is null to
+ * retry it). Failed submissions are kept, but not synced again until retried.
+ */
+export const setSubmissionError = (userId, id, error) => {
+  write(queueKey(userId), getQueuedSubmissions(userId).map(s => (s.id === id ? { ...s, error } : s)));
+};
+
+/**
+ * Whether a Supabase error came from the request never reaching the server.
+ */
+export const isNetworkError = (error) =>
+  !navigator.onLine || /failed to fetch|network ?error|load failed/i.test(error?.message || '');
@@ -0,0 +1,197 @@
+import dayjs from 'dayjs';
+import { jsPDF } from 'jspdf';
+import { FEE_PAYMENT_METHODS, LEDGER_ENTRY_TYPES, paymentBalance, roundAmount } from './fees';
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen',
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`);
+
+const belowThousand = (n) => [
+  n >= 100 ? `${ONES[Math.floor(n / 100)]} Hundred` : '',
+  n % 100 ? belowHundred(n % 100) : '',
+].filter(Boolean).join(' ');
+
+/**
+ * Whole number in words using the Indian system (thousand, lakh, crore).
+ */
+export const numberInWords = (number) => {
+  let n = Math.floor(number);
+  if (n === 0) return 'Zero';
+  const crore = Math.floor(n / 10000000);
+  n %= 10000000;
+  const lakh = Math.floor(n / 100000);
+  n %= 100000;
+  const thousand = Math.floor(n / 1000);
+  n %= 1000;
+  return [
+    crore ? `${numberInWords(crore)} Crore` : '',
+    lakh ? `${belowHundred(lakh)} Lakh` : '',
+    thousand ? `${belowHundred(thousand)} Thousand` : '',
+    n ? belowThousand(n) : '',
+  ].filter(Boolean).join(' ');
+};
+
+/**
+ * e.g. 15250.5 -> "Rupees Fifteen Thousand Two Hundred Fifty and Fifty Paise Only"
+ */
+export const amountInWords = (amount) => {
+  const paise = Math.round(Number(amount || 0) * 100);
+  const rupees = Math.floor(paise / 100);
+  const rest = paise % 100;
+  return `Rupees ${numberInWords(rupees)}${rest ? ` and ${belowHundred(rest)} Paise` : ''} Only`;
+};
+
+/**
+ * The dues a payment settles, for the receipt's fee component lines, each with
+ * the concession given on it. Waivers and concessions come off the entry they
+ * refer to; other credits settle the oldest dues first, in the order they were
+ * recorded, net of what was since reversed, refunded or bounced (shown as its
+ * own line). Whatever the payment covers beyond the dues is an advance. A
+ * refund has the one line naming the payment it refunds.
+ */
+export const receiptLines = (entries, payment) => {
+  if (payment.entry_type === 'refund') {
+    const original = entries.find(entry => entry.id === payment.related_entry_id);
+    return [{
+      description: `Refund against receipt ${original?.receipt_number || '-'}`,
+      amount: Number(payment.amount),
+      concession: 0,
+    }];
+  }
+  const charges = entries
+    .filter(entry => LEDGER_ENTRY_TYPES[entry.entry_type]?.sign > 0 && !LEDGER_ENTRY_TYPES[entry.entry_type].undoesPayment)
+    .sort((a, b) => (a.due_date || a.entry_date).localeCompare(b.due_date || b.entry_date) ||
+      a.created_at.localeCompare(b.created_at))
+    .map(entry => ({
+      id: entry.id,
+      description: entry.description || entry.component || LEDGER_ENTRY_TYPES[entry.entry_type].label,
+      left: Number(entry.amount),
+      concession: 0,
+    }));
+  const byId = Object.fromEntries(charges.map(charge => [charge.id, charge]));
+  const credits = entries.filter(entry => LEDGER_ENTRY_TYPES[entry.entry_type]?.sign < 0);
+
+  credits
+    .filter(credit => byId[credit.related_entry_id])
+    .forEach((credit) => {
+      const charge = byId[credit.related_entry_id];
+      charge.left = roundAmount(Math.max(charge.left - Number(credit.amount), 0));
+      if (credit.entry_type === 'concession') charge.concession = roundAmount(charge.concession + Number(credit.amount));
+    });
+
+  const settling = credits
+    .filter(credit => !byId[credit.related_entry_id])
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  let lines = [];
+  for (const credit of settling) {
+    const net = paymentBalance(entries, credit);
+    let remaining = net;
+    lines = [];
+    for (const charge of charges) {
+      if (remaining <= 0) break;
+      const settled = roundAmount(Math.min(charge.left, remaining));
+      if (settled <= 0) continue;
+      charge.left = roundAmount(charge.left - settled);
+      remaining = roundAmount(remaining - settled);
+      lines.push({ description: charge.description, amount: settled, concession: charge.concession });
+    }
+    if (remaining > 0) lines.push({ description: 'Advance', amount: remaining, concession: 0 });
+    const takenBack = roundAmount(Number(credit.amount) - net);
+    if (takenBack > 0) lines.push({ description: 'Since reversed, refunded or bounced', amount: takenBack, concession: 0 });
+    if (credit.id === payment.id) return lines;
+  }
+  return [{ description: 'Fee payment', amount: Number(payment.amount), concession: 0 }];
+};
+
+/**
+ * Receipt as a PDF document. `receipt` is { school, account, payment, lines,
+ * duplicate }; the built-in PDF fonts have no rupee sign, so amounts read "Rs.".
+ */
+export const buildReceiptPdf = ({ school, account, payment, lines, duplicate }) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a5' });
+  const width = doc.internal.pageSize.getWidth();
+  const money = (amount) => `Rs. ${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+  let y = 14;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.text(school?.school_name || '', width / 2, y, { align: 'center' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  [school?.school_address, [school?.school_phone, school?.school_email].filter(Boolean).join(' | ')]
+    .filter(Boolean)
+    .forEach((line) => {
+      y += 5;
+      doc.text(line, width / 2, y, { align: 'center' });
+    });
+
+  y += 9;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(12);
+  doc.text(payment.entry_type === 'refund' ? 'REFUND RECEIPT' : 'FEE RECEIPT', width / 2, y, { align: 'center' });
+  if (duplicate) {
+    doc.setTextColor(200, 0, 0);
+    doc.text('DUPLICATE', width - 12, y, { align: 'right' });
+    doc.setTextColor(0, 0, 0);
+  }
+
+  y += 8;
+  doc.setFontSize(9);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`Receipt No: ${payment.receipt_number || '-'}`, 12, y);
+  doc.text(`Date: ${dayjs(payment.entry_date).format('DD MMM YYYY')}`, width - 12, y, { align: 'right' });
+  y += 5;
+  doc.text(`Student: ${account.studentName}`, 12, y);
+  doc.text(`Code: ${account.rollNumber || '-'}`, width - 12, y, { align: 'right' });
+  y += 5;
+  doc.text(`Class: ${account.className}`, 12, y);
+
+  y += 7;
+  doc.setFont('helvetica', 'bold');
+  doc.text('Particulars', 12, y);
+  doc.text('Amount', width - 12, y, { align: 'right' });
+  doc.line(12, y + 1.5, width - 12, y + 1.5);
+  doc.setFont('helvetica', 'normal');
+  lines.forEach((line) => {
+    y += 6;
+    doc.text(line.description, 12, y);
+    doc.text(money(line.amount), width - 12, y, { align: 'right' });
+    if (line.concession > 0) {
+      y += 4;
+      doc.setFontSize(8);
+      doc.text(`Concession given: ${money(line.concession)}`, 16, y);
+      doc.setFontSize(9);
+    }
+  });
+  doc.line(12, y + 2, width - 12, y + 2);
+  y += 7;
+  doc.setFont('helvetica', 'bold');
+  doc.text('Total', 12, y);
+  doc.text(money(payment.amount), width - 12, y, { align: 'right' });
+
+  y += 7;
+  doc.setFont('helvetica', 'italic');
+  doc.text(doc.splitTextToSize(amountInWords(payment.amount), width - 24), 12, y);
+
+  y += 10;
+  doc.setFont('helvetica', 'normal');
+  const method = FEE_PAYMENT_METHODS[payment.payment_method] || payment.payment_method;
+  const paidBy = payment.entry_type === 'refund' ? 'Refunded by' : 'Paid by';
+  doc.text(`${paidBy} ${method}${payment.reference ? ` (Ref: ${payment.reference})` : ''}`, 12, y);
+  if (payment.reason) {
+    y += 5;
+    doc.text(doc.splitTextToSize(`Reason: ${payment.reason}`, width - 24), 12, y);
+  }
+  if (payment.collector_name) {
+    y += 5;
+    doc.text(`${payment.entry_type === 'refund' ? 'Paid out' : 'Received'} by ${payment.collector_name}`, 12, y);
+  }
+
+  y += 18;
+  doc.text('Authorised Signatory', width - 12, y, { align: 'right' });
+  return doc;
+};
@@ -0,0 +1,17 @@
+import { utils, writeFile } from 'xlsx';
+
+/**
+ * Triggers a browser download of rows as an Excel workbook with one sheet.
+ * `columns` is a list of { title, value(row) }, as for toCsv; numbers stay
+ * numbers so the sheet can total them.
+ */
+export const downloadXlsx = (filename, rows, columns, sheetName = 'Report') => {
+  const sheet = utils.aoa_to_sheet([
+    columns.map(col => col.title),
+    ...rows.map(row => columns.map(col => col.value(row) ?? '')),
+  ]);
+  sheet['!cols'] = columns.map(col => ({ wch: Math.max(col.title.length, 12) }));
+  const workbook = utils.book_new();
+  utils.book_append_sheet(workbook, sheet, sheetName);
+  writeFile(workbook, filename);
+};
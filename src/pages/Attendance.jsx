@@ -1,23 +1,14 @@
-import React from 'react';
+import React, { useMemo } from 'react';
 import { useAuth } from '../AuthProvider';
-import AdminAttendance from './admin/AdminAttendance';
-import StudentAttendance from './student/StudentAttendance';
-import SuperAdminAttendance from './superadmin/SuperAdminAttendance';
+import { getAttendanceScope } from '../lib/attendanceScope';
+import AttendanceModule from './attendance/AttendanceModule';
 
 const AttendancePage = () => {
   const { user } = useAuth();
-  const role = user?.user_metadata?.role;
+  const scope = useMemo(() => getAttendanceScope(user), [user]);
 
-  switch (role) {
-    case 'superadmin':
-      return <SuperAdminAttendance />;
-    case 'admin':
-      return <AdminAttendance />;
-    case 'student':
-      return <StudentAttendance />;
-    default:
-      return <div>Access Denied</div>;
-  }
+  if (!scope) return <div>Access Denied</div>;
+  return <AttendanceModule scope={scope} />;
 };
 
 export default AttendancePage;
@@ -0,0 +1,170 @@
+import React, { useEffect, useState } from 'react';
+import { Card, Form, Radio, InputNumber, TimePicker, Button, Typography, Space, message, Alert, Row, Col } from 'antd';
+import { SettingOutlined } from '@ant-design/icons';
+import { supabase } from '../config/supabaseClient';
+import { useAuth } from '../AuthProvider';
+import { DEFAULT_SCHOOL_SETTINGS } from '../hooks/useSchoolSettings';
+import { parseTimeOfDay } from '../lib/attendanceLock';
+
+const { Title, Text } = Typography;
+
+const SchoolSettings = () => {
+  const { user } = useAuth();
+  const { school_code } = user.user_metadata || {};
+
+  const [form] = Form.useForm();
+  const [loading, setLoading] = useState(false);
+  const attendanceMode = Form.useWatch('attendance_mode', form);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      const { data, error } = await supabase
+        .from('schools')
+        .select('attendance_mode, periods_per_day, attendance_cutoff_time, attendance_cutoff_days')
+        .eq('school_code', school_code)
+        .single();
+      if (error) {
+        message.error(error.message);
+      } else {
+        const values = { ...DEFAULT_SCHOOL_SETTINGS, ...data };
+        form.setFieldsValue({
+          ...values,
+          attendance_cutoff_time: parseTimeOfDay(values.attendance_cutoff_time),
+        });
+      }
+    };
+    if (school_code) fetchSettings();
+  }, [school_code, form]);
+
+  const handleSave = async (values) => {
+    setLoading(true);
+    try {
+      const { error } = await supabase
+        .from('schools')
+        .update({
+          ...values,
+          attendance_cutoff_time: values.attendance_cutoff_time.format('HH:mm'),
+        })
+        .eq('school_code', school_code);
+      if (error) {
+        message.error(error.message);
+      } else {
+        message.success('School settings saved');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', padding: '24px', background: '#f8fafc' }}>
+      <div className="max-w-3xl mx-auto">
+        <Card
+          title={
+            <Space>
+              <SettingOutlined />
+              <Title level={3} style={{ margin: 0, color: '#1e293b', fontWeight: 600 }}>School Settings</Title>
+            </Space>
+          }
+          style={{
+            borderRadius: '12px',
+            border: '1px solid #e2e8f0',
+            boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+            background: '#ffffff'
+          }}
+          headStyle={{ borderBottom: '1px solid #e2e8f0' }}
+        >
+          <Form
+            form={form}
+            layout="vertical"
+            onFinish={handleSave}
+            size="large"
+            initialValues={{
+              ...DEFAULT_SCHOOL_SETTINGS,
+              attendance_cutoff_time: parseTimeOfDay(DEFAULT_SCHOOL_SETTINGS.attendance_cutoff_time),
+            }}
+          >
+            <Title level={5}>Attendance</Title>
+            <Form.Item name="attendance_mode" label="Attendance Mode">
+              <Radio.Group>
+                <Radio value="daily">Daily - one mark per student per day</Radio>
+                <Radio value="period">Period-wise - one mark per period and subject</Radio>
+              </Radio.Group>
+            </Form.Item>
+
+            {attendanceMode === 'period' && (
+              <>
+                <Form.Item
+                  name="periods_per_day"
+                  label="Periods per Day"
+                  rules={[{ required: true, message: 'Please enter the number of periods' }]}
+                >
+                  <InputNumber min={1} max={16} style={{ width: '100%' }} />
+                </Form.Item>
+                <Alert
+                  type="info"
+                  showIcon
+                  style={{ marginBottom: 24 }}
+                  message="Teachers will pick a period and subject when marking attendance."
+                  description={
+                    <Text type="secondary">
+                      Daily attendance is derived from the periods: a student missing more than half
+                      of the day's marked periods is counted absent for that day.
+                    </Text>
+                  }
+                />
+              </>
+            )}
+
+            <Title level={5}>Attendance Lock</Title>
+            <Row gutter={16}>
+              <Col span={12}>
+                <Form.Item
+                  name="attendance_cutoff_days"
+                  label="Lock after (days)"
+                  tooltip="0 locks on the same day as the attendance date"
+                  rules={[{ required: true, message: 'Please enter the number of days' }]}
+                >
+                  <InputNumber min={0} max={30} style={{ width: '100%' }} />
+                </Form.Item>
+              </Col>
+              <Col span={12}>
+                <Form.Item
+                  name="attendance_cutoff_time"
+                  label="At"
+                  rules={[{ required: true, message: 'Please choose the cutoff time' }]}
+                >
+                  <TimePicker format="HH:mm" minuteStep={15} style={{ width: '100%' }} />
+                </Form.Item>
+              </Col>
+            </Row>
+            <Alert
+              type="info"
+              showIcon
+              style={{ marginBottom: 24 }}
+              message="After the cutoff, teachers can only change that day's attendance once you approve an unlock request."
+            />
+
+            <Form.Item>
+              <Button
+                type="primary"
+                htmlType="submit"
+                loading={loading}
+                style={{
+                  background: '#6366f1',
+                  borderColor: '#6366f1',
+                  borderRadius: '8px',
+                  fontWeight: 500
+                }}
+              >
+                Save Settings
+              </Button>
+            </Form.Item>
+          </Form>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default SchoolSettings;
@@ -268,18 +268,20 @@ const SetupSchool = () => {
               </Button>
             </Col>
             <Col xs={24} sm={12} md={6}>
-              <Button 
-                type="default" 
-                block 
-                size="large"
-                style={{
-                  borderRadius: '8px',
-                  fontWeight: 500,
-                  border: '1px solid #e2e8f0'
-                }}
-              >
-                School Settings
-              </Button>
+              <Link to="/school-settings">
+                <Button 
+                  type="default" 
+                  block 
+                  size="large"
+                  style={{
+                    borderRadius: '8px',
+                    fontWeight: 500,
+                    border: '1px solid #e2e8f0'
+                  }}
+                >
+                  School Settings
+                </Button>
+              </Link>
             </Col>
             <Col xs={24} sm={12} md={6}>
               <Button 
@@ -44,9 +44,9 @@ const AdminDashboard = () => {
    * - Add caching for frequently accessed statistics
    * 
    * EXAMPLE QUERIES:
-   * - My Classes: SELECT COUNT(*) FROM class_instances WHERE class_teacher_id = user.id
-   * - Students: SELECT COUNT(*) FROM students s JOIN class_instances ci ON s.class_instance_id = ci.id WHERE ci.class_teacher_id = user.id
-   * - Attendance: SELECT AVG(attendance_percentage) FROM attendance_summary WHERE class_teacher_id = user.id AND date >= current_month
+   * - My Classes: SELECT COUNT(DISTINCT class_instance_id) FROM class_teacher_assignments WHERE teacher_id = user.id
+   * - Students: SELECT COUNT(*) FROM students s JOIN class_teacher_assignments a ON s.class_instance_id = a.class_instance_id WHERE a.teacher_id = user.id
+   * - Attendance: SELECT AVG(attendance_percentage) FROM attendance_summary WHERE class_instance_id IN (assigned classes) AND date >= current_month
    * - Assignments: SELECT COUNT(*) FROM assignments WHERE created_by = user.id AND status = 'active'
    */
   const stats = [
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { Button, DatePicker, Space, Spin, Table, Tag } from 'antd';
+import dayjs from 'dayjs';
+import { supabase } from '../../config/supabaseClient';
+import ClassSelect from './ClassSelect';
+
+const AttendanceHistory = ({ scope, classInstances, selectedClassId, onClassChange, students, isPeriodMode }) => {
+  const [historyDate, setHistoryDate] = useState(null);
+  const [historyData, setHistoryData] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const fetchHistory = async () => {
+    if (!historyDate || !selectedClassId) return;
+    setLoading(true);
+    const { data } = await supabase
+      .from('attendance')
+      .select('id, student_id, date, period_number, subject, status, marked_by_role_code, changes:attendance_history (id, previous_status, new_status, changed_by_role_code, changed_at)')
+      .eq('school_code', scope.schoolCode)
+      .eq('class_instance_id', selectedClassId)
+      .eq('date', historyDate.format('YYYY-MM-DD'))
+      .order('period_number', { ascending: true });
+    setHistoryData(data || []);
+    setLoading(false);
+  };
+
+  const columns = [
+    { title: 'Date', dataIndex: 'date' },
+    ...(isPeriodMode ? [
+      { title: 'Period', dataIndex: 'period_number' },
+      { title: 'Subject', dataIndex: 'subject' },
+    ] : []),
+    { title: 'Student', dataIndex: 'student' },
+    { title: 'Status', dataIndex: 'status' },
+    { title: 'Marked by', dataIndex: 'marked_by_role_code' },
+    {
+      title: 'Corrections',
+      dataIndex: 'changes',
+      render: (changes) => changes?.length ? <Tag color="orange">{changes.length}</Tag> : '-'
+    },
+  ];
+
+  const renderChanges = (record) => (
+    <Space direction="vertical">
+      {record.changes
+        .slice()
+        .sort((a, b) => dayjs(a.changed_at).diff(dayjs(b.changed_at)))
+        .map(change => (
+          <span key={change.id}>
+            {dayjs(change.changed_at).format('DD MMM YYYY HH:mm')}: {change.previous_status} → {change.new_status}
+            {change.changed_by_role_code && ` by ${change.changed_by_role_code}`}
+          </span>
+        ))}
+    </Space>
+  );
+
+  return (
+    <Space direction="vertical" style={{ width: '100%' }}>
+      <ClassSelect classInstances={classInstances} value={selectedClassId} onChange={onClassChange} />
+      <DatePicker
+        value={historyDate}
+        onChange={setHistoryDate}
+        style={{ width: '100%' }}
+      />
+      <Button type="primary" onClick={fetchHistory}>Fetch History</Button>
+      {loading ? <Spin /> : (
+        <Table
+          dataSource={historyData.map(r => ({
+            ...r,
+            key: r.id,
+            student: students.find(s => s.id === r.student_id)?.full_name || r.student_id,
+          }))}
+          columns={columns}
+          expandable={{
+            rowExpandable: (record) => record.changes?.length > 0,
+            expandedRowRender: renderChanges,
+          }}
+          bordered
+        />
+      )}
+    </Space>
+  );
+};
+
+export default AttendanceHistory;
@@ -0,0 +1,166 @@
+import React, { useEffect, useState } from 'react';
+import { Card, Space, Tabs, Typography } from 'antd';
+import { BookOutlined } from '@ant-design/icons';
+import { supabase } from '../../config/supabaseClient';
+import { useSchoolSettings } from '../../hooks/useSchoolSettings';
+import { useAcademicCalendar } from '../../hooks/useAcademicCalendar';
+import { ATTENDANCE_SCOPES, scopeClassQuery } from '../../lib/attendanceScope';
+import { activeClassRoles } from '../../lib/classAssignments';
+import {
+  cacheClasses,
+  cacheRoster,
+  getCachedClasses,
+  getCachedRoster,
+  isNetworkError,
+} from '../../lib/offlineAttendance';
+import ChildAttendance from './ChildAttendance';
+import MarkAttendance from './MarkAttendance';
+import AttendanceHistory from './AttendanceHistory';
+import AttendanceReports from './AttendanceReports';
+import LeaveRequests from './LeaveRequests';
+import TodayBoard from './TodayBoard';
+import ImportAttendance from './ImportAttendance';
+import UnlockRequests from './UnlockRequests';
+
+const { Title } = Typography;
+const { TabPane } = Tabs;
+
+/**
+ * Marking, history, reports and leave review for the classes in a teacher or
+ * school scope. Class list and roster are shared by every tab.
+ */
+const StaffAttendance = ({ scope }) => {
+  const isSchoolScope = scope.type === ATTENDANCE_SCOPES.school;
+  const [activeTab, setActiveTab] = useState(isSchoolScope ? 'today' : 'mark');
+  const [classInstances, setClassInstances] = useState([]);
+  const [selectedClassId, setSelectedClassId] = useState('');
+  const [students, setStudents] = useState([]);
+
+  const { settings, isPeriodMode } = useSchoolSettings();
+  const selectedClass = classInstances.find(c => c.id === selectedClassId);
+  const { calendar } = useAcademicCalendar(selectedClass?.academic_year_id);
+
+  useEffect(() => {
+    if (!scope.userId || !scope.schoolCode) return;
+    const fetchClasses = async () => {
+      let classRoles = {};
+      if (scope.type === ATTENDANCE_SCOPES.teacher) {
+        const { data: assignments, error } = await supabase
+          .from('class_teacher_assignments')
+          .select('class_instance_id, role, valid_on')
+          .eq('teacher_id', scope.userId);
+        if (error && isNetworkError(error)) {
+          setClassInstances(getCachedClasses(scope.userId));
+          return;
+        }
+        classRoles = activeClassRoles(assignments || []);
+      }
+
+      const { data, error } = await scopeClassQuery(
+        supabase.from('class_instances').select('id, grade, section, academic_year_id'),
+        scope,
+        classRoles
+      );
+      if (error && isNetworkError(error)) {
+        setClassInstances(getCachedClasses(scope.userId));
+        return;
+      }
+      const classes = (data || []).map(c => ({ ...c, assignment_role: classRoles[c.id] }));
+      setClassInstances(classes);
+      cacheClasses(scope.userId, classes);
+    };
+    fetchClasses();
+  }, [scope]);
+
+  useEffect(() => {
+    if (!selectedClassId) return;
+    const fetchStudents = async () => {
+      const { data, error } = await supabase
+        .from('student')
+        .select('id, full_name')
+        .eq('class_instance_id', selectedClassId)
+        .eq('school_code', scope.schoolCode);
+      if (error && isNetworkError(error)) {
+        setStudents(getCachedRoster(selectedClassId));
+        return;
+      }
+      setStudents(data || []);
+      cacheRoster(selectedClassId, data || []);
+    };
+    fetchStudents();
+  }, [selectedClassId, scope.schoolCode]);
+
+  const classProps = {
+    scope,
+    classInstances,
+    selectedClassId,
+    onClassChange: setSelectedClassId,
+    students,
+    calendar,
+    settings,
+    isPeriodMode,
+  };
+
+  return (
+    <div style={{ padding: 24, background: '#f8fafc', minHeight: '100vh' }}>
+      <Card style={{ maxWidth: 1000, margin: '0 auto', borderRadius: 12, border: '1px solid #e2e8f0' }}>
+        <Space align="center" style={{ marginBottom: 20 }}>
+          <BookOutlined style={{ fontSize: 24 }} />
+          <Title level={3} style={{ margin: 0, color: '#1e293b' }}>
+            {isSchoolScope ? 'School Attendance' : 'Attendance Management'}
+          </Title>
+        </Space>
+        <Tabs activeKey={activeTab} onChange={setActiveTab} size="large">
+          {isSchoolScope && (
+            <TabPane tab="Today" key="today">
+              <TodayBoard scope={scope} />
+            </TabPane>
+          )}
+
+          <TabPane tab="Mark Attendance" key="mark">
+            <MarkAttendance {...classProps} />
+          </TabPane>
+
+          <TabPane tab="Import" key="import">
+            <ImportAttendance scope={scope} classInstances={classInstances} settings={settings} />
+          </TabPane>
+
+          <TabPane tab="View History" key="view">
+            <AttendanceHistory {...classProps} />
+          </TabPane>
+
+          <TabPane tab="Reports" key="reports">
+            <AttendanceReports {...classProps} />
+          </TabPane>
+
+          <TabPane tab="Leave Requests" key="leave">
+            <LeaveRequests scope={scope} classInstances={classInstances} />
+          </TabPane>
+
+          {isSchoolScope && (
+            <TabPane tab="Unlock Requests" key="unlock">
+              <UnlockRequests scope={scope} classInstances={classInstances} />
+            </TabPane>
+          )}
+
+          <TabPane tab="Analytics" key="analytics">
+            <div>Advanced analytics coming soon...</div>
+          </TabPane>
+        </Tabs>
+      </Card>
+    </div>
+  );
+};
+
+/**
+ * Attendance for any role. The scope (see lib/attendanceScope) decides whether
+ * this shows the staff tabs for a teacher's classes or the whole school, or a
+ * single child's own attendance.
+ */
+const AttendanceModule = ({ scope }) => (
+  scope.type === ATTENDANCE_SCOPES.child
+    ? <ChildAttendance scope={scope} />
+    : <StaffAttendance scope={scope} />
+);
+
+export default AttendanceModule;
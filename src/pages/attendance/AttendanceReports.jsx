@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { Alert, Button, Card, DatePicker, Radio, Space, Spin, Table, Typography, message } from 'antd';
+import { supabase } from '../../config/supabaseClient';
+import {
+  buildRangeReport,
+  buildSubjectReport,
+  listDays,
+  rollUpPeriods,
+  summarizeAttendance,
+} from '../../lib/attendance';
+import { filterWorkingDays, filterWorkingDayRecords } from '../../lib/academicCalendar';
+import { toCsv, downloadCsv } from '../../lib/csv';
+import ClassSelect from './ClassSelect';
+
+const { Title } = Typography;
+const { RangePicker } = DatePicker;
+
+const AttendanceReports = ({ classInstances, selectedClassId, onClassChange, students, calendar, isPeriodMode }) => {
+  const [reportRange, setReportRange] = useState(null);
+  const [report, setReport] = useState(null);
+  const [reportView, setReportView] = useState('daily');
+  const [loading, setLoading] = useState(false);
+  const [alert, setAlert] = useState(null);
+
+  const generateReport = async () => {
+    setAlert(null);
+    if (!selectedClassId || !reportRange) {
+      setAlert({ type: 'warning', message: 'Please select a class and a date range' });
+      return;
+    }
+    setLoading(true);
+    try {
+      const [start, end] = reportRange;
+      const { data, error } = await supabase
+        .from('attendance')
+        .select('student_id, date, period_number, subject, status')
+        .eq('class_instance_id', selectedClassId)
+        .gte('date', start.format('YYYY-MM-DD'))
+        .lte('date', end.format('YYYY-MM-DD'));
+      if (error) throw error;
+      // Holidays, exam breaks and weekly offs are left out of the report
+      const days = filterWorkingDays(listDays(start, end), calendar);
+      const workingRecords = filterWorkingDayRecords(data || [], calendar);
+      const dailyRecords = rollUpPeriods(workingRecords);
+      setReport({
+        range: [start, end],
+        days,
+        rows: buildRangeReport(students, dailyRecords, days),
+        summary: summarizeAttendance(dailyRecords),
+        bySubject: isPeriodMode ? buildSubjectReport(students, workingRecords) : null,
+      });
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message });
+    }
+    setLoading(false);
+  };
+
+  const exportReportCsv = () => {
+    if (!report) return;
+    const cls = classInstances.find(c => c.id === selectedClassId);
+    const [start, end] = report.range;
+    const className = cls ? `Grade-${cls.grade}-${cls.section}` : 'class';
+    const range = `${start.format('YYYY-MM-DD')}_${end.format('YYYY-MM-DD')}`;
+
+    if (reportView === 'subject' && report.bySubject) {
+      const subjectColumns = [
+        { title: 'Student', value: row => row.full_name },
+        ...report.bySubject.subjects.flatMap(subject => [
+          { title: `${subject} Attended`, value: row => row.subjects[subject].present + row.subjects[subject].late },
+          { title: `${subject} Periods`, value: row => row.subjects[subject].total },
+          { title: `${subject} %`, value: row => row.subjects[subject].percentage },
+        ]),
+      ];
+      downloadCsv(`attendance_by_subject_${className}_${range}.csv`, toCsv(report.bySubject.rows, subjectColumns));
+      return;
+    }
+
+    const columns = [
+      { title: 'Student', value: row => row.full_name },
+      { title: 'Present', value: row => row.present },
+      { title: 'Absent', value: row => row.absent },
+      { title: 'Late', value: row => row.late },
+      { title: 'Excused', value: row => row.excused },
+      { title: 'Attendance %', value: row => row.percentage },
+      ...report.days.map(day => ({
+        title: day.format('DD MMM'),
+        value: row => row.days[day.format('YYYY-MM-DD')],
+      })),
+    ];
+    downloadCsv(`attendance_${className}_${range}.csv`, toCsv(report.rows, columns));
+  };
+
+  const reportColumns = report ? [
+    { title: 'Student', dataIndex: 'full_name', fixed: 'left', width: 180 },
+    { title: 'Present', dataIndex: 'present', fixed: 'left', width: 80 },
+    { title: 'Absent', dataIndex: 'absent', fixed: 'left', width: 80 },
+    { title: 'Late', dataIndex: 'late', fixed: 'left', width: 70 },
+    { title: 'Excused', dataIndex: 'excused', fixed: 'left', width: 80 },
+    { title: '%', dataIndex: 'percentage', fixed: 'left', width: 70, render: (p) => `${p}%` },
+    ...report.days.map(day => {
+      const dateKey = day.format('YYYY-MM-DD');
+      return {
+        title: day.format('DD MMM'),
+        key: dateKey,
+        width: 64,
+        align: 'center',
+        render: (_, row) => row.days[dateKey],
+      };
+    }),
+  ] : [];
+
+  const subjectReportColumns = report?.bySubject ? [
+    { title: 'Student', dataIndex: 'full_name', fixed: 'left', width: 180 },
+    ...report.bySubject.subjects.map(subject => ({
+      title: subject,
+      key: subject,
+      align: 'center',
+      render: (_, row) => {
+        const stats = row.subjects[subject];
+        const attended = stats.present + stats.late;
+        return stats.total > 0 ? `${stats.percentage}% (${attended}/${stats.total - stats.excused})` : '-';
+      },
+    })),
+  ] : [];
+
+  return (
+    <Space direction="vertical" style={{ width: '100%' }}>
+      <ClassSelect classInstances={classInstances} value={selectedClassId} onChange={onClassChange} allowClear />
+
+      <RangePicker
+        value={reportRange}
+        onChange={setReportRange}
+        style={{ width: '100%' }}
+        allowClear
+      />
+
+      <Button type="primary" onClick={generateReport}>
+        Generate Report
+      </Button>
+
+      {alert && <Alert type={alert.type} message={alert.message} showIcon />}
+
+      {loading ? <Spin /> : (
+        report?.summary.total > 0 ? (
+          <Card style={{ marginTop: 16, borderRadius: 8 }}>
+            <Title level={4}>Attendance Report</Title>
+            <p>
+              <b>{report.range[0].format('DD MMM YYYY')} - {report.range[1].format('DD MMM YYYY')}</b>
+            </p>
+            <p><b>Overall Attendance Rate:</b> {report.summary.percentage}%</p>
+            <p><b>Present:</b> {report.summary.present}</p>
+            <p><b>Absent:</b> {report.summary.absent}</p>
+            <p><b>Late:</b> {report.summary.late}</p>
+            <p><b>Excused:</b> {report.summary.excused}</p>
+
+            <Space style={{ marginBottom: 16 }}>
+              {report.bySubject && (
+                <Radio.Group value={reportView} onChange={e => setReportView(e.target.value)}>
+                  <Radio.Button value="daily">Daily</Radio.Button>
+                  <Radio.Button value="subject">By Subject</Radio.Button>
+                </Radio.Group>
+              )}
+              <Button onClick={exportReportCsv}>Export CSV</Button>
+              <Button onClick={() => message.info('Export PDF functionality coming soon')}>Export PDF</Button>
+            </Space>
+
+            {reportView === 'subject' && report.bySubject ? (
+              <Table
+                dataSource={report.bySubject.rows}
+                columns={subjectReportColumns}
+                pagination={false}
+                scroll={{ x: 'max-content' }}
+                size="small"
+                bordered
+              />
+            ) : (
+              <Table
+                dataSource={report.rows}
+                columns={reportColumns}
+                pagination={false}
+                scroll={{ x: 'max-content' }}
+                size="small"
+                bordered
+              />
+            )}
+          </Card>
+        ) : (
+          <div style={{ marginTop: 16 }}>No attendance records found for the selected filters.</div>
+        )
+      )}
+    </Space>
+  );
+};
+
+export default AttendanceReports;
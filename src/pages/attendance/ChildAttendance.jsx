@@ -0,0 +1,309 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card, Calendar, Row, Col, Statistic, Progress, List, Typography, Tag, Space, Spin, Alert, Empty,
+  Form, DatePicker, Input, Button, message
+} from 'antd';
+import { CalendarOutlined, SendOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { supabase } from '../../config/supabaseClient';
+import { useAcademicCalendar } from '../../hooks/useAcademicCalendar';
+import { filterWorkingDayRecords, getDayInfo } from '../../lib/academicCalendar';
+import {
+  ATTENDANCE_STATUS_COLORS,
+  getAcademicYearRange,
+  getTermRange,
+  summarizeAttendance,
+  filterByDateRange,
+  rollUpPeriods,
+  LEAVE_STATUS_COLORS,
+} from '../../lib/attendance';
+
+const { Title, Text } = Typography;
+const { RangePicker } = DatePicker;
+
+/**
+ * Attendance for a single student (the child scope): percentages, calendar and
+ * leave requests.
+ */
+const ChildAttendance = ({ scope }) => {
+  const { studentId } = scope;
+
+  const [student, setStudent] = useState(null);
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [leaveRequests, setLeaveRequests] = useState([]);
+  const [submittingLeave, setSubmittingLeave] = useState(false);
+  const [leaveForm] = Form.useForm();
+
+  useEffect(() => {
+    if (!studentId) return;
+    const fetchStudent = async () => {
+      const { data, error } = await supabase
+        .from('student')
+        .select(`
+          id,
+          full_name,
+          student_code,
+          class_instance_id,
+          class_instance:class_instances (
+            academic_year_id,
+            grade,
+            section,
+            academic_year:academic_years (year_start, year_end)
+          )
+        `)
+        .eq('id', studentId)
+        .single();
+      if (error) {
+        setError(error.message);
+        setLoading(false);
+      } else {
+        setStudent(data);
+      }
+    };
+    fetchStudent();
+  }, [studentId]);
+
+  const academicYear = student?.class_instance?.academic_year;
+  const { calendar } = useAcademicCalendar(student?.class_instance?.academic_year_id);
+
+  useEffect(() => {
+    if (!student) return;
+    const fetchAttendance = async () => {
+      let query = supabase
+        .from('attendance')
+        .select('id, student_id, date, period_number, subject, status')
+        .eq('student_id', student.id);
+      const yearRange = getAcademicYearRange(academicYear);
+      if (yearRange) {
+        query = query
+          .gte('date', yearRange.start.format('YYYY-MM-DD'))
+          .lte('date', yearRange.end.format('YYYY-MM-DD'));
+      }
+      const { data, error } = await query.order('date', { ascending: true });
+      if (error) {
+        setError(error.message);
+      } else {
+        // Period-wise marks are reduced to one status per day
+        setRecords(rollUpPeriods(data || []));
+      }
+      setLoading(false);
+    };
+    fetchAttendance();
+  }, [student, academicYear]);
+
+  const fetchLeaveRequests = async (studentId) => {
+    const { data } = await supabase
+      .from('leave_requests')
+      .select('id, from_date, to_date, reason, status, review_note, created_at')
+      .eq('student_id', studentId)
+      .order('from_date', { ascending: false });
+    setLeaveRequests(data || []);
+  };
+
+  useEffect(() => {
+    if (student) fetchLeaveRequests(student.id);
+  }, [student]);
+
+  const handleLeaveRequest = async (values) => {
+    setSubmittingLeave(true);
+    const [from, to] = values.range;
+    const { error } = await supabase.from('leave_requests').insert({
+      student_id: student.id,
+      class_instance_id: student.class_instance_id,
+      from_date: from.format('YYYY-MM-DD'),
+      to_date: to.format('YYYY-MM-DD'),
+      reason: values.reason,
+      requested_by: scope.userId,
+      requested_by_role: scope.role,
+      school_code: scope.schoolCode,
+    });
+    if (error) {
+      message.error(error.message);
+    } else {
+      message.success('Leave request sent to the class teacher');
+      leaveForm.resetFields();
+      fetchLeaveRequests(student.id);
+    }
+    setSubmittingLeave(false);
+  };
+
+  const statusByDate = {};
+  records.forEach(r => { statusByDate[r.date] = r.status; });
+
+  // Percentages only count working days of the academic calendar
+  const workingRecords = filterWorkingDayRecords(records, calendar);
+  const yearSummary = summarizeAttendance(workingRecords);
+  const term = getTermRange(academicYear);
+  const termSummary = term
+    ? summarizeAttendance(filterByDateRange(workingRecords, term.start, term.end))
+    : yearSummary;
+  const absentDates = records.filter(r => r.status === 'absent').map(r => r.date).reverse();
+  const excusedDates = records.filter(r => r.status === 'excused').map(r => r.date).reverse();
+
+  const fullCellRender = (current, info) => {
+    if (info.type !== 'date') return info.originNode;
+    const status = statusByDate[current.format('YYYY-MM-DD')];
+    const dayInfo = getDayInfo(calendar, current);
+    let style;
+    if (status) {
+      style = { background: ATTENDANCE_STATUS_COLORS[status], color: '#ffffff' };
+    } else if (!dayInfo.working) {
+      style = { color: '#cbd5e1' };
+    }
+    return (
+      <div
+        className="ant-picker-cell-inner"
+        title={status || dayInfo.title}
+        style={style}
+      >
+        {current.date()}
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div style={{ padding: 24, textAlign: 'center' }}>
+        <Spin />
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ padding: 24, background: '#f8fafc', minHeight: '100vh' }}>
+      <Card style={{ maxWidth: 1000, margin: '0 auto', borderRadius: 12 }}>
+        <Space align="center" style={{ marginBottom: 20 }}>
+          <CalendarOutlined style={{ fontSize: 24 }} />
+          <Title level={3} style={{ margin: 0, color: '#1e293b' }}>My Attendance</Title>
+        </Space>
+        {student?.class_instance && (
+          <div style={{ marginBottom: 16 }}>
+            <Text type="secondary">
+              {student.full_name} • Grade {student.class_instance.grade} - Section {student.class_instance.section}
+              {academicYear && ` • AY ${academicYear.year_start} - ${academicYear.year_end}`}
+            </Text>
+          </div>
+        )}
+
+        {error && <Alert type="error" message={error} showIcon style={{ marginBottom: 16 }} />}
+
+        <Row gutter={[16, 16]} style={{ marginBottom: 16 }}>
+          <Col xs={24} md={12}>
+            <Card>
+              <Statistic title={`${term?.label || 'Term'} Attendance`} value={termSummary.percentage} suffix="%" />
+              <Progress percent={termSummary.percentage} showInfo={false} strokeColor="#10b981" />
+              <Text type="secondary">
+                {termSummary.present} present • {termSummary.late} late • {termSummary.absent} absent • {termSummary.excused} excused
+              </Text>
+            </Card>
+          </Col>
+          <Col xs={24} md={12}>
+            <Card>
+              <Statistic title="Academic Year Attendance" value={yearSummary.percentage} suffix="%" />
+              <Progress percent={yearSummary.percentage} showInfo={false} strokeColor="#6366f1" />
+              <Text type="secondary">
+                {yearSummary.present} present • {yearSummary.late} late • {yearSummary.absent} absent • {yearSummary.excused} excused
+              </Text>
+            </Card>
+          </Col>
+        </Row>
+
+        <Row gutter={[16, 16]}>
+          <Col xs={24} lg={16}>
+            <Card>
+              <Space style={{ marginBottom: 8 }}>
+                {Object.entries(ATTENDANCE_STATUS_COLORS).map(([status, color]) => (
+                  <Tag key={status} color={color}>{status.toUpperCase()}</Tag>
+                ))}
+              </Space>
+              <Calendar fullscreen={false} fullCellRender={fullCellRender} />
+            </Card>
+          </Col>
+          <Col xs={24} lg={8}>
+            <Card title={`Absent Dates (${absentDates.length})`}>
+              {absentDates.length > 0 ? (
+                <List
+                  size="small"
+                  dataSource={absentDates}
+                  renderItem={(d) => (
+                    <List.Item>{dayjs(d).format('ddd, DD MMM YYYY')}</List.Item>
+                  )}
+                />
+              ) : (
+                <Empty description="No absences recorded" image={Empty.PRESENTED_IMAGE_SIMPLE} />
+              )}
+            </Card>
+            {excusedDates.length > 0 && (
+              <Card title={`Excused Dates (${excusedDates.length})`} style={{ marginTop: 16 }}>
+                <List
+                  size="small"
+                  dataSource={excusedDates}
+                  renderItem={(d) => (
+                    <List.Item>{dayjs(d).format('ddd, DD MMM YYYY')}</List.Item>
+                  )}
+                />
+              </Card>
+            )}
+          </Col>
+        </Row>
+
+        <Row gutter={[16, 16]} style={{ marginTop: 16 }}>
+          <Col xs={24} lg={10}>
+            <Card title="Request Leave">
+              <Form form={leaveForm} layout="vertical" onFinish={handleLeaveRequest} disabled={!student}>
+                <Form.Item
+                  name="range"
+                  label="Dates"
+                  rules={[{ required: true, message: 'Please select the leave dates' }]}
+                >
+                  <RangePicker style={{ width: '100%' }} />
+                </Form.Item>
+                <Form.Item
+                  name="reason"
+                  label="Reason"
+                  rules={[{ required: true, message: 'Please enter a reason' }]}
+                >
+                  <Input.TextArea rows={3} placeholder="e.g., Family function, medical appointment" />
+                </Form.Item>
+                <Button type="primary" htmlType="submit" icon={<SendOutlined />} loading={submittingLeave}>
+                  Submit Request
+                </Button>
+              </Form>
+            </Card>
+          </Col>
+          <Col xs={24} lg={14}>
+            <Card title="My Leave Requests">
+              {leaveRequests.length > 0 ? (
+                <List
+                  size="small"
+                  dataSource={leaveRequests}
+                  renderItem={(request) => (
+                    <List.Item
+                      extra={<Tag color={LEAVE_STATUS_COLORS[request.status]}>{request.status.toUpperCase()}</Tag>}
+                    >
+                      <List.Item.Meta
+                        title={`${dayjs(request.from_date).format('DD MMM')} - ${dayjs(request.to_date).format('DD MMM YYYY')}`}
+                        description={
+                          <>
+                            <div>{request.reason}</div>
+                            {request.review_note && <Text type="secondary">Teacher: {request.review_note}</Text>}
+                          </>
+                        }
+                      />
+                    </List.Item>
+                  )}
+                />
+              ) : (
+                <Empty description="No leave requests yet" image={Empty.PRESENTED_IMAGE_SIMPLE} />
+              )}
+            </Card>
+          </Col>
+        </Row>
+      </Card>
+    </div>
+  );
+};
+
+export default ChildAttendance;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { Select } from 'antd';
+import { TEACHER_ROLES } from '../../lib/classAssignments';
+
+const { Option } = Select;
+
+const ClassSelect = ({ classInstances, value, onChange, allowClear = false }) => (
+  <Select
+    placeholder="Select Class"
+    value={value || undefined}
+    onChange={onChange}
+    style={{ width: '100%' }}
+    allowClear={allowClear}
+  >
+    {classInstances.map(c => (
+      <Option key={c.id} value={c.id}>
+        Grade {c.grade} - Section {c.section}
+        {c.assignment_role && c.assignment_role !== 'class_teacher' && ` (${TEACHER_ROLES[c.assignment_role].label})`}
+      </Option>
+    ))}
+  </Select>
+);
+
+export default ClassSelect;
@@ -0,0 +1,197 @@
+import React, { useMemo, useState } from 'react';
+import { Alert, Button, Col, Form, Row, Select, Space, Table, Tag, Typography, Upload, message } from 'antd';
+import { UploadOutlined } from '@ant-design/icons';
+import { supabase } from '../../config/supabaseClient';
+import { parseCsv } from '../../lib/csv';
+import { ATTENDANCE_SCOPES } from '../../lib/attendanceScope';
+import { isAttendanceLocked } from '../../lib/attendanceLock';
+import {
+  IMPORT_DATE_FORMATS,
+  IMPORT_FIELDS,
+  buildImportPreview,
+  getSavedMapping,
+  guessMapping,
+  saveMapping,
+  toAttendanceRecords,
+} from '../../lib/attendanceImport';
+
+const { Text } = Typography;
+const { Option } = Select;
+
+const UPSERT_BATCH_SIZE = 500;
+
+/**
+ * Imports attendance from a CSV file, such as a biometric or RFID device export.
+ */
+const ImportAttendance = ({ scope, classInstances, settings }) => {
+  const [form] = Form.useForm();
+  const [fileName, setFileName] = useState(null);
+  const [header, setHeader] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [alert, setAlert] = useState(null);
+
+  const importable = useMemo(() => (preview || []).filter(row => !row.error), [preview]);
+  const flagged = (preview || []).length - importable.length;
+
+  const handleFile = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const [headerRow = [], ...dataRows] = parseCsv(String(reader.result));
+      const titles = headerRow.map(title => title.trim());
+      const saved = getSavedMapping();
+      const savedFits = saved && Object.values(saved.mapping || {}).every(title => !title || titles.includes(title));
+      setHeader(titles);
+      setRows(dataRows);
+      setFileName(file.name);
+      setPreview(null);
+      setAlert(null);
+      form.setFieldsValue(savedFits
+        ? { ...saved.mapping, date_format: saved.dateFormat }
+        : { ...guessMapping(titles), date_format: IMPORT_DATE_FORMATS[0] });
+    };
+    reader.readAsText(file);
+    return false;
+  };
+
+  const handlePreview = async (values) => {
+    const { date_format: dateFormat, ...mapping } = values;
+    setLoading(true);
+    setAlert(null);
+    const { data, error } = await supabase
+      .from('student')
+      .select('id, full_name, student_code, class_instance_id')
+      .eq('school_code', scope.schoolCode);
+    setLoading(false);
+    if (error) {
+      setAlert({ type: 'error', message: error.message });
+      return;
+    }
+
+    const studentsByCode = {};
+    (data || []).forEach(s => { studentsByCode[s.student_code] = s; });
+    saveMapping({ mapping, dateFormat });
+    const isTeacher = scope.type === ATTENDANCE_SCOPES.teacher;
+    setPreview(buildImportPreview(rows, header, mapping, studentsByCode, {
+      dateFormat,
+      allowedClassIds: isTeacher ? classInstances.map(c => c.id) : null,
+      isLocked: isTeacher ? date => isAttendanceLocked(date, settings) : null,
+    }));
+  };
+
+  const handleImport = async () => {
+    const records = toAttendanceRecords(importable, scope);
+    if (records.length === 0) return;
+    setLoading(true);
+    setAlert(null);
+    for (let i = 0; i < records.length; i += UPSERT_BATCH_SIZE) {
+      const { error } = await supabase
+        .from('attendance')
+        .upsert(records.slice(i, i + UPSERT_BATCH_SIZE), { onConflict: 'student_id,date,period_number' });
+      if (error) {
+        setAlert({
+          type: 'error',
+          message: `Import stopped after ${i} of ${records.length} rows: ${error.message}`,
+        });
+        setLoading(false);
+        return;
+      }
+    }
+    message.success(`Imported ${records.length} attendance rows`);
+    setAlert({
+      type: 'success',
+      message: `Imported ${records.length} rows from ${fileName}${flagged ? `; ${flagged} flagged rows were skipped` : ''}.`,
+    });
+    setPreview(null);
+    setLoading(false);
+  };
+
+  const className = (id) => {
+    const cls = classInstances.find(c => c.id === id);
+    return cls ? `${cls.grade}-${cls.section}` : '-';
+  };
+
+  const columns = [
+    { title: 'Line', dataIndex: 'line', width: 70 },
+    { title: 'Student Code', dataIndex: 'student_code' },
+    { title: 'Student', key: 'student', render: (_, row) => row.student?.full_name || '-' },
+    { title: 'Class', key: 'class', render: (_, row) => row.student ? className(row.student.class_instance_id) : '-' },
+    { title: 'Date', dataIndex: 'date', render: (date) => date || '-' },
+    { title: 'Period', dataIndex: 'period_number', render: (p) => p || '-' },
+    { title: 'Status', dataIndex: 'status', render: (status) => status || '-' },
+    {
+      title: 'Result',
+      dataIndex: 'error',
+      render: (error) => error
+        ? <Tag color="red">{error}</Tag>
+        : <Tag color="green">Ready</Tag>,
+    },
+  ];
+
+  return (
+    <Space direction="vertical" style={{ width: '100%' }}>
+      <Text type="secondary">
+        Upload a CSV exported from a biometric or RFID device, or any sheet with a student code
+        and date per row. Students are matched by their student code. Without a status column,
+        every row is imported as present.
+      </Text>
+      <Upload accept=".csv,text/csv" beforeUpload={handleFile} showUploadList={false}>
+        <Button icon={<UploadOutlined />}>{fileName ? `Replace ${fileName}` : 'Select CSV file'}</Button>
+      </Upload>
+
+      {alert && <Alert type={alert.type} message={alert.message} showIcon />}
+
+      {header.length > 0 && (
+        <Form form={form} layout="vertical" onFinish={handlePreview}>
+          <Row gutter={16}>
+            {IMPORT_FIELDS.map(field => (
+              <Col xs={24} md={8} key={field.key}>
+                <Form.Item
+                  name={field.key}
+                  label={`${field.label} column`}
+                  rules={field.required ? [{ required: true, message: `Please choose the ${field.label.toLowerCase()} column` }] : []}
+                >
+                  <Select placeholder="Not in file" allowClear>
+                    {header.map(title => <Option key={title} value={title}>{title}</Option>)}
+                  </Select>
+                </Form.Item>
+              </Col>
+            ))}
+            <Col xs={24} md={8}>
+              <Form.Item name="date_format" label="Date format" rules={[{ required: true }]}>
+                <Select>
+                  {IMPORT_DATE_FORMATS.map(format => <Option key={format} value={format}>{format}</Option>)}
+                </Select>
+              </Form.Item>
+            </Col>
+          </Row>
+          <Button htmlType="submit" loading={loading}>
+            Preview {rows.length} rows
+          </Button>
+        </Form>
+      )}
+
+      {preview && (
+        <>
+          <Space>
+            <Tag color="green">{importable.length} ready</Tag>
+            {flagged > 0 && <Tag color="red">{flagged} flagged</Tag>}
+          </Space>
+          <Table
+            dataSource={preview}
+            columns={columns}
+            size="small"
+            bordered
+            pagination={{ pageSize: 50 }}
+          />
+          <Button type="primary" onClick={handleImport} loading={loading} disabled={importable.length === 0}>
+            Import {importable.length} rows
+          </Button>
+        </>
+      )}
+    </Space>
+  );
+};
+
+export default ImportAttendance;
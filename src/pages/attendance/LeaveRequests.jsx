@@ -0,0 +1,113 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Button, Input, Modal, Space, Table, Tag, message } from 'antd';
+import dayjs from 'dayjs';
+import { supabase } from '../../config/supabaseClient';
+import { LEAVE_STATUS_COLORS } from '../../lib/attendance';
+
+/**
+ * Leave requests for the classes in scope, with approve/reject for pending ones.
+ */
+const LeaveRequests = ({ scope, classInstances }) => {
+  const [leaveRequests, setLeaveRequests] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const fetchLeaveRequests = useCallback(async () => {
+    const classIds = classInstances.map(c => c.id);
+    if (classIds.length === 0) return;
+    setLoading(true);
+    const { data, error } = await supabase
+      .from('leave_requests')
+      .select('id, student_id, class_instance_id, from_date, to_date, reason, status, review_note, created_at, student:student(full_name)')
+      .in('class_instance_id', classIds)
+      .order('created_at', { ascending: false });
+    if (error) {
+      message.error(error.message);
+    } else {
+      setLeaveRequests(data || []);
+    }
+    setLoading(false);
+  }, [classInstances]);
+
+  useEffect(() => {
+    fetchLeaveRequests();
+  }, [fetchLeaveRequests]);
+
+  const reviewLeave = async (request, status, review_note = null) => {
+    const { error } = await supabase
+      .from('leave_requests')
+      .update({
+        status,
+        review_note,
+        reviewed_by: scope.userId,
+        reviewed_at: new Date().toISOString(),
+      })
+      .eq('id', request.id);
+    if (error) {
+      message.error(error.message);
+      return;
+    }
+    message.success(`Leave request ${status}`);
+    fetchLeaveRequests();
+  };
+
+  const rejectLeave = (request) => {
+    let note = '';
+    Modal.confirm({
+      title: `Reject leave for ${request.student?.full_name || 'this student'}?`,
+      content: (
+        <Input.TextArea
+          rows={3}
+          placeholder="Reason for rejecting (shown to the student)"
+          onChange={e => { note = e.target.value; }}
+        />
+      ),
+      okText: 'Reject',
+      okButtonProps: { danger: true },
+      onOk: () => reviewLeave(request, 'rejected', note.trim() || null),
+    });
+  };
+
+  const columns = [
+    { title: 'Student', key: 'student', render: (_, r) => r.student?.full_name || r.student_id },
+    {
+      title: 'Class',
+      key: 'class',
+      render: (_, r) => {
+        const cls = classInstances.find(c => c.id === r.class_instance_id);
+        return cls ? `${cls.grade}-${cls.section}` : '-';
+      },
+    },
+    {
+      title: 'Dates',
+      key: 'dates',
+      render: (_, r) => `${dayjs(r.from_date).format('DD MMM')} - ${dayjs(r.to_date).format('DD MMM YYYY')}`,
+    },
+    { title: 'Reason', dataIndex: 'reason' },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      render: (status) => <Tag color={LEAVE_STATUS_COLORS[status]}>{status.toUpperCase()}</Tag>,
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, r) => r.status === 'pending' ? (
+        <Space>
+          <Button size="small" type="primary" onClick={() => reviewLeave(r, 'approved')}>Approve</Button>
+          <Button size="small" danger onClick={() => rejectLeave(r)}>Reject</Button>
+        </Space>
+      ) : r.review_note,
+    },
+  ];
+
+  return (
+    <Table
+      dataSource={leaveRequests.map(r => ({ ...r, key: r.id }))}
+      loading={loading}
+      columns={columns}
+      bordered
+    />
+  );
+};
+
+export default LeaveRequests;
@@ -0,0 +1,400 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Alert, Button, Checkbox, DatePicker, Input, Modal, Select, Space, Table, Tag, message } from 'antd';
+import { LockOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { supabase } from '../../config/supabaseClient';
+import { leaveCoversDate, WHOLE_DAY_PERIOD } from '../../lib/attendance';
+import { getDayInfo } from '../../lib/academicCalendar';
+import { isNetworkError, queueSubmission } from '../../lib/offlineAttendance';
+import { ATTENDANCE_SCOPES } from '../../lib/attendanceScope';
+import { findActiveUnlock, getCutoff, isAttendanceLocked } from '../../lib/attendanceLock';
+import { useOfflineAttendanceSync } from '../../hooks/useOfflineAttendance';
+import ClassSelect from './ClassSelect';
+
+const { Option } = Select;
+
+const MarkAttendance = ({
+  scope,
+  classInstances,
+  selectedClassId,
+  onClassChange,
+  students,
+  calendar,
+  settings,
+  isPeriodMode,
+}) => {
+  const [attendance, setAttendance] = useState({});
+  const [existingMarks, setExistingMarks] = useState({});
+  const [approvedLeaves, setApprovedLeaves] = useState([]);
+  const [date, setDate] = useState(() => dayjs());
+  const [period, setPeriod] = useState(1);
+  const [subject, setSubject] = useState('');
+  const [overrideNonWorking, setOverrideNonWorking] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [alert, setAlert] = useState(null);
+  const [unlockRequests, setUnlockRequests] = useState([]);
+
+  const periodNumber = isPeriodMode ? period : WHOLE_DAY_PERIOD;
+  const dayInfo = getDayInfo(calendar, date);
+
+  // Superadmins are never locked out; teachers need an approved unlock after the
+  // cutoff, and until then (or while unlocked) may change any number of marks
+  const isSchoolScope = scope.type === ATTENDANCE_SCOPES.school;
+  const locked = !isSchoolScope && isAttendanceLocked(date, settings, unlockRequests);
+  const activeUnlock = findActiveUnlock(unlockRequests);
+  const pendingUnlock = unlockRequests.some(r => r.status === 'pending');
+
+  const describeSubmission = (submission) => {
+    const cls = classInstances.find(c => c.id === submission.class_instance_id);
+    const className = cls ? `Grade ${cls.grade} - Section ${cls.section}` : 'this class';
+    const periodLabel = submission.period_number !== WHOLE_DAY_PERIOD ? `, period ${submission.period_number}` : '';
+    return `${className} on ${dayjs(submission.date).format('DD MMM YYYY')}${periodLabel}`;
+  };
+
+  const resolveConflict = (submission) => new Promise((resolve) => {
+    Modal.confirm({
+      title: 'Attendance already submitted',
+      content: `Attendance for ${describeSubmission(submission)} was also submitted from another device. Which version should be kept?`,
+      okText: 'Keep my offline marks',
+      cancelText: 'Keep server version',
+      onOk: () => resolve('local'),
+      onCancel: () => resolve('server'),
+    });
+  });
+
+  const { online, queue, failed, syncing, sync, retry, discard, refreshQueue } = useOfflineAttendanceSync({
+    userId: scope.userId,
+    resolveConflict,
+    onSynced: (submission, kept) => {
+      message.success(kept === 'local'
+        ? `Synced offline attendance for ${describeSubmission(submission)}`
+        : `Discarded offline attendance for ${describeSubmission(submission)}`);
+    },
+  });
+
+  // Load marks already saved for this class, date and period so they can be corrected
+  useEffect(() => {
+    if (!selectedClassId || !date) return;
+    const fetchExistingMarks = async () => {
+      const { data } = await supabase
+        .from('attendance')
+        .select('student_id, status, subject')
+        .eq('class_instance_id', selectedClassId)
+        .eq('date', date.format('YYYY-MM-DD'))
+        .eq('period_number', periodNumber);
+      const saved = {};
+      (data || []).forEach(r => saved[r.student_id] = r.status);
+      setExistingMarks(saved);
+      if (data?.[0]?.subject) setSubject(data[0].subject);
+    };
+    fetchExistingMarks();
+  }, [selectedClassId, date, periodNumber]);
+
+  // Approved leave requests for the class, used to prefill students on leave as excused
+  useEffect(() => {
+    if (!selectedClassId) return;
+    const fetchApprovedLeaves = async () => {
+      const { data } = await supabase
+        .from('leave_requests')
+        .select('id, student_id, from_date, to_date')
+        .eq('class_instance_id', selectedClassId)
+        .eq('status', 'approved');
+      setApprovedLeaves(data || []);
+    };
+    fetchApprovedLeaves();
+  }, [selectedClassId]);
+
+  const onLeave = (studentId) =>
+    approvedLeaves.some(l => l.student_id === studentId && leaveCoversDate(l, date));
+
+  useEffect(() => {
+    const merged = {};
+    students.forEach(s => {
+      const leave = approvedLeaves.some(l => l.student_id === s.id && leaveCoversDate(l, date));
+      merged[s.id] = existingMarks[s.id] || (leave ? 'excused' : 'present');
+    });
+    setAttendance(merged);
+  }, [students, existingMarks, approvedLeaves, date]);
+
+  useEffect(() => {
+    setOverrideNonWorking(false);
+  }, [date]);
+
+  const fetchUnlockRequests = useCallback(async () => {
+    if (!selectedClassId || isSchoolScope) return;
+    const { data } = await supabase
+      .from('attendance_unlock_requests')
+      .select('id, status, reason, unlocked_until, created_at')
+      .eq('class_instance_id', selectedClassId)
+      .eq('date', date.format('YYYY-MM-DD'))
+      .order('created_at', { ascending: false });
+    setUnlockRequests(data || []);
+  }, [selectedClassId, isSchoolScope, date]);
+
+  useEffect(() => {
+    fetchUnlockRequests();
+  }, [fetchUnlockRequests]);
+
+  const requestUnlock = () => {
+    let reason = '';
+    Modal.confirm({
+      title: `Request to edit attendance for ${date.format('DD MMM YYYY')}`,
+      content: (
+        <Input.TextArea
+          rows={3}
+          placeholder="Why does this attendance need to change?"
+          onChange={e => { reason = e.target.value; }}
+        />
+      ),
+      okText: 'Send Request',
+      onOk: async () => {
+        if (!reason.trim()) {
+          message.warning('Please enter a reason');
+          throw new Error('Reason required');
+        }
+        const { error } = await supabase.from('attendance_unlock_requests').insert({
+          class_instance_id: selectedClassId,
+          date: date.format('YYYY-MM-DD'),
+          reason: reason.trim(),
+          requested_by: scope.userId,
+          school_code: scope.schoolCode,
+        });
+        if (error) {
+          message.error(error.message);
+          return;
+        }
+        message.success('Unlock request sent to the superadmin');
+        fetchUnlockRequests();
+      },
+    });
+  };
+
+  const markAll = (status) => {
+    const updated = {};
+    students.forEach(s => updated[s.id] = status);
+    setAttendance(updated);
+  };
+
+  const handleSubmit = async () => {
+    if (!selectedClassId || students.length === 0) return;
+    if (locked) {
+      setAlert({ type: 'error', message: `Attendance for ${date.format('DD MMM YYYY')} is locked.` });
+      return;
+    }
+    if (!dayInfo.working && !overrideNonWorking) {
+      setAlert({ type: 'error', message: `${date.format('DD MMM YYYY')} is not a working day (${dayInfo.title}).` });
+      return;
+    }
+    if (isPeriodMode && !subject.trim()) {
+      setAlert({ type: 'warning', message: 'Please enter the subject for this period' });
+      return;
+    }
+    setLoading(true);
+    setAlert(null);
+
+    const records = students.map(student => ({
+      student_id: student.id,
+      class_instance_id: selectedClassId,
+      date: date.format('YYYY-MM-DD'),
+      period_number: periodNumber,
+      subject: isPeriodMode ? subject.trim() : null,
+      status: attendance[student.id],
+      marked_by: scope.userId,
+      marked_by_role_code: scope.roleCode,
+      school_code: scope.schoolCode,
+    }));
+
+    const queueOffline = () => {
+      queueSubmission(scope.userId, {
+        class_instance_id: selectedClassId,
+        date: date.format('YYYY-MM-DD'),
+        period_number: periodNumber,
+        records,
+      });
+      refreshQueue();
+      setAlert({
+        type: 'warning',
+        message: 'You are offline. Attendance was saved on this device and will sync when the connection returns.',
+      });
+      setLoading(false);
+    };
+    if (!online) {
+      queueOffline();
+      return;
+    }
+
+    const { error } = await supabase
+      .from('attendance')
+      .upsert(records, { onConflict: 'student_id,date,period_number' });
+    if (error && isNetworkError(error)) {
+      queueOffline();
+      return;
+    }
+    if (error) {
+      setAlert({ type: 'error', message: error.message });
+    } else {
+      const saved = {};
+      records.forEach(r => saved[r.student_id] = r.status);
+      setExistingMarks(saved);
+      setAlert({ type: 'success', message: 'Attendance saved successfully' });
+    }
+    setLoading(false);
+  };
+
+  const columns = [
+    {
+      title: 'Student Name',
+      dataIndex: 'full_name',
+      key: 'full_name',
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      render: (_, record) => (
+        <Space>
+          <Select
+            value={attendance[record.id]}
+            onChange={val => setAttendance(a => ({ ...a, [record.id]: val }))}
+            style={{ width: 120 }}
+            disabled={locked}
+          >
+            <Option value="present">Present</Option>
+            <Option value="absent">Absent</Option>
+            <Option value="late">Late</Option>
+            <Option value="excused">Excused</Option>
+          </Select>
+          {onLeave(record.id) && <Tag color="blue">On leave</Tag>}
+          {existingMarks[record.id] && existingMarks[record.id] !== attendance[record.id] && (
+            <Tag color="orange">was {existingMarks[record.id]}</Tag>
+          )}
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <>
+      {!online && (
+        <Alert
+          type="warning"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message="You are offline. Attendance will be saved on this device and synced later."
+        />
+      )}
+      {queue.length > 0 && (
+        <Alert
+          type="info"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message={`${queue.length} attendance submission(s) waiting to sync`}
+          action={
+            <Button size="small" onClick={sync} loading={syncing} disabled={!online}>
+              Sync now
+            </Button>
+          }
+        />
+      )}
+      {failed.map(submission => (
+        <Alert
+          key={submission.id}
+          type="error"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message={`Offline attendance for ${describeSubmission(submission)} could not be saved`}
+          description={submission.error}
+          action={
+            <Space direction="vertical">
+              <Button size="small" onClick={() => retry(submission.id)} disabled={!online}>Retry</Button>
+              <Button size="small" danger onClick={() => discard(submission.id)}>Discard</Button>
+            </Space>
+          }
+        />
+      ))}
+      {alert && (
+        <Alert type={alert.type} message={alert.message} showIcon style={{ marginBottom: 16 }} />
+      )}
+      <Space direction="vertical" style={{ width: '100%' }}>
+        <ClassSelect classInstances={classInstances} value={selectedClassId} onChange={onClassChange} />
+        <DatePicker value={date} onChange={setDate} allowClear={false} style={{ width: '100%' }} />
+        {!dayInfo.working && (
+          <Alert
+            type="warning"
+            showIcon
+            message={`${date.format('DD MMM YYYY')} is not a working day: ${dayInfo.title}`}
+            description={
+              <Checkbox checked={overrideNonWorking} onChange={e => setOverrideNonWorking(e.target.checked)}>
+                Mark attendance anyway (it will not count towards attendance percentages)
+              </Checkbox>
+            }
+          />
+        )}
+        {isPeriodMode && (
+          <Space style={{ width: '100%' }}>
+            <Select value={period} onChange={setPeriod} style={{ width: 140 }}>
+              {Array.from({ length: settings.periods_per_day }, (_, i) => i + 1).map(p => (
+                <Option key={p} value={p}>Period {p}</Option>
+              ))}
+            </Select>
+            <Input
+              placeholder="Subject"
+              value={subject}
+              onChange={e => setSubject(e.target.value)}
+              style={{ width: 260 }}
+            />
+          </Space>
+        )}
+        {selectedClassId && locked && (
+          <Alert
+            type="warning"
+            showIcon
+            icon={<LockOutlined />}
+            message={`Attendance for ${date.format('DD MMM YYYY')} locked at ${getCutoff(date, settings).format('DD MMM, HH:mm')}`}
+            description={pendingUnlock
+              ? 'Your unlock request is waiting for the superadmin.'
+              : 'Ask the superadmin to unlock this date if the marks need correcting.'}
+            action={!pendingUnlock && (
+              <Button size="small" onClick={requestUnlock}>Request Unlock</Button>
+            )}
+          />
+        )}
+        {!isSchoolScope && activeUnlock && (
+          <Alert
+            type="success"
+            showIcon
+            message={`Unlocked by the superadmin until ${dayjs(activeUnlock.unlocked_until).format('DD MMM, HH:mm')}`}
+          />
+        )}
+        {Object.keys(existingMarks).length > 0 && (
+          <Alert
+            type="info"
+            showIcon
+            message="Attendance has already been submitted for this date. Saving will update the existing marks."
+          />
+        )}
+        <Space>
+          <Button onClick={() => markAll('present')} disabled={locked}>All Present</Button>
+          <Button onClick={() => markAll('absent')} disabled={locked}>All Absent</Button>
+          <Button onClick={() => markAll('late')} disabled={locked}>All Late</Button>
+        </Space>
+        <Table
+          dataSource={students.map(s => ({ ...s, key: s.id }))}
+          columns={columns}
+          pagination={false}
+          bordered
+        />
+        <Button
+          type="primary"
+          onClick={handleSubmit}
+          loading={loading}
+          disabled={locked}
+          style={{ borderRadius: 8 }}
+        >
+          {Object.keys(existingMarks).length > 0 ? 'Update Attendance' : 'Submit Attendance'}
+        </Button>
+      </Space>
+    </>
+  );
+};
+
+export default MarkAttendance;
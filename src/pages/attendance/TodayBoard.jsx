@@ -0,0 +1,153 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Alert, Col, Row, Statistic, Table, Tag, Typography } from 'antd';
+import dayjs from 'dayjs';
+import { supabase } from '../../config/supabaseClient';
+import { useSupabaseSubscription } from '../../hooks/useSupabaseQuery';
+import { rollUpPeriods } from '../../lib/attendance';
+
+const { Text } = Typography;
+
+/**
+ * Today's submission status for every class in the school. Attendance changes
+ * arrive over realtime, so sections drop off the pending list as teachers submit.
+ */
+const TodayBoard = ({ scope }) => {
+  const [today] = useState(() => dayjs().format('YYYY-MM-DD'));
+  const [classes, setClasses] = useState([]);
+  const [rosterSizes, setRosterSizes] = useState({});
+  const [records, setRecords] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [updatedAt, setUpdatedAt] = useState(null);
+
+  useEffect(() => {
+    const fetchBoard = async () => {
+      setLoading(true);
+      const [classResult, studentResult, attendanceResult] = await Promise.all([
+        supabase
+          .from('class_instances')
+          .select('id, grade, section, teacher:admin (full_name)')
+          .eq('school_code', scope.schoolCode)
+          .order('grade')
+          .order('section'),
+        supabase
+          .from('student')
+          .select('id, class_instance_id')
+          .eq('school_code', scope.schoolCode),
+        supabase
+          .from('attendance')
+          .select('id, student_id, class_instance_id, period_number, status')
+          .eq('school_code', scope.schoolCode)
+          .eq('date', today),
+      ]);
+      const failed = classResult.error || studentResult.error || attendanceResult.error;
+      if (failed) {
+        setError(failed.message);
+        setLoading(false);
+        return;
+      }
+
+      const sizes = {};
+      (studentResult.data || []).forEach(s => { sizes[s.class_instance_id] = (sizes[s.class_instance_id] || 0) + 1; });
+      const byKey = {};
+      (attendanceResult.data || []).forEach(r => { byKey[r.id] = r; });
+
+      setClasses(classResult.data || []);
+      setRosterSizes(sizes);
+      setRecords(byKey);
+      setUpdatedAt(dayjs());
+      setLoading(false);
+    };
+    if (scope.schoolCode) fetchBoard();
+  }, [scope.schoolCode, today]);
+
+  const handleChange = useCallback((payload) => {
+    if (payload.eventType === 'DELETE') {
+      setRecords(current => {
+        const next = { ...current };
+        delete next[payload.old.id];
+        return next;
+      });
+    } else if (payload.new?.date === today) {
+      setRecords(current => ({ ...current, [payload.new.id]: payload.new }));
+    } else {
+      return;
+    }
+    setUpdatedAt(dayjs());
+  }, [today]);
+
+  const subscriptionFilters = useMemo(
+    () => [{ column: 'school_code', value: scope.schoolCode }],
+    [scope.schoolCode]
+  );
+  useSupabaseSubscription('attendance', handleChange, subscriptionFilters);
+
+  const rows = useMemo(() => {
+    const byClass = {};
+    Object.values(records).forEach(r => {
+      if (!byClass[r.class_instance_id]) byClass[r.class_instance_id] = [];
+      byClass[r.class_instance_id].push(r);
+    });
+    return classes.map(cls => {
+      const daily = rollUpPeriods((byClass[cls.id] || []).map(r => ({ ...r, date: today })));
+      return {
+        key: cls.id,
+        className: `Grade ${cls.grade} - Section ${cls.section}`,
+        teacher: cls.teacher?.full_name,
+        submitted: daily.length > 0,
+        present: daily.filter(r => r.status === 'present' || r.status === 'late').length,
+        students: rosterSizes[cls.id] || 0,
+      };
+    }).sort((a, b) => Number(a.submitted) - Number(b.submitted));
+  }, [classes, records, rosterSizes, today]);
+
+  const submittedCount = rows.filter(r => r.submitted).length;
+
+  const columns = [
+    { title: 'Class', dataIndex: 'className' },
+    {
+      title: 'Class Teacher',
+      dataIndex: 'teacher',
+      render: (name) => name || <Text type="secondary">Not assigned</Text>,
+    },
+    {
+      title: 'Status',
+      dataIndex: 'submitted',
+      render: (submitted) => submitted
+        ? <Tag color="green">Submitted</Tag>
+        : <Tag color="orange">Pending</Tag>,
+    },
+    {
+      title: 'Present',
+      key: 'present',
+      render: (_, row) => row.submitted ? `${row.present} / ${row.students}` : '-',
+    },
+  ];
+
+  return (
+    <>
+      {error && <Alert type="error" message={error} showIcon style={{ marginBottom: 16 }} />}
+      <Row gutter={16} style={{ marginBottom: 16 }}>
+        <Col span={8}>
+          <Statistic title="Submitted" value={submittedCount} suffix={`/ ${rows.length}`} />
+        </Col>
+        <Col span={8}>
+          <Statistic title="Pending" value={rows.length - submittedCount} valueStyle={{ color: '#f59e0b' }} />
+        </Col>
+        <Col span={8}>
+          <Statistic title="Last updated" value={updatedAt ? updatedAt.format('HH:mm:ss') : '-'} />
+        </Col>
+      </Row>
+      <Table
+        dataSource={rows}
+        columns={columns}
+        loading={loading}
+        pagination={false}
+        size="small"
+        bordered
+      />
+    </>
+  );
+};
+
+export default TodayBoard;
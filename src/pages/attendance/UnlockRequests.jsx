@@ -0,0 +1,100 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Button, Space, Table, Tag, message } from 'antd';
+import dayjs from 'dayjs';
+import { supabase } from '../../config/supabaseClient';
+import { LEAVE_STATUS_COLORS } from '../../lib/attendance';
+import { UNLOCK_WINDOW_HOURS } from '../../lib/attendanceLock';
+
+/**
+ * Superadmin review of teachers' requests to edit attendance after the cutoff.
+ */
+const UnlockRequests = ({ scope, classInstances }) => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const fetchRequests = useCallback(async () => {
+    setLoading(true);
+    const { data, error } = await supabase
+      .from('attendance_unlock_requests')
+      .select('id, class_instance_id, date, reason, status, unlocked_until, requested_by, created_at')
+      .eq('school_code', scope.schoolCode)
+      .order('created_at', { ascending: false });
+    if (error) {
+      message.error(error.message);
+    } else {
+      setRequests(data || []);
+    }
+    setLoading(false);
+  }, [scope.schoolCode]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const reviewRequest = async (request, status) => {
+    const { error } = await supabase
+      .from('attendance_unlock_requests')
+      .update({
+        status,
+        reviewed_by: scope.userId,
+        reviewed_at: new Date().toISOString(),
+        unlocked_until: status === 'approved' ? dayjs().add(UNLOCK_WINDOW_HOURS, 'hour').toISOString() : null,
+      })
+      .eq('id', request.id);
+    if (error) {
+      message.error(error.message);
+      return;
+    }
+    message.success(status === 'approved'
+      ? `Unlocked for ${UNLOCK_WINDOW_HOURS} hours`
+      : 'Unlock request rejected');
+    fetchRequests();
+  };
+
+  const columns = [
+    {
+      title: 'Class',
+      dataIndex: 'class_instance_id',
+      render: (id) => {
+        const cls = classInstances.find(c => c.id === id);
+        return cls ? `Grade ${cls.grade} - Section ${cls.section}` : '-';
+      },
+    },
+    { title: 'Date', dataIndex: 'date', render: (date) => dayjs(date).format('DD MMM YYYY') },
+    { title: 'Reason', dataIndex: 'reason' },
+    { title: 'Requested', dataIndex: 'created_at', render: (at) => dayjs(at).format('DD MMM, HH:mm') },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      render: (status, record) => (
+        <Space direction="vertical" size={0}>
+          <Tag color={LEAVE_STATUS_COLORS[status]}>{status.toUpperCase()}</Tag>
+          {status === 'approved' && record.unlocked_until && (
+            <span>until {dayjs(record.unlocked_until).format('DD MMM, HH:mm')}</span>
+          )}
+        </Space>
+      ),
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, record) => record.status === 'pending' && (
+        <Space>
+          <Button size="small" type="primary" onClick={() => reviewRequest(record, 'approved')}>Approve</Button>
+          <Button size="small" danger onClick={() => reviewRequest(record, 'rejected')}>Reject</Button>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <Table
+      dataSource={requests.map(r => ({ ...r, key: r.id }))}
+      columns={columns}
+      loading={loading}
+      bordered
+    />
+  );
+};
+
+export default UnlockRequests;
@@ -1,11 +0,0 @@
-import React, { useState, useEffect } from 'react';
-
-const StudentAttendance = () => {
-    return (
-        <div>
-            <h1>Student Attendance</h1>
-        </div>
-    )
-}
-
-export default StudentAttendance;
\ No newline at end of file
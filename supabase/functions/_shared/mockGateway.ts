@@ -0,0 +1,52 @@
+import { hmacSha256, safeEqual } from "./signature.ts";
+import type { GatewayEvent, PaymentGateway } from "./paymentGateway.ts";
+
+// Local stand-in for a real gateway so the whole flow runs offline. Orders are
+// created without any network call, and the checkout carries callbacks
+// already signed with MOCK_GATEWAY_SECRET: posting one to payment-webhook
+// plays the gateway confirming (or failing) the payment.
+const secret = () => Deno.env.get("MOCK_GATEWAY_SECRET") ?? "mock-gateway-secret";
+
+async function signedCallback(event: GatewayEvent) {
+  const body = JSON.stringify(event);
+  return { body, signature: await hmacSha256(secret(), body) };
+}
+
+export const mockGateway: PaymentGateway = {
+  name: "mock",
+
+  async createOrder({ amount, currency, reference }) {
+    const orderId = `mock_order_${crypto.randomUUID()}`;
+    return {
+      orderId,
+      checkout: {
+        gateway: "mock",
+        orderId,
+        amount,
+        currency,
+        reference,
+        callbacks: {
+          paid: await signedCallback({
+            orderId,
+            paymentId: `mock_pay_${crypto.randomUUID()}`,
+            status: "paid",
+            amount,
+          }),
+          failed: await signedCallback({
+            orderId,
+            paymentId: null,
+            status: "failed",
+            amount,
+            failureReason: "Declined by the mock gateway",
+          }),
+        },
+      },
+    };
+  },
+
+  async verifyWebhook(req, rawBody) {
+    const signature = req.headers.get("x-mock-signature") ?? "";
+    if (!safeEqual(signature, await hmacSha256(secret(), rawBody))) return null;
+    return JSON.parse(rawBody) as GatewayEvent;
+  },
+};
@@ -0,0 +1,41 @@
+// Adapter every email or SMS provider implements. send-notifications only
+// talks to this interface; NOTIFICATION_EMAIL_PROVIDER and
+// NOTIFICATION_SMS_PROVIDER pick the implementation for each channel.
+export interface OutboxMessage {
+  id: string;
+  channel: "email" | "sms";
+  recipient: string;
+  subject: string | null;
+  body: string;
+}
+
+export interface NotificationProvider {
+  name: string;
+  // Resolves once the provider has accepted the message; throws when it has not
+  send(message: OutboxMessage): Promise<void>;
+}
+
+// Writes messages to the function log instead of delivering them, so the
+// outbox can be exercised without an email or SMS account. Development only:
+// it has to be chosen explicitly, since it reports every message as sent
+const logProvider: NotificationProvider = {
+  name: "log",
+  async send(message) {
+    console.log(`[${message.channel}] to ${message.recipient}: ${message.subject ?? ""}\n${message.body}`);
+  },
+};
+
+const PROVIDERS: Record<string, NotificationProvider> = {
+  log: logProvider,
+};
+
+// Never falls back to the log provider, so an unconfigured channel is not
+// mistaken for one that delivers
+export function getNotificationProvider(channel: "email" | "sms"): NotificationProvider {
+  const variable = channel === "email" ? "NOTIFICATION_EMAIL_PROVIDER" : "NOTIFICATION_SMS_PROVIDER";
+  const name = Deno.env.get(variable);
+  if (!name) throw new Error(`${variable} is not configured`);
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown ${channel} provider: ${name}`);
+  return provider;
+}
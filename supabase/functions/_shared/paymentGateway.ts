@@ -0,0 +1,38 @@
+import { mockGateway } from "./mockGateway.ts";
+
+// Adapter every payment gateway implements. The edge functions only talk to
+// this interface; PAYMENT_GATEWAY picks the implementation.
+export interface GatewayOrder {
+  orderId: string;
+  // Whatever the browser needs to open the gateway's checkout
+  checkout: Record<string, unknown>;
+}
+
+export interface GatewayEvent {
+  orderId: string;
+  paymentId: string | null;
+  status: "paid" | "failed";
+  amount: number;
+  failureReason?: string;
+}
+
+export interface PaymentGateway {
+  name: string;
+  // `amount` is in rupees; `reference` is our own order id
+  createOrder(input: { amount: number; currency: string; reference: string }): Promise<GatewayOrder>;
+  // Checks the callback's signature and reads it; null when it is not genuine
+  verifyWebhook(req: Request, rawBody: string): Promise<GatewayEvent | null>;
+}
+
+const GATEWAYS: Record<string, PaymentGateway> = {
+  mock: mockGateway,
+};
+
+// Never falls back to the mock gateway: its checkout lets the payer confirm
+// their own payment, so it has to be chosen explicitly (PAYMENT_GATEWAY=mock)
+export function getPaymentGateway(name = Deno.env.get("PAYMENT_GATEWAY")): PaymentGateway {
+  if (!name) throw new Error("PAYMENT_GATEWAY is not configured");
+  const gateway = GATEWAYS[name];
+  if (!gateway) throw new Error(`Unknown payment gateway: ${name}`);
+  return gateway;
+}
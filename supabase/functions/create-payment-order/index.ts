@@ -0,0 +1,100 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { getPaymentGateway } from "../_shared/paymentGateway.ts";
+
+function withCors(res) {
+  const headers = new Headers(res.headers);
+  headers.set("Access-Control-Allow-Origin", "http://localhost:5173"); // change for production
+  headers.set("Access-Control-Allow-Methods", "POST, OPTIONS");
+  headers.set("Access-Control-Allow-Headers", "Content-Type, Authorization, x-client-info, apikey");
+  return new Response(res.body, {
+    status: res.status,
+    headers
+  });
+}
+
+function json(body, status = 200) {
+  return withCors(new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json"
+    }
+  }));
+}
+
+// Creates a gateway order for paying (part of) a student's pending fees. The
+// ledger is only touched once payment-webhook hears back from the gateway.
+serve(async (req)=>{
+  if (req.method === "OPTIONS") {
+    return withCors(new Response("OK", {
+      status: 200
+    }));
+  }
+  const supabase = createClient(Deno.env.get("SUPABASE_URL"), Deno.env.get("SUPABASE_SERVICE_ROLE_KEY"));
+  const token = req.headers.get("Authorization")?.replace("Bearer ", "");
+  const { data: { user: requester }, error: requesterError } = await supabase.auth.getUser(token);
+  if (requesterError || !requester) {
+    return json({ error: "Unauthorized" }, 401);
+  }
+
+  const { student_id, amount } = await req.json();
+  const orderAmount = Math.round(Number(amount) * 100) / 100;
+  if (!student_id || !(orderAmount > 0)) {
+    return json({ error: "student_id and a positive amount are required" }, 400);
+  }
+
+  const { data: student, error: studentError } = await supabase
+    .from("student")
+    .select("id, school_code")
+    .eq("id", student_id)
+    .single();
+  if (studentError || !student) {
+    return json({ error: "Student not found" }, 404);
+  }
+
+  // Students pay their own fees; staff can start a payment for anyone in their school
+  const role = requester.user_metadata?.role;
+  const isStaff = ["superadmin", "admin"].includes(role) && requester.user_metadata?.school_code === student.school_code;
+  if (requester.id !== student.id && !isStaff) {
+    return json({ error: "Forbidden" }, 403);
+  }
+
+  let gateway;
+  try {
+    gateway = getPaymentGateway();
+  } catch (err) {
+    return json({ error: err.message }, 500);
+  }
+
+  // Checks the amount against the balance less the student's other open orders
+  const { data: paymentOrderId, error: orderError } = await supabase.rpc("open_fee_payment_order", {
+    p_student_id: student.id,
+    p_amount: orderAmount,
+    p_gateway: gateway.name,
+    p_created_by: requester.id
+  });
+  if (orderError) {
+    return json({ error: orderError.message }, orderError.code === "23514" ? 400 : 500);
+  }
+
+  try {
+    const { orderId, checkout } = await gateway.createOrder({
+      amount: orderAmount,
+      currency: "INR",
+      reference: paymentOrderId
+    });
+    // Without the gateway's order id the webhook could not match the payment to this order
+    const { error: linkError } = await supabase
+      .from("fee_payment_orders")
+      .update({ gateway_order_id: orderId })
+      .eq("id", paymentOrderId);
+    if (linkError) throw linkError;
+    return json({ order_id: paymentOrderId, amount: orderAmount, checkout });
+  } catch (err) {
+    await supabase
+      .from("fee_payment_orders")
+      .update({ status: "failed", failure_reason: err.message })
+      .eq("id", paymentOrderId);
+    return json({ error: `Could not create the payment order: ${err.message}` }, 502);
+  }
+});
@@ -0,0 +1,79 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { getPaymentGateway } from "../_shared/paymentGateway.ts";
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json"
+    }
+  });
+}
+
+// Called by the payment gateway, not by signed-in users (verify_jwt is off):
+// the callback's own signature is what proves it genuine. A confirmed payment
+// is posted to the student's fee ledger; retries of the same callback are
+// answered without posting it again.
+serve(async (req)=>{
+  if (req.method !== "POST") {
+    return json({ error: "Method not allowed" }, 405);
+  }
+
+  let gateway;
+  try {
+    gateway = getPaymentGateway();
+  } catch (err) {
+    return json({ error: err.message }, 500);
+  }
+
+  const rawBody = await req.text();
+  let event;
+  try {
+    event = await gateway.verifyWebhook(req, rawBody);
+  } catch (_err) {
+    event = null;
+  }
+  if (!event) {
+    return json({ error: "Invalid signature" }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get("SUPABASE_URL"), Deno.env.get("SUPABASE_SERVICE_ROLE_KEY"));
+  const { data: order, error: orderError } = await supabase
+    .from("fee_payment_orders")
+    .select("id, amount, status")
+    .eq("gateway", gateway.name)
+    .eq("gateway_order_id", event.orderId)
+    .maybeSingle();
+  if (orderError) {
+    return json({ error: orderError.message }, 500);
+  }
+  if (!order) {
+    return json({ error: "Unknown order" }, 404);
+  }
+
+  if (event.status === "failed") {
+    if (order.status === "created") {
+      await supabase
+        .from("fee_payment_orders")
+        .update({ status: "failed", failure_reason: event.failureReason ?? "Payment failed" })
+        .eq("id", order.id)
+        .eq("status", "created");
+    }
+    return json({ order_id: order.id, status: "failed" });
+  }
+
+  if (Math.round(Number(event.amount) * 100) !== Math.round(Number(order.amount) * 100)) {
+    return json({ error: "Amount does not match the order" }, 400);
+  }
+
+  const { data: ledgerEntryId, error: settleError } = await supabase.rpc("settle_fee_payment_order", {
+    p_order_id: order.id,
+    p_gateway_payment_id: event.paymentId
+  });
+  if (settleError) {
+    // A 5xx makes the gateway retry later
+    return json({ error: settleError.message }, 500);
+  }
+  return json({ order_id: order.id, status: "paid", ledger_entry_id: ledgerEntryId });
+});
@@ -0,0 +1,97 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { getNotificationProvider } from "../_shared/notificationChannels.ts";
+
+const BATCH_SIZE = 50;
+// A message that keeps failing is given up on after this many tries
+const MAX_ATTEMPTS = 3;
+
+function withCors(res) {
+  const headers = new Headers(res.headers);
+  headers.set("Access-Control-Allow-Origin", "http://localhost:5173"); // change for production
+  headers.set("Access-Control-Allow-Methods", "POST, OPTIONS");
+  headers.set("Access-Control-Allow-Headers", "Content-Type, Authorization, x-client-info, apikey");
+  return new Response(res.body, {
+    status: res.status,
+    headers
+  });
+}
+
+function json(body, status = 200) {
+  return withCors(new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json"
+    }
+  }));
+}
+
+// Delivers queued notification_outbox messages. A scheduler calls it with the
+// service role key to drain every school's queue; staff can call it to send
+// their own school's queue straight away.
+serve(async (req)=>{
+  if (req.method === "OPTIONS") {
+    return withCors(new Response("OK", {
+      status: 200
+    }));
+  }
+  const serviceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+  const supabase = createClient(Deno.env.get("SUPABASE_URL"), serviceKey);
+  const token = req.headers.get("Authorization")?.replace("Bearer ", "");
+
+  let schoolCode = null;
+  if (token !== serviceKey) {
+    const { data: { user: requester }, error: requesterError } = await supabase.auth.getUser(token);
+    if (requesterError || !requester) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+    if (!["superadmin", "admin"].includes(requester.user_metadata?.role)) {
+      return json({ error: "Forbidden" }, 403);
+    }
+    schoolCode = requester.user_metadata.school_code;
+  }
+
+  // Claimed rows are marked sending, so a run started alongside this one skips them
+  const { data: messages, error } = await supabase.rpc("claim_notifications", {
+    p_school_code: schoolCode,
+    p_batch_size: BATCH_SIZE
+  });
+  if (error) {
+    return json({ error: error.message }, 500);
+  }
+
+  let sent = 0;
+  let failed = 0;
+  let waiting = 0;
+  for (const message of messages) {
+    let provider;
+    try {
+      provider = getNotificationProvider(message.channel);
+    } catch (err) {
+      // Stays queued, without using up an attempt, until the channel is configured
+      await supabase
+        .from("notification_outbox")
+        .update({ status: "queued", last_error: err.message })
+        .eq("id", message.id);
+      waiting++;
+      continue;
+    }
+
+    const attempts = message.attempts + 1;
+    try {
+      await provider.send(message);
+      await supabase
+        .from("notification_outbox")
+        .update({ status: "sent", attempts, last_error: null, sent_at: new Date().toISOString() })
+        .eq("id", message.id);
+      sent++;
+    } catch (err) {
+      await supabase
+        .from("notification_outbox")
+        .update({ status: attempts >= MAX_ATTEMPTS ? "failed" : "queued", attempts, last_error: err.message })
+        .eq("id", message.id);
+      failed++;
+    }
+  }
+  return json({ processed: messages.length, sent, failed, waiting });
+});
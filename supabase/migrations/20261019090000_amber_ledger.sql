@@ -0,0 +1,78 @@
+/*
+  # Editable attendance with change history
+
+  1. Changes
+    - `attendance` gets one row per student per day (duplicates from repeated
+      submissions are collapsed, keeping the most recent row)
+    - `attendance.updated_at` / `attendance.updated_by` track the last edit
+
+  2. New Tables
+    - `attendance_history` - previous status, who changed it and when, written
+      by a trigger whenever an attendance status changes
+
+  3. Security
+    - RLS on `attendance_history`, readable within the school
+*/
+
+-- Collapse duplicates created by submitting the same class and date twice
+DELETE FROM attendance a
+USING attendance b
+WHERE a.student_id = b.student_id
+  AND a.date = b.date
+  AND a.ctid < b.ctid;
+
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS updated_at timestamptz DEFAULT now();
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS updated_by uuid REFERENCES auth.users(id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS attendance_student_date_key ON attendance(student_id, date);
+
+-- Attendance change history
+CREATE TABLE IF NOT EXISTS attendance_history (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  attendance_id uuid REFERENCES attendance(id) ON DELETE CASCADE,
+  student_id uuid REFERENCES student(id),
+  date date NOT NULL,
+  previous_status text,
+  new_status text NOT NULL,
+  previous_marked_by uuid,
+  changed_by uuid REFERENCES auth.users(id),
+  changed_by_role_code text,
+  changed_at timestamptz DEFAULT now(),
+  school_code text NOT NULL
+);
+
+ALTER TABLE attendance_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view attendance history from their school"
+  ON attendance_history FOR SELECT
+  TO authenticated
+  USING (school_code = (auth.jwt() ->> 'school_code'));
+
+CREATE INDEX IF NOT EXISTS idx_attendance_history_attendance ON attendance_history(attendance_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_history_student ON attendance_history(student_id);
+
+-- Record the previous status whenever a mark is corrected
+CREATE OR REPLACE FUNCTION track_attendance_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO attendance_history (
+      attendance_id, student_id, date, previous_status, new_status,
+      previous_marked_by, changed_by, changed_by_role_code, school_code
+    )
+    VALUES (
+      OLD.id, OLD.student_id, OLD.date, OLD.status, NEW.status,
+      OLD.marked_by, auth.uid(), NEW.marked_by_role_code, OLD.school_code
+    );
+  END IF;
+  NEW.updated_at = now();
+  NEW.updated_by = auth.uid();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS track_attendance_change_trigger ON attendance;
+CREATE TRIGGER track_attendance_change_trigger
+  BEFORE UPDATE ON attendance
+  FOR EACH ROW
+  EXECUTE FUNCTION track_attendance_change();
@@ -0,0 +1,54 @@
+/*
+  # Period-wise attendance
+
+  1. Changes
+    - `schools.attendance_mode` - 'daily' (one mark per day) or 'period'
+      (one mark per period, tied to a subject)
+    - `schools.periods_per_day` - number of periods offered when marking
+    - `attendance.period_number` - 0 for a whole-day mark, 1..n in period mode
+    - `attendance.subject` - subject taught in that period
+    - attendance is now unique per student, date and period
+    - `attendance_history.period_number` so corrections keep their period
+*/
+
+ALTER TABLE schools ADD COLUMN IF NOT EXISTS attendance_mode text DEFAULT 'daily'
+  CHECK (attendance_mode IN ('daily', 'period'));
+ALTER TABLE schools ADD COLUMN IF NOT EXISTS periods_per_day integer DEFAULT 8
+  CHECK (periods_per_day BETWEEN 1 AND 16);
+
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS period_number integer NOT NULL DEFAULT 0;
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS subject text;
+
+DROP INDEX IF EXISTS attendance_student_date_key;
+CREATE UNIQUE INDEX IF NOT EXISTS attendance_student_date_period_key
+  ON attendance(student_id, date, period_number);
+CREATE INDEX IF NOT EXISTS idx_attendance_subject ON attendance(class_instance_id, subject);
+
+ALTER TABLE attendance_history ADD COLUMN IF NOT EXISTS period_number integer NOT NULL DEFAULT 0;
+
+CREATE POLICY "Superadmins can update their school settings"
+  ON schools FOR UPDATE
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') = 'superadmin'
+  );
+
+CREATE OR REPLACE FUNCTION track_attendance_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO attendance_history (
+      attendance_id, student_id, date, period_number, previous_status, new_status,
+      previous_marked_by, changed_by, changed_by_role_code, school_code
+    )
+    VALUES (
+      OLD.id, OLD.student_id, OLD.date, OLD.period_number, OLD.status, NEW.status,
+      OLD.marked_by, auth.uid(), NEW.marked_by_role_code, OLD.school_code
+    );
+  END IF;
+  NEW.updated_at = now();
+  NEW.updated_by = auth.uid();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,46 @@
+/*
+  # Academic calendar
+
+  1. Changes
+    - `academic_years.weekly_offs` - days of the week with no classes
+      (0 = Sunday ... 6 = Saturday), Sunday by default
+
+  2. New Tables
+    - `academic_calendar_days` - dated exceptions within an academic year:
+      holidays and exam breaks, or extra working days that fall on a weekly off
+
+  3. Security
+    - RLS on `academic_calendar_days`: readable within the school, managed by superadmins
+*/
+
+ALTER TABLE academic_years ADD COLUMN IF NOT EXISTS weekly_offs integer[] DEFAULT '{0}';
+
+CREATE TABLE IF NOT EXISTS academic_calendar_days (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  academic_year_id uuid NOT NULL REFERENCES academic_years(id) ON DELETE CASCADE,
+  date date NOT NULL,
+  day_type text NOT NULL CHECK (day_type IN ('holiday', 'exam_break', 'working_day')),
+  title text,
+  school_code text NOT NULL,
+  created_by uuid REFERENCES auth.users(id),
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (academic_year_id, date)
+);
+
+ALTER TABLE academic_calendar_days ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view the academic calendar of their school"
+  ON academic_calendar_days FOR SELECT
+  TO authenticated
+  USING (school_code = (auth.jwt() ->> 'school_code'));
+
+CREATE POLICY "Superadmins can manage the academic calendar"
+  ON academic_calendar_days FOR ALL
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') = 'superadmin'
+  );
+
+CREATE INDEX IF NOT EXISTS idx_academic_calendar_days_year ON academic_calendar_days(academic_year_id);
+CREATE INDEX IF NOT EXISTS idx_academic_calendar_days_school_code ON academic_calendar_days(school_code);
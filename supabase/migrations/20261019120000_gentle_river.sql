@@ -0,0 +1,94 @@
+/*
+  # Leave requests and the "excused" attendance status
+
+  1. New Tables
+    - `leave_requests` - dates and reason submitted by a student or parent,
+      approved or rejected by the class teacher
+
+  2. Changes
+    - `attendance.status` accepts 'excused' alongside present, absent and late
+
+  3. Security
+    - Students see and create their own requests, for their own class
+    - The class teacher of the student's class (and superadmins) review them
+*/
+
+CREATE TABLE IF NOT EXISTS leave_requests (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL REFERENCES student(id) ON DELETE CASCADE,
+  class_instance_id uuid NOT NULL REFERENCES class_instances(id),
+  from_date date NOT NULL,
+  to_date date NOT NULL,
+  reason text NOT NULL,
+  status text DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  requested_by uuid REFERENCES auth.users(id),
+  requested_by_role text,
+  reviewed_by uuid REFERENCES auth.users(id),
+  reviewed_at timestamptz,
+  review_note text,
+  school_code text NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  CHECK (to_date >= from_date)
+);
+
+ALTER TABLE leave_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Students can view their own leave requests"
+  ON leave_requests FOR SELECT
+  TO authenticated
+  USING (requested_by = auth.uid() OR student_id = auth.uid());
+
+-- There are no parent accounts linked to students yet; when there are, a
+-- parent's link to the student belongs here too
+CREATE POLICY "Students can request leave for themselves"
+  ON leave_requests FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    requested_by = auth.uid() AND
+    student_id = auth.uid() AND
+    school_code = (auth.jwt() ->> 'school_code') AND
+    status = 'pending' AND
+    EXISTS (
+      SELECT 1 FROM student s
+      WHERE s.id = leave_requests.student_id
+        AND s.class_instance_id = leave_requests.class_instance_id
+        AND s.school_code = leave_requests.school_code
+    )
+  );
+
+CREATE POLICY "Class teachers can view leave requests for their classes"
+  ON leave_requests FOR SELECT
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND (
+      (auth.jwt() ->> 'role') = 'superadmin' OR
+      EXISTS (
+        SELECT 1 FROM class_instances ci
+        WHERE ci.id = leave_requests.class_instance_id
+          AND ci.class_teacher_id = auth.uid()
+      )
+    )
+  );
+
+CREATE POLICY "Class teachers can review leave requests for their classes"
+  ON leave_requests FOR UPDATE
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND (
+      (auth.jwt() ->> 'role') = 'superadmin' OR
+      EXISTS (
+        SELECT 1 FROM class_instances ci
+        WHERE ci.id = leave_requests.class_instance_id
+          AND ci.class_teacher_id = auth.uid()
+      )
+    )
+  );
+
+CREATE INDEX IF NOT EXISTS idx_leave_requests_student ON leave_requests(student_id);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_class_instance ON leave_requests(class_instance_id, status);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_dates ON leave_requests(from_date, to_date);
+
+-- Allow the excused status on attendance
+ALTER TABLE attendance DROP CONSTRAINT IF EXISTS attendance_status_check;
+ALTER TABLE attendance ADD CONSTRAINT attendance_status_check
+  CHECK (status IN ('present', 'absent', 'late', 'excused'));
@@ -0,0 +1,17 @@
+/*
+  # Live attendance updates
+
+  1. Changes
+    - Publish `attendance` changes over Supabase Realtime so the superadmin's
+      "Today" board updates as teachers submit
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'attendance'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE attendance;
+  END IF;
+END $$;
@@ -0,0 +1,166 @@
+/*
+  # Attendance cutoff and unlock requests
+
+  1. Changes
+    - `schools.attendance_cutoff_time` - time of day after which a date's
+      attendance is locked (default 18:00)
+    - `schools.attendance_cutoff_days` - days after the attendance date the
+      cutoff applies (0 = same day)
+    - `schools.timezone` - timezone the cutoff is evaluated in
+
+  2. New Tables
+    - `attendance_unlock_requests` - a teacher's request to edit a locked
+      class and date, with a reason; approved by a superadmin for a limited window
+
+  3. Security
+    - Trigger `enforce_attendance_cutoff` rejects inserts, updates and deletes of
+      locked attendance unless the user is a superadmin or holds an approved,
+      unexpired unlock for that class and date
+    - Triggers `block_bulk_past_attendance_*` reject a statement that changes
+      or removes more than one existing mark on a locked date (past its cutoff
+      and not covered by an approved, unexpired unlock) unless the user is a
+      superadmin. New marks, dates still open and unlocked dates are not
+      limited
+    - Teachers create and see their own unlock requests; superadmins review them
+*/
+
+ALTER TABLE schools ADD COLUMN IF NOT EXISTS attendance_cutoff_time time DEFAULT '18:00';
+ALTER TABLE schools ADD COLUMN IF NOT EXISTS attendance_cutoff_days integer DEFAULT 0
+  CHECK (attendance_cutoff_days BETWEEN 0 AND 30);
+ALTER TABLE schools ADD COLUMN IF NOT EXISTS timezone text DEFAULT 'Asia/Kolkata';
+
+CREATE TABLE IF NOT EXISTS attendance_unlock_requests (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  class_instance_id uuid NOT NULL REFERENCES class_instances(id) ON DELETE CASCADE,
+  date date NOT NULL,
+  reason text NOT NULL,
+  status text DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  requested_by uuid NOT NULL REFERENCES auth.users(id),
+  reviewed_by uuid REFERENCES auth.users(id),
+  reviewed_at timestamptz,
+  unlocked_until timestamptz,
+  school_code text NOT NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE attendance_unlock_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Teachers can view their unlock requests"
+  ON attendance_unlock_requests FOR SELECT
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (requested_by = auth.uid() OR (auth.jwt() ->> 'role') = 'superadmin')
+  );
+
+CREATE POLICY "Teachers can request an unlock"
+  ON attendance_unlock_requests FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    requested_by = auth.uid() AND
+    school_code = (auth.jwt() ->> 'school_code') AND
+    status = 'pending'
+  );
+
+CREATE POLICY "Superadmins can review unlock requests"
+  ON attendance_unlock_requests FOR UPDATE
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') = 'superadmin'
+  );
+
+CREATE INDEX IF NOT EXISTS idx_attendance_unlock_requests_class_date
+  ON attendance_unlock_requests(class_instance_id, date, status);
+
+-- Past the school's cutoff for the date and not unlocked for the class
+CREATE OR REPLACE FUNCTION attendance_date_locked(p_school_code text, p_class_instance_id uuid, p_date date)
+RETURNS boolean AS $$
+  SELECT now() > ((p_date + COALESCE(s.attendance_cutoff_days, 0))
+      + COALESCE(s.attendance_cutoff_time, '18:00'::time))
+      AT TIME ZONE COALESCE(s.timezone, 'Asia/Kolkata')
+    AND NOT EXISTS (
+      SELECT 1 FROM attendance_unlock_requests u
+      WHERE u.class_instance_id = p_class_instance_id
+        AND u.date = p_date
+        AND u.status = 'approved'
+        AND u.unlocked_until > now()
+    )
+  FROM schools s
+  WHERE s.school_code = p_school_code;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION enforce_attendance_cutoff()
+RETURNS TRIGGER AS $$
+DECLARE
+  target attendance%ROWTYPE;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    target := OLD;
+  ELSE
+    target := NEW;
+  END IF;
+
+  -- Service-role and SQL console writes carry no user; superadmins may always edit
+  IF auth.uid() IS NULL OR (auth.jwt() ->> 'role') = 'superadmin' THEN
+    RETURN target;
+  END IF;
+
+  IF attendance_date_locked(target.school_code, target.class_instance_id, target.date) THEN
+    RAISE EXCEPTION 'Attendance for % is locked. Request an unlock from the superadmin to change it.', target.date
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  RETURN target;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS enforce_attendance_cutoff ON attendance;
+CREATE TRIGGER enforce_attendance_cutoff
+  BEFORE INSERT OR UPDATE OR DELETE ON attendance
+  FOR EACH ROW EXECUTE FUNCTION enforce_attendance_cutoff();
+
+CREATE OR REPLACE FUNCTION block_bulk_past_attendance()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_changed integer;
+BEGIN
+  IF auth.uid() IS NULL OR (auth.jwt() ->> 'role') = 'superadmin' THEN
+    RETURN NULL;
+  END IF;
+
+  -- New marks are never limited; only changes to existing marks on locked dates
+  IF TG_OP = 'UPDATE' THEN
+    SELECT count(*) INTO v_changed
+    FROM new_rows n
+    JOIN old_rows o ON o.id = n.id
+    WHERE (n.status IS DISTINCT FROM o.status OR n.date IS DISTINCT FROM o.date)
+      AND (attendance_date_locked(o.school_code, o.class_instance_id, o.date)
+        OR attendance_date_locked(n.school_code, n.class_instance_id, n.date));
+  ELSE
+    SELECT count(*) INTO v_changed
+    FROM old_rows o
+    WHERE attendance_date_locked(o.school_code, o.class_instance_id, o.date);
+  END IF;
+
+  IF v_changed > 1 THEN
+    RAISE EXCEPTION 'Only a superadmin can change locked attendance in bulk (% marks in one save)', v_changed
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Transition tables allow one event per trigger
+DROP TRIGGER IF EXISTS block_bulk_past_attendance_update ON attendance;
+CREATE TRIGGER block_bulk_past_attendance_update
+  AFTER UPDATE ON attendance
+  REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION block_bulk_past_attendance();
+
+DROP TRIGGER IF EXISTS block_bulk_past_attendance_delete ON attendance;
+CREATE TRIGGER block_bulk_past_attendance_delete
+  AFTER DELETE ON attendance
+  REFERENCING OLD TABLE AS old_rows
+  FOR EACH STATEMENT EXECUTE FUNCTION block_bulk_past_attendance();
@@ -0,0 +1,155 @@
+/*
+  # Teacher-to-class assignments
+
+  1. New Tables
+    - `class_teacher_assignments` - many-to-many link between teachers (`admin`)
+      and `class_instances`, with a role:
+      - class_teacher, co_teacher, subject_teacher (with an optional subject)
+      - substitute, valid only on `valid_on`
+
+  2. Changes
+    - Existing `class_instances.class_teacher_id` values are backfilled as
+      class_teacher assignments, and a trigger keeps them in step when a class
+      teacher is set or changed
+    - `is_assigned_teacher(class_instance_id, on_date)` tells whether the current
+      user may work with a class on a date
+    - Leave request policies use assignments instead of `class_teacher_id`
+    - Assigned teachers can read and write attendance for their classes
+
+  3. Security
+    - RLS on `class_teacher_assignments`: readable within the school, managed by
+      superadmins
+*/
+
+CREATE TABLE IF NOT EXISTS class_teacher_assignments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  class_instance_id uuid NOT NULL REFERENCES class_instances(id) ON DELETE CASCADE,
+  teacher_id uuid NOT NULL REFERENCES admin(id) ON DELETE CASCADE,
+  role text NOT NULL CHECK (role IN ('class_teacher', 'co_teacher', 'subject_teacher', 'substitute')),
+  subject text,
+  valid_on date,
+  school_code text NOT NULL,
+  created_by uuid REFERENCES auth.users(id),
+  created_at timestamptz DEFAULT now(),
+  CHECK ((role = 'substitute') = (valid_on IS NOT NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS class_teacher_assignments_unique_key
+  ON class_teacher_assignments(class_instance_id, teacher_id, role, COALESCE(subject, ''), COALESCE(valid_on, '-infinity'::date));
+CREATE INDEX IF NOT EXISTS idx_class_teacher_assignments_teacher
+  ON class_teacher_assignments(teacher_id);
+
+ALTER TABLE class_teacher_assignments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "School members can view class assignments"
+  ON class_teacher_assignments FOR SELECT
+  TO authenticated
+  USING (school_code = (auth.jwt() ->> 'school_code'));
+
+CREATE POLICY "Superadmins can manage class assignments"
+  ON class_teacher_assignments FOR ALL
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') = 'superadmin'
+  )
+  WITH CHECK (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') = 'superadmin'
+  );
+
+-- Backfill the current class teachers
+INSERT INTO class_teacher_assignments (class_instance_id, teacher_id, role, school_code)
+SELECT ci.id, ci.class_teacher_id, 'class_teacher', ci.school_code
+FROM class_instances ci
+WHERE ci.class_teacher_id IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM class_teacher_assignments a
+    WHERE a.class_instance_id = ci.id
+      AND a.teacher_id = ci.class_teacher_id
+      AND a.role = 'class_teacher'
+  );
+
+-- Keep the class_teacher assignment in step with class_instances.class_teacher_id
+CREATE OR REPLACE FUNCTION sync_class_teacher_assignment()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND OLD.class_teacher_id IS DISTINCT FROM NEW.class_teacher_id THEN
+    DELETE FROM class_teacher_assignments
+    WHERE class_instance_id = NEW.id
+      AND teacher_id = OLD.class_teacher_id
+      AND role = 'class_teacher';
+  END IF;
+
+  IF NEW.class_teacher_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM class_teacher_assignments
+    WHERE class_instance_id = NEW.id
+      AND teacher_id = NEW.class_teacher_id
+      AND role = 'class_teacher'
+  ) THEN
+    INSERT INTO class_teacher_assignments (class_instance_id, teacher_id, role, school_code, created_by)
+    VALUES (NEW.id, NEW.class_teacher_id, 'class_teacher', NEW.school_code, auth.uid());
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS sync_class_teacher_assignment ON class_instances;
+CREATE TRIGGER sync_class_teacher_assignment
+  AFTER INSERT OR UPDATE OF class_teacher_id ON class_instances
+  FOR EACH ROW EXECUTE FUNCTION sync_class_teacher_assignment();
+
+-- Substitutes only count on the day they cover
+CREATE OR REPLACE FUNCTION is_assigned_teacher(p_class_instance_id uuid, p_on_date date DEFAULT current_date)
+RETURNS boolean AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM class_teacher_assignments
+    WHERE class_instance_id = p_class_instance_id
+      AND teacher_id = auth.uid()
+      AND (role <> 'substitute' OR valid_on = p_on_date)
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Leave requests: any assigned teacher (not only the class teacher) reviews them
+DROP POLICY IF EXISTS "Class teachers can view leave requests for their classes" ON leave_requests;
+DROP POLICY IF EXISTS "Class teachers can review leave requests for their classes" ON leave_requests;
+
+CREATE POLICY "Assigned teachers can view leave requests for their classes"
+  ON leave_requests FOR SELECT
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND (
+      (auth.jwt() ->> 'role') = 'superadmin' OR
+      is_assigned_teacher(class_instance_id)
+    )
+  );
+
+CREATE POLICY "Assigned teachers can review leave requests for their classes"
+  ON leave_requests FOR UPDATE
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND (
+      (auth.jwt() ->> 'role') = 'superadmin' OR
+      is_assigned_teacher(class_instance_id)
+    )
+  );
+
+-- Attendance: assigned teachers work with their classes' marks
+CREATE POLICY "Assigned teachers can view attendance for their classes"
+  ON attendance FOR SELECT
+  TO authenticated
+  USING (is_assigned_teacher(class_instance_id, date));
+
+CREATE POLICY "Assigned teachers can mark attendance for their classes"
+  ON attendance FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    is_assigned_teacher(class_instance_id, date)
+  );
+
+CREATE POLICY "Assigned teachers can correct attendance for their classes"
+  ON attendance FOR UPDATE
+  TO authenticated
+  USING (is_assigned_teacher(class_instance_id, date));
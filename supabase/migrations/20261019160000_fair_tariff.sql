@@ -0,0 +1,51 @@
+/*
+  # Fee structures per class instance
+
+  1. Changes
+    - `fee_structures.class_instance_id` ties a structure to a section in an
+      academic year (`class_instances`) instead of the year-less `classes` row
+    - `fee_structures.components` holds `[{ name, amount, frequency }]`, where
+      frequency is annual, term or monthly and `amount` is charged per
+      occurrence; `total_amount` is the yearly total
+    - At most one active structure per class instance
+    - `updated_at` is maintained by a trigger
+
+  2. Security
+    - Existing fee structure policies apply unchanged
+*/
+
+ALTER TABLE fee_structures
+  ADD COLUMN IF NOT EXISTS class_instance_id uuid REFERENCES class_instances(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_fee_structures_class_instance ON fee_structures(class_instance_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS fee_structures_one_active_per_class
+  ON fee_structures(class_instance_id)
+  WHERE status = 'active';
+
+-- Components written before frequencies existed used `type`
+UPDATE fee_structures
+SET components = (
+  SELECT jsonb_agg(
+    (c - 'type') || jsonb_build_object('frequency', COALESCE(c->>'frequency', c->>'type', 'annual'))
+  )
+  FROM jsonb_array_elements(components) c
+)
+WHERE jsonb_typeof(components) = 'array'
+  AND jsonb_array_length(components) > 0;
+
+ALTER TABLE fee_structures
+  ADD CONSTRAINT fee_structures_components_array CHECK (jsonb_typeof(components) = 'array');
+
+CREATE OR REPLACE FUNCTION touch_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at := now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS touch_fee_structures_updated_at ON fee_structures;
+CREATE TRIGGER touch_fee_structures_updated_at
+  BEFORE UPDATE ON fee_structures
+  FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
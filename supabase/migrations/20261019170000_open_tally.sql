@@ -0,0 +1,80 @@
+/*
+  # Fee ledger
+
+  1. New Tables
+    - `fee_ledger_entries` - every money movement on a student's fee account
+      - `due` entries are raised from a fee structure, one per component and
+        occurrence, with the date they fall due
+      - `payment` entries record each payment with its method, reference
+        (cheque number, UPI reference, ...) and the staff member who collected it
+    - Balances are the sum of dues minus payments; nothing stores them
+
+  2. Changes
+    - `fee_payments` is superseded by the ledger and no longer written
+
+  3. Security
+    - RLS on `fee_ledger_entries`: school staff read the school's entries and
+      students their own; superadmins and admins add entries
+    - Entries are never updated or deleted; mistakes are corrected with new
+      entries
+*/
+
+CREATE TABLE IF NOT EXISTS fee_ledger_entries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL REFERENCES student(id) ON DELETE CASCADE,
+  class_instance_id uuid REFERENCES class_instances(id),
+  fee_structure_id uuid REFERENCES fee_structures(id),
+  entry_type text NOT NULL,
+  amount decimal(10,2) NOT NULL CHECK (amount > 0),
+  component text,
+  description text,
+  due_date date,
+  entry_date date NOT NULL DEFAULT current_date,
+  payment_method text,
+  reference text,
+  collected_by uuid REFERENCES auth.users(id),
+  collector_name text,
+  remarks text,
+  school_code text NOT NULL,
+  created_by uuid REFERENCES auth.users(id),
+  created_at timestamptz DEFAULT now(),
+  CONSTRAINT fee_ledger_entries_entry_type_check CHECK (entry_type IN ('due', 'payment')),
+  CONSTRAINT fee_ledger_entries_payment_method_check CHECK (
+    payment_method IS NULL OR
+    payment_method IN ('cash', 'cheque', 'upi', 'card', 'bank_transfer', 'online')
+  ),
+  CHECK (entry_type <> 'due' OR due_date IS NOT NULL),
+  CHECK (entry_type <> 'payment' OR payment_method IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_ledger_entries_student ON fee_ledger_entries(student_id);
+CREATE INDEX IF NOT EXISTS idx_fee_ledger_entries_structure ON fee_ledger_entries(fee_structure_id);
+CREATE INDEX IF NOT EXISTS idx_fee_ledger_entries_school_date ON fee_ledger_entries(school_code, entry_date);
+
+-- Raising dues twice for the same student, component and date is a mistake
+CREATE UNIQUE INDEX IF NOT EXISTS fee_ledger_entries_unique_due
+  ON fee_ledger_entries(student_id, fee_structure_id, component, due_date)
+  WHERE entry_type = 'due';
+
+ALTER TABLE fee_ledger_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Staff can view fee ledger entries from their school"
+  ON fee_ledger_entries FOR SELECT
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') IN ('superadmin', 'admin')
+  );
+
+CREATE POLICY "Students can view their own fee ledger entries"
+  ON fee_ledger_entries FOR SELECT
+  TO authenticated
+  USING (student_id = auth.uid());
+
+CREATE POLICY "Staff can add fee ledger entries"
+  ON fee_ledger_entries FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') IN ('superadmin', 'admin')
+  );
@@ -0,0 +1,130 @@
+/*
+  # Fee receipts
+
+  1. New Tables
+    - `fee_receipt_counters` - last receipt number issued per school and
+      academic year (April to March, e.g. "2026-27")
+    - `fee_receipt_prints` - every time a receipt is printed or downloaded;
+      any print after the first is a duplicate
+
+  2. Changes
+    - `fee_ledger_entries.receipt_number` - set on payments by a trigger, as
+      R/<academic year>/<number>. The counter is bumped in the same transaction
+      as the insert, so a failed payment does not leave a gap in the sequence
+    - Existing payments are numbered in the order they were recorded
+
+  3. Security
+    - `fee_receipt_counters` has RLS with no policies: only the numbering
+      trigger touches it
+    - RLS on `fee_receipt_prints`: school staff read and add prints
+*/
+
+ALTER TABLE fee_ledger_entries ADD COLUMN IF NOT EXISTS receipt_number text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS fee_ledger_entries_receipt_number
+  ON fee_ledger_entries(school_code, receipt_number)
+  WHERE receipt_number IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS fee_receipt_counters (
+  school_code text NOT NULL,
+  academic_year text NOT NULL,
+  last_number integer NOT NULL DEFAULT 0,
+  PRIMARY KEY (school_code, academic_year)
+);
+
+ALTER TABLE fee_receipt_counters ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS fee_receipt_prints (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  ledger_entry_id uuid NOT NULL REFERENCES fee_ledger_entries(id) ON DELETE CASCADE,
+  duplicate boolean NOT NULL DEFAULT false,
+  printed_by uuid REFERENCES auth.users(id),
+  printed_at timestamptz DEFAULT now(),
+  school_code text NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_receipt_prints_entry ON fee_receipt_prints(ledger_entry_id);
+
+ALTER TABLE fee_receipt_prints ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Staff can view receipt prints from their school"
+  ON fee_receipt_prints FOR SELECT
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') IN ('superadmin', 'admin')
+  );
+
+CREATE POLICY "Staff can log receipt prints"
+  ON fee_receipt_prints FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') IN ('superadmin', 'admin') AND
+    printed_by = auth.uid()
+  );
+
+-- Academic years run April to March: 2026-10-19 falls in "2026-27"
+CREATE OR REPLACE FUNCTION fee_academic_year(p_date date)
+RETURNS text AS $$
+  SELECT y::text || '-' || right((y + 1)::text, 2)
+  FROM (
+    SELECT CASE WHEN extract(month FROM p_date) >= 4
+      THEN extract(year FROM p_date)::int
+      ELSE extract(year FROM p_date)::int - 1
+    END AS y
+  ) years;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- The upsert locks the counter row, so concurrent payments queue up behind it
+CREATE OR REPLACE FUNCTION next_fee_receipt_number(p_school_code text, p_date date)
+RETURNS text AS $$
+DECLARE
+  v_year text := fee_academic_year(p_date);
+  v_number integer;
+BEGIN
+  INSERT INTO fee_receipt_counters (school_code, academic_year, last_number)
+  VALUES (p_school_code, v_year, 1)
+  ON CONFLICT (school_code, academic_year)
+  DO UPDATE SET last_number = fee_receipt_counters.last_number + 1
+  RETURNING last_number INTO v_number;
+
+  RETURN 'R/' || v_year || '/' || lpad(v_number::text, 5, '0');
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION next_fee_receipt_number(text, date) FROM PUBLIC, anon, authenticated;
+
+-- Number payments recorded before receipts existed, oldest first
+DO $$
+DECLARE
+  r record;
+BEGIN
+  FOR r IN
+    SELECT id, school_code, entry_date FROM fee_ledger_entries
+    WHERE entry_type = 'payment' AND receipt_number IS NULL
+    ORDER BY created_at
+  LOOP
+    UPDATE fee_ledger_entries
+    SET receipt_number = next_fee_receipt_number(r.school_code, r.entry_date)
+    WHERE id = r.id;
+  END LOOP;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION assign_fee_receipt_number()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.entry_type = 'payment' THEN
+    NEW.receipt_number := next_fee_receipt_number(NEW.school_code, NEW.entry_date);
+  ELSE
+    NEW.receipt_number := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS assign_fee_receipt_number ON fee_ledger_entries;
+CREATE TRIGGER assign_fee_receipt_number
+  BEFORE INSERT ON fee_ledger_entries
+  FOR EACH ROW EXECUTE FUNCTION assign_fee_receipt_number();
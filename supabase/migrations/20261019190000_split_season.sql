@@ -0,0 +1,29 @@
+/*
+  # Instalment plans
+
+  1. Changes
+    - `fee_structures.instalment_plan` - how the structure's dues are dated:
+      `{ "type": "by_component" | "single" | "monthly" | "quarterly" | "custom" }`,
+      with `instalments: [{ label, due_date, percent }]` for custom plans.
+      Existing structures keep charging each component on its own frequency
+    - `fee_ledger_entries.instalment` - the instalment a due belongs to
+      (e.g. "Q2", "May 2026"), so overdue accounts can say which one is late
+
+  2. Security
+    - No policy changes
+*/
+
+ALTER TABLE fee_structures
+  ADD COLUMN IF NOT EXISTS instalment_plan jsonb NOT NULL DEFAULT '{"type": "by_component"}';
+
+ALTER TABLE fee_structures
+  ADD CONSTRAINT fee_structures_instalment_plan_type CHECK (
+    instalment_plan ->> 'type' IN ('by_component', 'single', 'monthly', 'quarterly', 'custom')
+  );
+
+ALTER TABLE fee_ledger_entries ADD COLUMN IF NOT EXISTS instalment text;
+
+-- Dues raised before instalments existed carry their label in the description
+UPDATE fee_ledger_entries
+SET instalment = COALESCE(substring(description FROM '\(([^)]*)\)$'), 'Annual')
+WHERE entry_type = 'due' AND instalment IS NULL;
@@ -0,0 +1,78 @@
+/*
+  # Late fees and fine waivers
+
+  1. Changes
+    - `fee_structures.late_fee_rule` - optional
+      `{ type: flat | percent, amount, grace_days, accrual: daily | monthly, cap }`
+    - `fee_ledger_entries` gains two entry types:
+      - `fine` - a late fee charged on an overdue due (`related_entry_id`)
+      - `fine_waiver` - waives all or part of a fine (`related_entry_id`), with
+        a required `reason`
+    - A trigger checks that a waiver points at a fine and does not waive more
+      than is left of it
+
+  2. Security
+    - Existing ledger policies apply: staff add fines and waivers
+*/
+
+ALTER TABLE fee_structures ADD COLUMN IF NOT EXISTS late_fee_rule jsonb;
+
+ALTER TABLE fee_structures
+  ADD CONSTRAINT fee_structures_late_fee_rule_check CHECK (
+    late_fee_rule IS NULL OR (
+      late_fee_rule ->> 'type' IN ('flat', 'percent') AND
+      late_fee_rule ->> 'accrual' IN ('daily', 'monthly') AND
+      (late_fee_rule ->> 'amount')::numeric > 0
+    )
+  );
+
+ALTER TABLE fee_ledger_entries
+  ADD COLUMN IF NOT EXISTS related_entry_id uuid REFERENCES fee_ledger_entries(id),
+  ADD COLUMN IF NOT EXISTS reason text;
+
+CREATE INDEX IF NOT EXISTS idx_fee_ledger_entries_related ON fee_ledger_entries(related_entry_id);
+
+ALTER TABLE fee_ledger_entries DROP CONSTRAINT IF EXISTS fee_ledger_entries_entry_type_check;
+ALTER TABLE fee_ledger_entries
+  ADD CONSTRAINT fee_ledger_entries_entry_type_check
+  CHECK (entry_type IN ('due', 'payment', 'fine', 'fine_waiver'));
+
+ALTER TABLE fee_ledger_entries
+  ADD CONSTRAINT fee_ledger_entries_fine_related_check
+  CHECK (entry_type NOT IN ('fine', 'fine_waiver') OR related_entry_id IS NOT NULL);
+
+ALTER TABLE fee_ledger_entries
+  ADD CONSTRAINT fee_ledger_entries_waiver_reason_check
+  CHECK (entry_type <> 'fine_waiver' OR length(trim(coalesce(reason, ''))) > 0);
+
+CREATE OR REPLACE FUNCTION check_fine_waiver()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_fine fee_ledger_entries%ROWTYPE;
+  v_waived numeric;
+BEGIN
+  IF NEW.entry_type <> 'fine_waiver' THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO v_fine FROM fee_ledger_entries WHERE id = NEW.related_entry_id FOR UPDATE;
+  IF NOT FOUND OR v_fine.entry_type <> 'fine' OR v_fine.student_id <> NEW.student_id THEN
+    RAISE EXCEPTION 'A waiver must refer to a fine on the same student''s ledger';
+  END IF;
+
+  SELECT COALESCE(sum(amount), 0) INTO v_waived
+  FROM fee_ledger_entries
+  WHERE entry_type = 'fine_waiver' AND related_entry_id = v_fine.id;
+
+  IF v_waived + NEW.amount > v_fine.amount THEN
+    RAISE EXCEPTION 'Only % of this fine is left to waive', v_fine.amount - v_waived;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS check_fine_waiver ON fee_ledger_entries;
+CREATE TRIGGER check_fine_waiver
+  BEFORE INSERT ON fee_ledger_entries
+  FOR EACH ROW EXECUTE FUNCTION check_fine_waiver();
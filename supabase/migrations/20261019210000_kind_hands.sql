@@ -0,0 +1,153 @@
+/*
+  # Concessions
+
+  1. New Tables
+    - `concession_types` - named concessions of a school (staff ward, sibling,
+      merit, need-based, ...): a percentage or a fixed yearly amount, applied to
+      the listed fee components (all components when the list is empty)
+    - `student_concessions` - a concession given to a student on a fee
+      structure. Staff propose it; it takes effect once a superadmin approves it
+
+  2. Changes
+    - `fee_ledger_entries` gains the `concession` entry type: the part of a due
+      (`related_entry_id`) an approved concession (`student_concession_id`)
+      takes off
+
+  3. Security
+    - RLS on `concession_types`: readable within the school, managed by
+      superadmins
+    - RLS on `student_concessions`: staff read and propose, superadmins review;
+      students read their own
+    - A trigger only lets concession entries in for approved concessions
+*/
+
+CREATE TABLE IF NOT EXISTS concession_types (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  kind text NOT NULL CHECK (kind IN ('percent', 'fixed')),
+  value decimal(10,2) NOT NULL CHECK (value > 0),
+  components text[] NOT NULL DEFAULT '{}',
+  description text,
+  is_active boolean NOT NULL DEFAULT true,
+  school_code text NOT NULL,
+  created_by uuid REFERENCES auth.users(id),
+  created_at timestamptz DEFAULT now(),
+  CHECK (kind <> 'percent' OR value <= 100)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS concession_types_school_name ON concession_types(school_code, lower(name));
+
+CREATE TABLE IF NOT EXISTS student_concessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL REFERENCES student(id) ON DELETE CASCADE,
+  concession_type_id uuid NOT NULL REFERENCES concession_types(id),
+  fee_structure_id uuid NOT NULL REFERENCES fee_structures(id),
+  reason text,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  requested_by uuid REFERENCES auth.users(id),
+  reviewed_by uuid REFERENCES auth.users(id),
+  reviewed_at timestamptz,
+  review_note text,
+  school_code text NOT NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_concessions_student ON student_concessions(student_id);
+CREATE INDEX IF NOT EXISTS idx_student_concessions_structure ON student_concessions(fee_structure_id);
+CREATE UNIQUE INDEX IF NOT EXISTS student_concessions_one_open
+  ON student_concessions(student_id, concession_type_id, fee_structure_id)
+  WHERE status <> 'rejected';
+
+ALTER TABLE concession_types ENABLE ROW LEVEL SECURITY;
+ALTER TABLE student_concessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "School members can view concession types"
+  ON concession_types FOR SELECT
+  TO authenticated
+  USING (school_code = (auth.jwt() ->> 'school_code'));
+
+CREATE POLICY "Superadmins can manage concession types"
+  ON concession_types FOR ALL
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') = 'superadmin'
+  )
+  WITH CHECK (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') = 'superadmin'
+  );
+
+CREATE POLICY "Staff can view student concessions"
+  ON student_concessions FOR SELECT
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') IN ('superadmin', 'admin')
+  );
+
+CREATE POLICY "Students can view their own concessions"
+  ON student_concessions FOR SELECT
+  TO authenticated
+  USING (student_id = auth.uid());
+
+CREATE POLICY "Staff can propose student concessions"
+  ON student_concessions FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') IN ('superadmin', 'admin') AND
+    requested_by = auth.uid() AND
+    status = 'pending'
+  );
+
+CREATE POLICY "Superadmins can review student concessions"
+  ON student_concessions FOR UPDATE
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') = 'superadmin'
+  );
+
+-- Ledger: concession entries
+ALTER TABLE fee_ledger_entries
+  ADD COLUMN IF NOT EXISTS student_concession_id uuid REFERENCES student_concessions(id);
+
+ALTER TABLE fee_ledger_entries DROP CONSTRAINT IF EXISTS fee_ledger_entries_entry_type_check;
+ALTER TABLE fee_ledger_entries
+  ADD CONSTRAINT fee_ledger_entries_entry_type_check
+  CHECK (entry_type IN ('due', 'payment', 'fine', 'fine_waiver', 'concession'));
+
+ALTER TABLE fee_ledger_entries
+  ADD CONSTRAINT fee_ledger_entries_concession_check
+  CHECK (entry_type <> 'concession' OR (related_entry_id IS NOT NULL AND student_concession_id IS NOT NULL));
+
+-- One concession entry per due and concession
+CREATE UNIQUE INDEX IF NOT EXISTS fee_ledger_entries_unique_concession
+  ON fee_ledger_entries(related_entry_id, student_concession_id)
+  WHERE entry_type = 'concession';
+
+CREATE OR REPLACE FUNCTION check_concession_entry()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.entry_type <> 'concession' THEN
+    RETURN NEW;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM student_concessions
+    WHERE id = NEW.student_concession_id
+      AND student_id = NEW.student_id
+      AND status = 'approved'
+  ) THEN
+    RAISE EXCEPTION 'Concession entries need an approved concession for the student';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS check_concession_entry ON fee_ledger_entries;
+CREATE TRIGGER check_concession_entry
+  BEFORE INSERT ON fee_ledger_entries
+  FOR EACH ROW EXECUTE FUNCTION check_concession_entry();
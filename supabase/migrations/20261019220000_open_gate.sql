@@ -0,0 +1,186 @@
+/*
+  # Online fee payments
+
+  1. New Tables
+    - `fee_payment_orders` - an order created with the payment gateway for a
+      student's fee payment: amount, gateway and its order id, and once the
+      gateway confirms it, the gateway's payment id and the ledger payment it
+      was posted as
+
+  2. New Functions
+    - `fee_student_balance(student_id)` - what a student still owes: charges
+      less payments, concessions and waivers
+    - `open_fee_payment_order(student_id, amount, gateway, created_by)` - opens
+      an order for no more than is pending: the balance less the student's
+      other open orders (orders left unpaid for over 30 minutes count as
+      abandoned; if one is paid after all, the student is in credit). Orders
+      for the same student are opened one at a time
+    - `settle_fee_payment_order(order_id, gateway_payment_id)` - marks an order
+      paid and posts it to the fee ledger as an online payment, once; calling it
+      again for a paid order returns the same ledger entry
+
+  3. Security
+    - RLS on `fee_payment_orders`: staff read the school's orders, students
+      their own. Orders are only written by the payment edge functions
+    - `open_fee_payment_order` and `settle_fee_payment_order` can only be
+      called with the service role
+    - Students can print (and reprint) the receipts of their own payments
+*/
+
+CREATE TABLE IF NOT EXISTS fee_payment_orders (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL REFERENCES student(id) ON DELETE CASCADE,
+  amount decimal(10,2) NOT NULL CHECK (amount > 0),
+  currency text NOT NULL DEFAULT 'INR',
+  gateway text NOT NULL,
+  gateway_order_id text,
+  gateway_payment_id text,
+  status text NOT NULL DEFAULT 'created' CHECK (status IN ('created', 'paid', 'failed')),
+  failure_reason text,
+  ledger_entry_id uuid REFERENCES fee_ledger_entries(id),
+  school_code text NOT NULL,
+  created_by uuid REFERENCES auth.users(id),
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_payment_orders_student ON fee_payment_orders(student_id);
+CREATE UNIQUE INDEX IF NOT EXISTS fee_payment_orders_gateway_order
+  ON fee_payment_orders(gateway, gateway_order_id);
+
+DROP TRIGGER IF EXISTS touch_fee_payment_orders_updated_at ON fee_payment_orders;
+CREATE TRIGGER touch_fee_payment_orders_updated_at
+  BEFORE UPDATE ON fee_payment_orders
+  FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+
+ALTER TABLE fee_payment_orders ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Staff can view payment orders"
+  ON fee_payment_orders FOR SELECT
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') IN ('superadmin', 'admin')
+  );
+
+CREATE POLICY "Students can view their own payment orders"
+  ON fee_payment_orders FOR SELECT
+  TO authenticated
+  USING (student_id = auth.uid());
+
+CREATE OR REPLACE FUNCTION fee_student_balance(p_student_id uuid)
+RETURNS numeric AS $$
+  SELECT COALESCE(SUM(CASE WHEN e.entry_type IN ('due', 'fine') THEN e.amount ELSE -e.amount END), 0)
+  FROM fee_ledger_entries e
+  WHERE e.student_id = p_student_id;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION open_fee_payment_order(
+  p_student_id uuid,
+  p_amount numeric,
+  p_gateway text,
+  p_created_by uuid
+)
+RETURNS uuid AS $$
+DECLARE
+  v_student student%ROWTYPE;
+  v_pending numeric;
+  v_order_id uuid;
+BEGIN
+  -- Two checkouts at once must not both take the same balance
+  SELECT * INTO v_student FROM student WHERE id = p_student_id FOR NO KEY UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Student % not found', p_student_id;
+  END IF;
+
+  v_pending := fee_student_balance(p_student_id) - COALESCE((
+    SELECT SUM(amount) FROM fee_payment_orders
+    WHERE student_id = p_student_id
+      AND status = 'created'
+      AND created_at > now() - interval '30 minutes'
+  ), 0);
+  IF p_amount > v_pending THEN
+    RAISE EXCEPTION 'Only % is pending', GREATEST(v_pending, 0)
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  INSERT INTO fee_payment_orders (student_id, amount, currency, gateway, school_code, created_by)
+  VALUES (p_student_id, p_amount, 'INR', p_gateway, v_student.school_code, p_created_by)
+  RETURNING id INTO v_order_id;
+
+  RETURN v_order_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION open_fee_payment_order(uuid, numeric, text, uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION open_fee_payment_order(uuid, numeric, text, uuid) TO service_role;
+
+CREATE OR REPLACE FUNCTION settle_fee_payment_order(p_order_id uuid, p_gateway_payment_id text)
+RETURNS uuid AS $$
+DECLARE
+  v_order fee_payment_orders%ROWTYPE;
+  v_student student%ROWTYPE;
+  v_entry_id uuid;
+BEGIN
+  SELECT * INTO v_order FROM fee_payment_orders WHERE id = p_order_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Payment order % not found', p_order_id;
+  END IF;
+
+  -- Gateways retry their callbacks; a paid order is posted once
+  IF v_order.status = 'paid' THEN
+    RETURN v_order.ledger_entry_id;
+  END IF;
+
+  SELECT * INTO v_student FROM student WHERE id = v_order.student_id;
+
+  -- The money has arrived, so it is posted even on a closed day
+  PERFORM set_config('fees.posting_path', 'gateway_settlement', true);
+  INSERT INTO fee_ledger_entries (
+    student_id, class_instance_id, entry_type, amount, entry_date,
+    payment_method, reference, remarks, school_code, created_by
+  ) VALUES (
+    v_order.student_id, v_student.class_instance_id, 'payment', v_order.amount, CURRENT_DATE,
+    'online', p_gateway_payment_id, 'Paid online through ' || v_order.gateway,
+    v_order.school_code, v_order.created_by
+  )
+  RETURNING id INTO v_entry_id;
+  PERFORM set_config('fees.posting_path', '', true);
+
+  UPDATE fee_payment_orders
+  SET status = 'paid',
+      gateway_payment_id = p_gateway_payment_id,
+      failure_reason = NULL,
+      ledger_entry_id = v_entry_id
+  WHERE id = p_order_id;
+
+  RETURN v_entry_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION settle_fee_payment_order(uuid, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION settle_fee_payment_order(uuid, text) TO service_role;
+
+CREATE POLICY "Students can view prints of their own receipts"
+  ON fee_receipt_prints FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM fee_ledger_entries e
+      WHERE e.id = fee_receipt_prints.ledger_entry_id
+        AND e.student_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Students can print their own receipts"
+  ON fee_receipt_prints FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    printed_by = auth.uid() AND
+    school_code = (auth.jwt() ->> 'school_code') AND
+    EXISTS (
+      SELECT 1 FROM fee_ledger_entries e
+      WHERE e.id = fee_receipt_prints.ledger_entry_id
+        AND e.student_id = auth.uid()
+    )
+  );
@@ -0,0 +1,155 @@
+/*
+  # Notification outbox and fee reminders
+
+  1. New Tables
+    - `notification_outbox` - messages waiting to go out by email or SMS. The
+      app only queues them; the `send-notifications` edge function delivers
+      them through whichever provider is plugged in and records the outcome
+    - `fee_reminders` - each fee reminder sent to a student, with what was
+      overdue at the time and the outbox message that carried it
+
+  2. New Functions
+    - `claim_notifications(school_code, batch_size)` - marks the oldest queued
+      messages `sending` and returns them, skipping rows another run has
+      locked, so two senders never deliver the same message. A message left
+      `sending` for 15 minutes (its sender died) is claimed again
+    - `queue_fee_reminders(channel, reminders)` - queues each reminder's
+      message and records the reminder against it, all or nothing
+
+  3. Security
+    - RLS on both tables: staff read and queue within their school; students
+      see the reminders sent to them. Delivery updates are made with the
+      service role only
+    - `queue_fee_reminders` runs as the caller, so the insert policies apply;
+      `claim_notifications` can only be called with the service role
+*/
+
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  channel text NOT NULL CHECK (channel IN ('email', 'sms')),
+  recipient text NOT NULL,
+  subject text,
+  body text NOT NULL,
+  template text,
+  student_id uuid REFERENCES student(id) ON DELETE SET NULL,
+  status text NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'sent', 'failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  claimed_at timestamptz,
+  last_error text,
+  sent_at timestamptz,
+  school_code text NOT NULL,
+  created_by uuid REFERENCES auth.users(id),
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_queued
+  ON notification_outbox(created_at)
+  WHERE status IN ('queued', 'sending');
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_student ON notification_outbox(student_id);
+
+CREATE TABLE IF NOT EXISTS fee_reminders (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL REFERENCES student(id) ON DELETE CASCADE,
+  outbox_id uuid REFERENCES notification_outbox(id) ON DELETE SET NULL,
+  channel text NOT NULL CHECK (channel IN ('email', 'sms')),
+  overdue_amount decimal(10,2) NOT NULL,
+  days_overdue integer NOT NULL,
+  school_code text NOT NULL,
+  sent_by uuid REFERENCES auth.users(id),
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_reminders_student ON fee_reminders(student_id, created_at);
+
+ALTER TABLE notification_outbox ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fee_reminders ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Staff can view the notification outbox"
+  ON notification_outbox FOR SELECT
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') IN ('superadmin', 'admin')
+  );
+
+CREATE POLICY "Staff can queue notifications"
+  ON notification_outbox FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') IN ('superadmin', 'admin') AND
+    created_by = auth.uid() AND
+    status = 'queued'
+  );
+
+CREATE POLICY "Staff can view fee reminders"
+  ON fee_reminders FOR SELECT
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') IN ('superadmin', 'admin')
+  );
+
+CREATE POLICY "Students can view their own fee reminders"
+  ON fee_reminders FOR SELECT
+  TO authenticated
+  USING (student_id = auth.uid());
+
+CREATE POLICY "Staff can record fee reminders"
+  ON fee_reminders FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') IN ('superadmin', 'admin') AND
+    sent_by = auth.uid()
+  );
+
+CREATE OR REPLACE FUNCTION claim_notifications(p_school_code text DEFAULT NULL, p_batch_size integer DEFAULT 50)
+RETURNS SETOF notification_outbox AS $$
+  UPDATE notification_outbox o
+  SET status = 'sending',
+      claimed_at = now()
+  WHERE o.id IN (
+    SELECT q.id
+    FROM notification_outbox q
+    WHERE (q.status = 'queued' OR (q.status = 'sending' AND q.claimed_at < now() - interval '15 minutes'))
+      AND (p_school_code IS NULL OR q.school_code = p_school_code)
+    ORDER BY q.created_at
+    LIMIT p_batch_size
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING o.*;
+$$ LANGUAGE sql VOLATILE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION claim_notifications(text, integer) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_notifications(text, integer) TO service_role;
+
+-- Each element: { student_id, recipient, subject, body, overdue_amount, days_overdue }
+CREATE OR REPLACE FUNCTION queue_fee_reminders(p_channel text, p_reminders jsonb)
+RETURNS integer AS $$
+DECLARE
+  v_reminder jsonb;
+  v_outbox_id uuid;
+  v_school_code text := auth.jwt() ->> 'school_code';
+BEGIN
+  FOR v_reminder IN SELECT * FROM jsonb_array_elements(p_reminders)
+  LOOP
+    INSERT INTO notification_outbox (
+      channel, recipient, subject, body, template, student_id, school_code, created_by
+    ) VALUES (
+      p_channel, v_reminder ->> 'recipient', v_reminder ->> 'subject', v_reminder ->> 'body', 'fee_reminder',
+      (v_reminder ->> 'student_id')::uuid, v_school_code, auth.uid()
+    )
+    RETURNING id INTO v_outbox_id;
+
+    INSERT INTO fee_reminders (
+      student_id, outbox_id, channel, overdue_amount, days_overdue, school_code, sent_by
+    ) VALUES (
+      (v_reminder ->> 'student_id')::uuid, v_outbox_id, p_channel, (v_reminder ->> 'overdue_amount')::numeric,
+      (v_reminder ->> 'days_overdue')::integer, v_school_code, auth.uid()
+    );
+  END LOOP;
+
+  RETURN jsonb_array_length(p_reminders);
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,230 @@
+/*
+  # Fee collection analytics
+
+  1. New Functions
+    - `fee_charge_settlement(school_code)` - every charge (due or fine) with
+      the concession and waiver given on it and how much of it payments have
+      settled. Payments settle a student's oldest charges first, as the app
+      does
+    - `fee_collection_by_month`, `fee_collection_by_method` - payments
+      received, optionally within dates
+    - `fee_collection_by_class`, `fee_collection_by_component` - expected,
+      concession, waived and collected for an academic year
+    - `fee_expected_vs_collected` - the same totals per academic year
+    - `fee_concessions_by_type` - concession given per concession type
+    - `fee_collection_summary` - expected, concession, waived, collected and
+      still pending on the charges falling due within dates, and how many
+      students are overdue on them
+
+  All of them take an optional list of class instances to narrow to, and run
+  as the caller, so the ledger's RLS decides which rows they add up.
+*/
+
+CREATE OR REPLACE FUNCTION fee_charge_settlement(p_school_code text)
+RETURNS TABLE (
+  entry_id uuid,
+  student_id uuid,
+  class_instance_id uuid,
+  fee_structure_id uuid,
+  entry_type text,
+  component text,
+  due_date date,
+  amount numeric,
+  concession numeric,
+  waived numeric,
+  paid numeric
+) AS $$
+  WITH charges AS (
+    SELECT e.id, e.student_id, e.class_instance_id, e.fee_structure_id, e.entry_type, e.component,
+           COALESCE(e.due_date, e.entry_date) AS due_on, e.amount, e.created_at
+    FROM fee_ledger_entries e
+    WHERE e.school_code = p_school_code AND e.entry_type IN ('due', 'fine')
+  ),
+  directed AS (
+    SELECT e.related_entry_id,
+           COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'concession'), 0) AS concession,
+           COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'fine_waiver'), 0) AS waived
+    FROM fee_ledger_entries e
+    WHERE e.school_code = p_school_code AND e.entry_type IN ('concession', 'fine_waiver')
+    GROUP BY e.related_entry_id
+  ),
+  payments AS (
+    SELECT e.student_id, SUM(e.amount) AS total
+    FROM fee_ledger_entries e
+    WHERE e.school_code = p_school_code AND e.entry_type = 'payment'
+    GROUP BY e.student_id
+  ),
+  payable AS (
+    SELECT c.*,
+           COALESCE(d.concession, 0) AS concession_given,
+           COALESCE(d.waived, 0) AS waived_given,
+           GREATEST(c.amount - COALESCE(d.concession, 0) - COALESCE(d.waived, 0), 0) AS left_to_pay
+    FROM charges c
+    LEFT JOIN directed d ON d.related_entry_id = c.id
+  ),
+  ordered AS (
+    SELECT p.*,
+           COALESCE(SUM(p.left_to_pay) OVER (
+             PARTITION BY p.student_id
+             ORDER BY p.due_on, p.created_at, p.id
+             ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+           ), 0) AS payable_before
+    FROM payable p
+  )
+  SELECT o.id, o.student_id, o.class_instance_id, o.fee_structure_id, o.entry_type, o.component, o.due_on,
+         o.amount, o.concession_given, o.waived_given,
+         LEAST(o.left_to_pay, GREATEST(COALESCE(pay.total, 0) - o.payable_before, 0))
+  FROM ordered o
+  LEFT JOIN payments pay ON pay.student_id = o.student_id;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION fee_collection_by_month(
+  p_school_code text,
+  p_from date DEFAULT NULL,
+  p_to date DEFAULT NULL,
+  p_class_ids uuid[] DEFAULT NULL
+)
+RETURNS TABLE (month date, collected numeric, payments bigint) AS $$
+  SELECT date_trunc('month', e.entry_date)::date, SUM(e.amount), COUNT(*)
+  FROM fee_ledger_entries e
+  WHERE e.school_code = p_school_code
+    AND e.entry_type = 'payment'
+    AND (p_from IS NULL OR e.entry_date >= p_from)
+    AND (p_to IS NULL OR e.entry_date <= p_to)
+    AND (p_class_ids IS NULL OR e.class_instance_id = ANY (p_class_ids))
+  GROUP BY 1
+  ORDER BY 1;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION fee_collection_by_method(
+  p_school_code text,
+  p_from date DEFAULT NULL,
+  p_to date DEFAULT NULL,
+  p_class_ids uuid[] DEFAULT NULL
+)
+RETURNS TABLE (payment_method text, collected numeric, payments bigint) AS $$
+  SELECT e.payment_method, SUM(e.amount), COUNT(*)
+  FROM fee_ledger_entries e
+  WHERE e.school_code = p_school_code
+    AND e.entry_type = 'payment'
+    AND (p_from IS NULL OR e.entry_date >= p_from)
+    AND (p_to IS NULL OR e.entry_date <= p_to)
+    AND (p_class_ids IS NULL OR e.class_instance_id = ANY (p_class_ids))
+  GROUP BY 1
+  ORDER BY 2 DESC;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION fee_collection_by_class(
+  p_school_code text,
+  p_academic_year_id uuid DEFAULT NULL,
+  p_class_ids uuid[] DEFAULT NULL
+)
+RETURNS TABLE (
+  class_instance_id uuid,
+  grade text,
+  section text,
+  students bigint,
+  expected numeric,
+  concession numeric,
+  waived numeric,
+  collected numeric
+) AS $$
+  SELECT s.class_instance_id, ci.grade::text, ci.section::text, COUNT(DISTINCT s.student_id),
+         SUM(s.amount), SUM(s.concession), SUM(s.waived), SUM(s.paid)
+  FROM fee_charge_settlement(p_school_code) s
+  JOIN class_instances ci ON ci.id = s.class_instance_id
+  WHERE (p_academic_year_id IS NULL OR ci.academic_year_id = p_academic_year_id)
+    AND (p_class_ids IS NULL OR s.class_instance_id = ANY (p_class_ids))
+  GROUP BY s.class_instance_id, ci.grade, ci.section
+  ORDER BY ci.grade, ci.section;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION fee_collection_by_component(
+  p_school_code text,
+  p_academic_year_id uuid DEFAULT NULL,
+  p_class_ids uuid[] DEFAULT NULL
+)
+RETURNS TABLE (
+  component text,
+  expected numeric,
+  concession numeric,
+  waived numeric,
+  collected numeric
+) AS $$
+  SELECT CASE WHEN s.entry_type = 'fine' THEN 'Late Fee' ELSE COALESCE(s.component, 'Other') END,
+         SUM(s.amount), SUM(s.concession), SUM(s.waived), SUM(s.paid)
+  FROM fee_charge_settlement(p_school_code) s
+  JOIN class_instances ci ON ci.id = s.class_instance_id
+  WHERE (p_academic_year_id IS NULL OR ci.academic_year_id = p_academic_year_id)
+    AND (p_class_ids IS NULL OR s.class_instance_id = ANY (p_class_ids))
+  GROUP BY 1
+  ORDER BY 2 DESC;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION fee_expected_vs_collected(
+  p_school_code text,
+  p_class_ids uuid[] DEFAULT NULL
+)
+RETURNS TABLE (
+  academic_year_id uuid,
+  year_start integer,
+  year_end integer,
+  expected numeric,
+  concession numeric,
+  waived numeric,
+  collected numeric
+) AS $$
+  SELECT ay.id, ay.year_start::integer, ay.year_end::integer,
+         SUM(s.amount), SUM(s.concession), SUM(s.waived), SUM(s.paid)
+  FROM fee_charge_settlement(p_school_code) s
+  JOIN class_instances ci ON ci.id = s.class_instance_id
+  JOIN academic_years ay ON ay.id = ci.academic_year_id
+  WHERE p_class_ids IS NULL OR s.class_instance_id = ANY (p_class_ids)
+  GROUP BY ay.id, ay.year_start, ay.year_end
+  ORDER BY ay.year_start DESC;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION fee_concessions_by_type(
+  p_school_code text,
+  p_academic_year_id uuid DEFAULT NULL,
+  p_class_ids uuid[] DEFAULT NULL
+)
+RETURNS TABLE (concession_type text, students bigint, amount numeric) AS $$
+  SELECT ct.name, COUNT(DISTINCT e.student_id), SUM(e.amount)
+  FROM fee_ledger_entries e
+  JOIN student_concessions sc ON sc.id = e.student_concession_id
+  JOIN concession_types ct ON ct.id = sc.concession_type_id
+  JOIN class_instances ci ON ci.id = e.class_instance_id
+  WHERE e.school_code = p_school_code
+    AND e.entry_type = 'concession'
+    AND (p_academic_year_id IS NULL OR ci.academic_year_id = p_academic_year_id)
+    AND (p_class_ids IS NULL OR e.class_instance_id = ANY (p_class_ids))
+  GROUP BY ct.name
+  ORDER BY 3 DESC;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION fee_collection_summary(
+  p_school_code text,
+  p_from date DEFAULT NULL,
+  p_to date DEFAULT NULL,
+  p_class_ids uuid[] DEFAULT NULL,
+  p_today date DEFAULT CURRENT_DATE
+)
+RETURNS TABLE (
+  expected numeric,
+  concession numeric,
+  waived numeric,
+  collected numeric,
+  pending numeric,
+  overdue_students bigint
+) AS $$
+  SELECT COALESCE(SUM(s.amount), 0), COALESCE(SUM(s.concession), 0), COALESCE(SUM(s.waived), 0),
+         COALESCE(SUM(s.paid), 0), COALESCE(SUM(s.amount - s.concession - s.waived - s.paid), 0),
+         COUNT(DISTINCT s.student_id) FILTER (
+           WHERE s.due_date < p_today AND s.amount - s.concession - s.waived - s.paid > 0
+         )
+  FROM fee_charge_settlement(p_school_code) s
+  WHERE (p_from IS NULL OR s.due_date >= p_from)
+    AND (p_to IS NULL OR s.due_date <= p_to)
+    AND (p_class_ids IS NULL OR s.class_instance_id = ANY (p_class_ids));
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,240 @@
+/*
+  # Payment reversals, refunds and cheque bounces
+
+  1. Changes
+    - `fee_ledger_entries` gains four entry types. The first three undo all or
+      part of a payment (`related_entry_id`) and need a `reason`; the payment
+      stays on the ledger and the student's balance reopens:
+      - `reversal` - a payment recorded by mistake (wrong amount or student)
+      - `refund` - money paid back, partly or in full, with its own receipt
+        number (RF/<academic year>/<number>)
+      - `cheque_bounce` - a cheque payment that bounced, always in full
+      - `bounce_charge` - the charge levied for a bounced cheque
+    - A trigger checks that these point at a payment of the same student and
+      never undo more than is left of it
+    - `fee_receipt_counters.series` keeps payment (R) and refund (RF) numbers
+      in separate sequences
+    - The collection analytics and the balance online payments are checked
+      against count payments net of what was undone
+
+  2. Security
+    - Existing ledger policies apply: staff record reversals and refunds
+*/
+
+-- Receipt series
+ALTER TABLE fee_receipt_counters ADD COLUMN IF NOT EXISTS series text NOT NULL DEFAULT 'R';
+ALTER TABLE fee_receipt_counters DROP CONSTRAINT IF EXISTS fee_receipt_counters_pkey;
+ALTER TABLE fee_receipt_counters ADD PRIMARY KEY (school_code, series, academic_year);
+
+CREATE OR REPLACE FUNCTION next_fee_receipt_number(p_school_code text, p_date date, p_series text)
+RETURNS text AS $$
+DECLARE
+  v_year text := fee_academic_year(p_date);
+  v_number integer;
+BEGIN
+  INSERT INTO fee_receipt_counters (school_code, series, academic_year, last_number)
+  VALUES (p_school_code, p_series, v_year, 1)
+  ON CONFLICT (school_code, series, academic_year)
+  DO UPDATE SET last_number = fee_receipt_counters.last_number + 1
+  RETURNING last_number INTO v_number;
+
+  RETURN p_series || '/' || v_year || '/' || lpad(v_number::text, 5, '0');
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION next_fee_receipt_number(text, date, text) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION assign_fee_receipt_number()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.receipt_number := CASE NEW.entry_type
+    WHEN 'payment' THEN next_fee_receipt_number(NEW.school_code, NEW.entry_date, 'R')
+    WHEN 'refund' THEN next_fee_receipt_number(NEW.school_code, NEW.entry_date, 'RF')
+  END;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP FUNCTION IF EXISTS next_fee_receipt_number(text, date);
+
+-- Entry types
+ALTER TABLE fee_ledger_entries DROP CONSTRAINT IF EXISTS fee_ledger_entries_entry_type_check;
+ALTER TABLE fee_ledger_entries
+  ADD CONSTRAINT fee_ledger_entries_entry_type_check
+  CHECK (entry_type IN (
+    'due', 'payment', 'fine', 'fine_waiver', 'concession',
+    'reversal', 'refund', 'cheque_bounce', 'bounce_charge'
+  ));
+
+ALTER TABLE fee_ledger_entries
+  ADD CONSTRAINT fee_ledger_entries_adjustment_check
+  CHECK (
+    entry_type NOT IN ('reversal', 'refund', 'cheque_bounce', 'bounce_charge') OR
+    related_entry_id IS NOT NULL
+  );
+
+ALTER TABLE fee_ledger_entries
+  ADD CONSTRAINT fee_ledger_entries_adjustment_reason_check
+  CHECK (
+    entry_type NOT IN ('reversal', 'refund', 'cheque_bounce') OR
+    length(trim(coalesce(reason, ''))) > 0
+  );
+
+CREATE OR REPLACE FUNCTION check_payment_adjustment()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_payment fee_ledger_entries%ROWTYPE;
+  v_undone numeric;
+BEGIN
+  IF NEW.entry_type NOT IN ('reversal', 'refund', 'cheque_bounce', 'bounce_charge') THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO v_payment FROM fee_ledger_entries WHERE id = NEW.related_entry_id FOR UPDATE;
+  IF NOT FOUND OR v_payment.entry_type <> 'payment' OR v_payment.student_id <> NEW.student_id THEN
+    RAISE EXCEPTION 'A % must refer to a payment on the same student''s ledger', NEW.entry_type;
+  END IF;
+
+  IF NEW.entry_type IN ('cheque_bounce', 'bounce_charge') AND v_payment.payment_method <> 'cheque' THEN
+    RAISE EXCEPTION 'Only cheque payments can bounce';
+  END IF;
+
+  IF NEW.entry_type = 'bounce_charge' THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT COALESCE(sum(amount), 0) INTO v_undone
+  FROM fee_ledger_entries
+  WHERE entry_type IN ('reversal', 'refund', 'cheque_bounce') AND related_entry_id = v_payment.id;
+
+  IF v_undone + NEW.amount > v_payment.amount THEN
+    RAISE EXCEPTION 'Only % of this payment is left to undo', v_payment.amount - v_undone;
+  END IF;
+
+  IF NEW.entry_type = 'cheque_bounce' AND v_undone + NEW.amount <> v_payment.amount THEN
+    RAISE EXCEPTION 'A bounced cheque undoes all of what is left of the payment (%)', v_payment.amount - v_undone;
+  END IF;
+
+  -- Reversals and bounces go back through the method the payment came in by
+  IF NEW.entry_type IN ('reversal', 'cheque_bounce') THEN
+    NEW.payment_method := v_payment.payment_method;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS check_payment_adjustment ON fee_ledger_entries;
+CREATE TRIGGER check_payment_adjustment
+  BEFORE INSERT ON fee_ledger_entries
+  FOR EACH ROW EXECUTE FUNCTION check_payment_adjustment();
+
+-- Taking back a payment reopens what it paid; bounce charges are charges
+CREATE OR REPLACE FUNCTION fee_student_balance(p_student_id uuid)
+RETURNS numeric AS $$
+  SELECT COALESCE(SUM(CASE
+           WHEN e.entry_type IN ('due', 'fine', 'bounce_charge', 'reversal', 'refund', 'cheque_bounce') THEN e.amount
+           ELSE -e.amount
+         END), 0)
+  FROM fee_ledger_entries e
+  WHERE e.student_id = p_student_id;
+$$ LANGUAGE sql STABLE;
+
+-- Analytics: payments net of reversals, refunds and bounces; bounce charges are charges
+CREATE OR REPLACE FUNCTION fee_charge_settlement(p_school_code text)
+RETURNS TABLE (
+  entry_id uuid,
+  student_id uuid,
+  class_instance_id uuid,
+  fee_structure_id uuid,
+  entry_type text,
+  component text,
+  due_date date,
+  amount numeric,
+  concession numeric,
+  waived numeric,
+  paid numeric
+) AS $$
+  WITH charges AS (
+    SELECT e.id, e.student_id, e.class_instance_id, e.fee_structure_id, e.entry_type, e.component,
+           COALESCE(e.due_date, e.entry_date) AS due_on, e.amount, e.created_at
+    FROM fee_ledger_entries e
+    WHERE e.school_code = p_school_code AND e.entry_type IN ('due', 'fine', 'bounce_charge')
+  ),
+  directed AS (
+    SELECT e.related_entry_id,
+           COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'concession'), 0) AS concession,
+           COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'fine_waiver'), 0) AS waived
+    FROM fee_ledger_entries e
+    WHERE e.school_code = p_school_code AND e.entry_type IN ('concession', 'fine_waiver')
+    GROUP BY e.related_entry_id
+  ),
+  payments AS (
+    SELECT e.student_id, SUM(CASE WHEN e.entry_type = 'payment' THEN e.amount ELSE -e.amount END) AS total
+    FROM fee_ledger_entries e
+    WHERE e.school_code = p_school_code AND e.entry_type IN ('payment', 'reversal', 'refund', 'cheque_bounce')
+    GROUP BY e.student_id
+  ),
+  payable AS (
+    SELECT c.*,
+           COALESCE(d.concession, 0) AS concession_given,
+           COALESCE(d.waived, 0) AS waived_given,
+           GREATEST(c.amount - COALESCE(d.concession, 0) - COALESCE(d.waived, 0), 0) AS left_to_pay
+    FROM charges c
+    LEFT JOIN directed d ON d.related_entry_id = c.id
+  ),
+  ordered AS (
+    SELECT p.*,
+           COALESCE(SUM(p.left_to_pay) OVER (
+             PARTITION BY p.student_id
+             ORDER BY p.due_on, p.created_at, p.id
+             ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+           ), 0) AS payable_before
+    FROM payable p
+  )
+  SELECT o.id, o.student_id, o.class_instance_id, o.fee_structure_id, o.entry_type, o.component, o.due_on,
+         o.amount, o.concession_given, o.waived_given,
+         LEAST(o.left_to_pay, GREATEST(COALESCE(pay.total, 0) - o.payable_before, 0))
+  FROM ordered o
+  LEFT JOIN payments pay ON pay.student_id = o.student_id;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION fee_collection_by_month(
+  p_school_code text,
+  p_from date DEFAULT NULL,
+  p_to date DEFAULT NULL,
+  p_class_ids uuid[] DEFAULT NULL
+)
+RETURNS TABLE (month date, collected numeric, payments bigint) AS $$
+  SELECT date_trunc('month', e.entry_date)::date,
+         SUM(CASE WHEN e.entry_type = 'payment' THEN e.amount ELSE -e.amount END),
+         COUNT(*) FILTER (WHERE e.entry_type = 'payment')
+  FROM fee_ledger_entries e
+  WHERE e.school_code = p_school_code
+    AND e.entry_type IN ('payment', 'reversal', 'refund', 'cheque_bounce')
+    AND (p_from IS NULL OR e.entry_date >= p_from)
+    AND (p_to IS NULL OR e.entry_date <= p_to)
+    AND (p_class_ids IS NULL OR e.class_instance_id = ANY (p_class_ids))
+  GROUP BY 1
+  ORDER BY 1;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION fee_collection_by_method(
+  p_school_code text,
+  p_from date DEFAULT NULL,
+  p_to date DEFAULT NULL,
+  p_class_ids uuid[] DEFAULT NULL
+)
+RETURNS TABLE (payment_method text, collected numeric, payments bigint) AS $$
+  SELECT e.payment_method,
+         SUM(CASE WHEN e.entry_type = 'payment' THEN e.amount ELSE -e.amount END),
+         COUNT(*) FILTER (WHERE e.entry_type = 'payment')
+  FROM fee_ledger_entries e
+  WHERE e.school_code = p_school_code
+    AND e.entry_type IN ('payment', 'reversal', 'refund', 'cheque_bounce')
+    AND (p_from IS NULL OR e.entry_date >= p_from)
+    AND (p_to IS NULL OR e.entry_date <= p_to)
+    AND (p_class_ids IS NULL OR e.class_instance_id = ANY (p_class_ids))
+  GROUP BY 1
+  ORDER BY 2 DESC;
+$$ LANGUAGE sql STABLE;
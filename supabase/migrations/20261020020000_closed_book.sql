@@ -0,0 +1,196 @@
+/*
+  # Daily fee collection closing
+
+  1. New Tables
+    - `fee_day_closings` - one row per school and day once the cash counter
+      is closed: the cash that should be in the drawer (`expected_cash`: cash
+      received less cash refunded, less reversals of that day's own cash
+      payments), the cash actually counted, the difference, and a snapshot
+      of the day's totals by collector and payment method. A superadmin can
+      reopen a day (with a reason); closing it again takes a fresh count
+
+  2. New Functions
+    - `fee_day_collection(school_code, date)` - the day's cash-book entries
+      (payments, reversals, refunds and bounced cheques) added up by collector
+      and payment method. Money taken back counts against the person who
+      handled it
+    - `fee_day_expected_cash(school_code, date)` - the cash that should be in
+      the drawer at the end of the day
+
+  3. Changes
+    - No fee ledger entry of any kind (payments and what undoes them, dues,
+      fines, waivers, concessions, bounce charges) can be dated on a closed
+      day. Only three named system postings are let through, each marking
+      itself in the `fees.posting_path` setting for its own inserts: online
+      payments settled for the gateway (`gateway_settlement`), which land
+      when the money arrives whatever the counter does, the dues raised on
+      enrolment (`enrolment`) and the late fees charged by the schedule
+      (`late_fees`). Anything else, the service role included, is refused
+
+  4. Security
+    - Staff view closings and close days within their school; only
+      superadmins reopen them, and reopening only sets the status and reason
+*/
+
+CREATE TABLE IF NOT EXISTS fee_day_closings (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  closing_date date NOT NULL,
+  status text NOT NULL DEFAULT 'closed' CHECK (status IN ('closed', 'reopened')),
+  expected_cash decimal(10,2) NOT NULL DEFAULT 0,
+  counted_cash decimal(10,2) NOT NULL CHECK (counted_cash >= 0),
+  difference decimal(10,2) GENERATED ALWAYS AS (counted_cash - expected_cash) STORED,
+  totals jsonb NOT NULL DEFAULT '[]'::jsonb,
+  notes text,
+  closed_by uuid REFERENCES auth.users(id),
+  closer_name text,
+  closed_at timestamptz DEFAULT now(),
+  reopened_by uuid REFERENCES auth.users(id),
+  reopened_at timestamptz,
+  reopen_reason text,
+  school_code text NOT NULL,
+  UNIQUE (school_code, closing_date),
+  CHECK (status = 'closed' OR length(trim(coalesce(reopen_reason, ''))) > 0)
+);
+
+ALTER TABLE fee_day_closings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Staff can view fee day closings"
+  ON fee_day_closings FOR SELECT
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') IN ('superadmin', 'admin')
+  );
+
+CREATE POLICY "Staff can close a fee day"
+  ON fee_day_closings FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') IN ('superadmin', 'admin') AND
+    closed_by = auth.uid() AND
+    status = 'closed'
+  );
+
+CREATE POLICY "Staff can close a reopened fee day again"
+  ON fee_day_closings FOR UPDATE
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') IN ('superadmin', 'admin') AND
+    status = 'reopened'
+  )
+  WITH CHECK (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    closed_by = auth.uid() AND
+    status = 'closed'
+  );
+
+CREATE POLICY "Superadmins can reopen a fee day"
+  ON fee_day_closings FOR UPDATE
+  TO authenticated
+  USING (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    (auth.jwt() ->> 'role') = 'superadmin' AND
+    status = 'closed'
+  )
+  WITH CHECK (
+    school_code = (auth.jwt() ->> 'school_code') AND
+    status = 'reopened' AND
+    length(trim(coalesce(reopen_reason, ''))) > 0
+  );
+
+CREATE OR REPLACE FUNCTION fee_day_collection(p_school_code text, p_date date)
+RETURNS TABLE (
+  collector_id uuid,
+  collector_name text,
+  payment_method text,
+  received numeric,
+  paid_out numeric,
+  entries bigint
+) AS $$
+  SELECT COALESCE(e.collected_by, e.created_by),
+         MAX(e.collector_name),
+         e.payment_method,
+         COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'payment'), 0),
+         COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type <> 'payment'), 0),
+         COUNT(*)
+  FROM fee_ledger_entries e
+  WHERE e.school_code = p_school_code
+    AND e.entry_date = p_date
+    AND e.entry_type IN ('payment', 'reversal', 'refund', 'cheque_bounce')
+  GROUP BY 1, 3
+  ORDER BY 2, 3;
+$$ LANGUAGE sql STABLE;
+
+-- Reversing an earlier day's payment corrects the books, not the drawer
+CREATE OR REPLACE FUNCTION fee_day_expected_cash(p_school_code text, p_date date)
+RETURNS numeric AS $$
+  SELECT COALESCE(SUM(CASE WHEN e.entry_type = 'payment' THEN e.amount ELSE -e.amount END), 0)
+  FROM fee_ledger_entries e
+  LEFT JOIN fee_ledger_entries p ON p.id = e.related_entry_id
+  WHERE e.school_code = p_school_code
+    AND e.entry_date = p_date
+    AND e.payment_method = 'cash'
+    AND (e.entry_type IN ('payment', 'refund') OR (e.entry_type = 'reversal' AND p.entry_date = e.entry_date));
+$$ LANGUAGE sql STABLE;
+
+-- The expected cash and the snapshot come from the ledger, not the client
+CREATE OR REPLACE FUNCTION snapshot_fee_day_closing()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Reopening changes nothing but the status and the reason
+  IF NEW.status <> 'closed' THEN
+    NEW.closing_date := OLD.closing_date;
+    NEW.school_code := OLD.school_code;
+    NEW.expected_cash := OLD.expected_cash;
+    NEW.counted_cash := OLD.counted_cash;
+    NEW.totals := OLD.totals;
+    NEW.notes := OLD.notes;
+    NEW.closed_by := OLD.closed_by;
+    NEW.closer_name := OLD.closer_name;
+    NEW.closed_at := OLD.closed_at;
+    NEW.reopened_by := auth.uid();
+    NEW.reopened_at := now();
+    RETURN NEW;
+  END IF;
+
+  SELECT COALESCE(jsonb_agg(to_jsonb(c)), '[]'::jsonb)
+  INTO NEW.totals
+  FROM fee_day_collection(NEW.school_code, NEW.closing_date) c;
+  NEW.expected_cash := fee_day_expected_cash(NEW.school_code, NEW.closing_date);
+
+  NEW.closed_at := now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS snapshot_fee_day_closing ON fee_day_closings;
+CREATE TRIGGER snapshot_fee_day_closing
+  BEFORE INSERT OR UPDATE ON fee_day_closings
+  FOR EACH ROW EXECUTE FUNCTION snapshot_fee_day_closing();
+
+CREATE OR REPLACE FUNCTION check_fee_day_open()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Set by settle_fee_payment_order, assign_enrolment_fees and the scheduled accrue_late_fees
+  IF current_setting('fees.posting_path', true) IN ('gateway_settlement', 'enrolment', 'late_fees') THEN
+    RETURN NEW;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM fee_day_closings
+    WHERE school_code = NEW.school_code AND closing_date = NEW.entry_date AND status = 'closed'
+  ) THEN
+    RAISE EXCEPTION 'Fee collection for % is closed; a superadmin must reopen the day first',
+      to_char(NEW.entry_date, 'DD Mon YYYY');
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS check_fee_day_open ON fee_ledger_entries;
+CREATE TRIGGER check_fee_day_open
+  BEFORE INSERT ON fee_ledger_entries
+  FOR EACH ROW EXECUTE FUNCTION check_fee_day_open();
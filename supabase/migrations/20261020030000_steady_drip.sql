@@ -0,0 +1,122 @@
+/*
+  # Late fees accrue in the database
+
+  1. New Functions
+    - `accrue_late_fees(school_code, today)` - charges the late fees every
+      overdue due has accrued under its structure's `late_fee_rule` and not
+      yet been charged, as `fine` entries. A flat amount or a percentage of
+      what is unpaid on the due, for every day or month (started) past the
+      grace period, up to the cap. Only the increase over the fines already
+      charged for the due is added, so it can run any number of times; a
+      waiver reduces what the student owes, not what was charged, so waived
+      fines are not charged again and the due keeps accruing
+    - Each due row is locked while its fine is worked out, so two runs at
+      once (the schedule and a staff member, or two staff members) cannot
+      both charge the same increase
+
+  2. Schedule
+    - pg_cron runs `accrue_late_fees()` for every school daily at 00:30 UTC
+
+  3. Security
+    - Staff can run it for their own school; without a user (the schedule,
+      the service role) it covers every school, or the one given. Only a run
+      without a user charges fines on a day whose fee collection is closed
+*/
+
+CREATE OR REPLACE FUNCTION accrue_late_fees(p_school_code text DEFAULT NULL, p_today date DEFAULT CURRENT_DATE)
+RETURNS TABLE (fines integer, total numeric) AS $$
+DECLARE
+  v_school text;
+  v_due record;
+  v_entry fee_ledger_entries%ROWTYPE;
+  v_rule jsonb;
+  v_start date;
+  v_age interval;
+  v_periods integer;
+  v_rate numeric;
+  v_accrued numeric;
+  v_charged numeric;
+  v_increase numeric;
+BEGIN
+  IF auth.uid() IS NOT NULL AND (
+    p_school_code IS DISTINCT FROM (auth.jwt() ->> 'school_code') OR
+    (auth.jwt() ->> 'role') NOT IN ('superadmin', 'admin')
+  ) THEN
+    RAISE EXCEPTION 'Only staff can charge late fees, and only for their own school';
+  END IF;
+
+  fines := 0;
+  total := 0;
+
+  IF auth.uid() IS NULL THEN
+    PERFORM set_config('fees.posting_path', 'late_fees', true);
+  END IF;
+
+  FOR v_school IN
+    SELECT DISTINCT fs.school_code
+    FROM fee_structures fs
+    WHERE fs.late_fee_rule IS NOT NULL AND (p_school_code IS NULL OR fs.school_code = p_school_code)
+  LOOP
+    FOR v_due IN
+      SELECT s.entry_id, s.due_date,
+             s.amount - s.concession - s.waived - s.paid AS unpaid,
+             fs.late_fee_rule AS rule
+      FROM fee_charge_settlement(v_school) s
+      JOIN fee_structures fs ON fs.id = s.fee_structure_id
+      WHERE s.entry_type = 'due'
+        AND fs.late_fee_rule IS NOT NULL
+        AND s.amount - s.concession - s.waived - s.paid > 0
+    LOOP
+      v_rule := v_due.rule;
+      v_start := v_due.due_date + COALESCE((v_rule ->> 'grace_days')::integer, 0);
+      CONTINUE WHEN p_today <= v_start;
+
+      IF v_rule ->> 'accrual' = 'monthly' THEN
+        v_age := age(p_today, v_start);
+        v_periods := (EXTRACT(YEAR FROM v_age) * 12 + EXTRACT(MONTH FROM v_age))::integer + 1;
+      ELSE
+        v_periods := p_today - v_start;
+      END IF;
+
+      v_rate := CASE v_rule ->> 'type'
+        WHEN 'percent' THEN v_due.unpaid * (v_rule ->> 'amount')::numeric / 100
+        ELSE (v_rule ->> 'amount')::numeric
+      END;
+      v_accrued := round(LEAST(v_rate * v_periods, NULLIF((v_rule ->> 'cap')::numeric, 0)), 2);
+
+      -- Serialises runs per due; the fines are read again once the lock is held
+      SELECT * INTO v_entry FROM fee_ledger_entries WHERE id = v_due.entry_id FOR UPDATE;
+
+      SELECT COALESCE(sum(amount), 0) INTO v_charged
+      FROM fee_ledger_entries
+      WHERE entry_type = 'fine' AND related_entry_id = v_entry.id;
+
+      v_increase := round(v_accrued - v_charged, 2);
+      CONTINUE WHEN v_increase <= 0;
+
+      INSERT INTO fee_ledger_entries (
+        student_id, class_instance_id, fee_structure_id, entry_type, amount, component, instalment,
+        description, entry_date, due_date, related_entry_id, school_code, created_by
+      ) VALUES (
+        v_entry.student_id, v_entry.class_instance_id, v_entry.fee_structure_id, 'fine', v_increase,
+        v_entry.component, v_entry.instalment,
+        'Late fee - ' || COALESCE(v_entry.description, v_entry.component), p_today, p_today,
+        v_entry.id, v_entry.school_code, auth.uid()
+      );
+
+      fines := fines + 1;
+      total := total + v_increase;
+    END LOOP;
+  END LOOP;
+
+  PERFORM set_config('fees.posting_path', '', true);
+  RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION accrue_late_fees(text, date) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION accrue_late_fees(text, date) TO authenticated, service_role;
+
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+
+SELECT cron.schedule('accrue-late-fees', '30 0 * * *', $$SELECT accrue_late_fees()$$);
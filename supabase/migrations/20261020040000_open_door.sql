@@ -0,0 +1,121 @@
+/*
+  # Fees raised on enrolment
+
+  1. Changes
+    - `student.joined_on` - the date the student joined; new students default
+      to the school's date the day they are created, existing ones are left
+      blank
+    - `fee_structures.schedule` - the structure's dated instalments as the
+      app builds them (`[{ label, due_date, lines: [{ component, amount,
+      until, periodic }] }]`), saved with the structure. Structures saved
+      before this have none until they are saved again; until then the app
+      raises a new student's dues from the structure's components and saves
+      its schedule
+
+  2. New Functions
+    - `school_today(school_code)` - the date in the school's timezone
+    - `default_joined_on()` - trigger dating a new student's joining to the
+      school's date when none is given
+    - `assign_enrolment_fees()` - trigger raising a new student's dues from the
+      active structure of their class, in the same transaction that creates
+      the student. For a mid-year admission each period of a term or monthly
+      component is pro-rated by the whole months left of it, counting the
+      joining month, and periods already over are left out; annual and
+      admission fees are charged in full. Whatever fell due before the
+      joining date falls due on it. The dues are dated the school's date
+
+  3. Security
+    - The trigger runs as its owner so the dues are raised whoever creates
+      the student, even on a day whose fee collection is closed
+*/
+
+ALTER TABLE student ADD COLUMN IF NOT EXISTS joined_on date;
+
+ALTER TABLE fee_structures ADD COLUMN IF NOT EXISTS schedule jsonb;
+
+CREATE OR REPLACE FUNCTION school_today(p_school_code text)
+RETURNS date AS $$
+  SELECT (now() AT TIME ZONE COALESCE(
+    (SELECT timezone FROM schools WHERE school_code = p_school_code), 'Asia/Kolkata'))::date;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION default_joined_on()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.joined_on := COALESCE(NEW.joined_on, school_today(NEW.school_code));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS default_joined_on ON student;
+CREATE TRIGGER default_joined_on
+  BEFORE INSERT ON student
+  FOR EACH ROW EXECUTE FUNCTION default_joined_on();
+
+-- Whole months from one date's month to another's
+CREATE OR REPLACE FUNCTION months_between(p_from date, p_to date)
+RETURNS integer AS $$
+  SELECT ((EXTRACT(YEAR FROM p_to) - EXTRACT(YEAR FROM p_from)) * 12
+    + EXTRACT(MONTH FROM p_to) - EXTRACT(MONTH FROM p_from))::integer;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION assign_enrolment_fees()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_structure fee_structures%ROWTYPE;
+  v_instalment jsonb;
+  v_line jsonb;
+  v_due_date date;
+  v_today date := school_today(NEW.school_code);
+  v_joined date := COALESCE(NEW.joined_on, v_today);
+  v_months integer;
+  v_share numeric;
+  v_amount numeric;
+BEGIN
+  SELECT * INTO v_structure
+  FROM fee_structures
+  WHERE class_instance_id = NEW.class_instance_id AND status = 'active' AND schedule IS NOT NULL;
+  IF NOT FOUND THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM set_config('fees.posting_path', 'enrolment', true);
+  FOR v_instalment IN SELECT * FROM jsonb_array_elements(v_structure.schedule)
+  LOOP
+    v_due_date := (v_instalment ->> 'due_date')::date;
+    FOR v_line IN SELECT * FROM jsonb_array_elements(v_instalment -> 'lines')
+    LOOP
+      v_share := 1;
+      IF COALESCE((v_line ->> 'periodic')::boolean, false) AND months_between(v_due_date, v_joined) > 0 THEN
+        v_months := months_between(v_due_date, (v_line ->> 'until')::date);
+        v_share := CASE
+          WHEN v_months > 0 THEN GREATEST(months_between(v_joined, (v_line ->> 'until')::date), 0)::numeric / v_months
+          ELSE 0
+        END;
+      END IF;
+
+      v_amount := round((v_line ->> 'amount')::numeric * v_share, 2);
+      CONTINUE WHEN v_amount <= 0;
+
+      INSERT INTO fee_ledger_entries (
+        student_id, class_instance_id, fee_structure_id, entry_type, amount, component, instalment,
+        description, entry_date, due_date, school_code, created_by
+      ) VALUES (
+        NEW.id, v_structure.class_instance_id, v_structure.id, 'due', v_amount,
+        v_line ->> 'component', v_instalment ->> 'label',
+        format('%s (%s%s)', v_line ->> 'component', v_instalment ->> 'label',
+          CASE WHEN v_share < 1 THEN ', pro-rated' ELSE '' END),
+        v_today, GREATEST(v_due_date, v_joined), v_structure.school_code, auth.uid()
+      );
+    END LOOP;
+  END LOOP;
+  PERFORM set_config('fees.posting_path', '', true);
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS assign_enrolment_fees ON student;
+CREATE TRIGGER assign_enrolment_fees
+  AFTER INSERT ON student
+  FOR EACH ROW EXECUTE FUNCTION assign_enrolment_fees();